@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * StoryMapCore command-line tools
+ *
+ *   storymapcore validate <files...> [--format text|json] [--max-warnings <n>]
+ *
+ * Validates story JSON files with DataValidators (schema rules and lint
+ * checks) and checks that local media files exist. Exits with 1 when a file
+ * has errors (or more warnings than --max-warnings), 2 on usage errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataValidators } = require('../providers/data-providers.js');
+
+const USAGE = `Usage: storymapcore validate <files...> [options]
+
+Options:
+  --format <text|json>   Output format (default: text)
+  --max-warnings <n>     Fail when there are more than n warnings (default: no limit)
+  -h, --help             Show this help`;
+
+function parseArgs(argv) {
+  const options = { command: null, files: [], format: 'text', maxWarnings: Infinity, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--format') {
+      options.format = argv[++i];
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg === '--max-warnings') {
+      options.maxWarnings = Number(argv[++i]);
+    } else if (arg.startsWith('--max-warnings=')) {
+      options.maxWarnings = Number(arg.slice('--max-warnings='.length));
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (!['text', 'json'].includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format}`);
+  }
+  if (isNaN(options.maxWarnings) || options.maxWarnings < 0) {
+    throw new Error('--max-warnings must be a number >= 0');
+  }
+  return options;
+}
+
+// Relative URLs point to files next to the story; remote and data URLs are not checked
+function isLocalUrl(url) {
+  return typeof url === 'string' && url !== '' && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+/**
+ * Media, backgrounds, icons and line files referenced with relative URLs
+ * must exist, and media must have an extension the core can render
+ */
+function checkFiles(data, file) {
+  const problems = [];
+  const baseDir = path.dirname(file);
+
+  DataValidators.getSlideLists(data).forEach(({ path: listPath, slides }) => {
+    slides.forEach((slide, index) => {
+      if (!slide || typeof slide !== 'object') return;
+      const slidePath = `${listPath}[${index}]`;
+
+      // media is one item or an array of items (gallery)
+      const mediaItems = Array.isArray(slide.media)
+        ? slide.media.map((media, mediaIndex) => [`${slidePath}.media[${mediaIndex}].url`, media?.url])
+        : [[`${slidePath}.media.url`, slide.media?.url]];
+
+      const references = [
+        ...mediaItems,
+        [`${slidePath}.background.url`, slide.background?.url],
+        [`${slidePath}.location.icon`, slide.location?.icon],
+        [`${slidePath}.location.line`, slide.location?.line]
+      ];
+
+      references.forEach(([referencePath, url]) => {
+        if (!isLocalUrl(url)) return;
+
+        // A malformed escape ("%zz") cannot name a file
+        let filePath;
+        try {
+          filePath = path.resolve(baseDir, decodeURI(url.split(/[?#]/)[0]));
+        } catch (error) {
+          problems.push({
+            path: referencePath,
+            code: 'invalid-url',
+            message: `is not a valid URL (${error.message})`,
+            severity: 'error'
+          });
+          return;
+        }
+
+        if (!fs.existsSync(filePath)) {
+          problems.push({
+            path: referencePath,
+            code: 'missing-file',
+            message: `file not found (${path.relative(process.cwd(), filePath)})`,
+            severity: 'error'
+          });
+        }
+      });
+
+      mediaItems.forEach(([mediaPath, mediaUrl]) => {
+        const extension = typeof mediaUrl === 'string' && /\.([a-z0-9]+)(\?|#|$)/i.exec(mediaUrl);
+        // Same extensions and embeddable hosts (YouTube, Vimeo, Commons...) as the validator
+        if (extension && !DataValidators.isValidMediaUrl(mediaUrl)) {
+          problems.push({
+            path: mediaPath,
+            code: 'unsupported-extension',
+            message: `'.${extension[1]}' files cannot be displayed`,
+            severity: 'warning'
+          });
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+function validateFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    const code = error.code === 'ENOENT' ? 'file-not-found' : 'invalid-json';
+    return [{ path: '', code, message: error.message, severity: 'error' }];
+  }
+
+  const problems = [
+    ...DataValidators.validateStory(data),
+    ...DataValidators.lintStory(data),
+    ...checkFiles(data, file)
+  ];
+
+  // The schema rule and the file check can both flag the same media URL
+  return problems.filter((problem, index) => !(
+    problem.code === 'unsupported-media' &&
+    problems.some((other, otherIndex) => otherIndex !== index && other.path === problem.path && other.code === 'unsupported-extension')
+  ));
+}
+
+function formatText(results) {
+  const lines = [];
+  results.forEach(({ file, problems }) => {
+    if (problems.length === 0) return;
+    lines.push(file);
+    problems.forEach((problem) => {
+      lines.push(`  ${problem.severity.padEnd(7)} ${DataValidators.formatProblem(problem)}  [${problem.code}]`);
+    });
+    lines.push('');
+  });
+
+  const errors = results.reduce((sum, result) => sum + result.errorCount, 0);
+  const warnings = results.reduce((sum, result) => sum + result.warningCount, 0);
+  lines.push(`${results.length} file(s) checked: ${errors} error(s), ${warnings} warning(s)`);
+  return lines.join('\n');
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (options.command !== 'validate' || options.files.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const results = options.files.map((file) => {
+    const problems = validateFile(file);
+    return {
+      file,
+      errorCount: problems.filter(problem => problem.severity === 'error').length,
+      warningCount: problems.filter(problem => problem.severity === 'warning').length,
+      problems
+    };
+  });
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(formatText(results));
+  }
+
+  const errors = results.reduce((sum, result) => sum + result.errorCount, 0);
+  const warnings = results.reduce((sum, result) => sum + result.warningCount, 0);
+  return errors > 0 || warnings > options.maxWarnings ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, validateFile };
@@ -22,7 +22,9 @@ const DataProviders = {
     const data = await response.json();
 
     // Handle different JSON structures
-    if (data.storymap && data.storymap.slides) {
+    if (data.type === 'FeatureCollection') {
+      return DataProviders.geojson({ ...config, data });
+    } else if (data.storymap && data.storymap.slides) {
       return data.storymap.slides;
     } else if (data.slides) {
       return data.slides;
@@ -33,6 +35,142 @@ const DataProviders = {
     }
   },
 
+  /**
+   * GeoJSON provider
+   * Turns each Feature of a FeatureCollection into a slide. Point features
+   * become markers, other geometries are kept as slide.geometry and shown as
+   * an overlay that the camera fits to.
+   * Uses config.data if given, otherwise loads config.jsonUrl.
+   * Property names are configurable through config.geojson (see DataProviders.GEOJSON_PROPERTIES).
+   */
+  geojson: async (config) => {
+    let data = config.data;
+
+    if (!data) {
+      const response = await fetch(config.jsonUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load ${config.jsonUrl}: ${response.status}`);
+      }
+      data = await response.json();
+    }
+
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+      throw new Error('Invalid GeoJSON. Expected a FeatureCollection.');
+    }
+
+    return DataProviders.geojsonToSlides(data, config.geojson);
+  },
+
+  /**
+   * CSV / spreadsheet provider
+   * Parses RFC 4180 CSV (quoted cells may contain commas, quotes and newlines)
+   * and maps one row to one slide. Reads, in order of preference:
+   * config.data (CSV text), config.file (File or Blob), config.jsonUrl.
+   * Columns are configurable through config.csv.columns (see DataProviders.CSV_COLUMNS).
+   * Bad values are reported with their spreadsheet row and column.
+   */
+  csv: async (config) => {
+    const text = await DataProviders.loadText(config, 'CSV');
+    return DataProviders.csvToSlides(text, config.csv);
+  },
+
+  /**
+   * GPX provider
+   * Waypoints become slides (name, desc/cmt and link for text and media),
+   * and the track (or route) between consecutive waypoints becomes the line
+   * connecting their slides instead of a great circle.
+   * Reads config.data, config.file or config.jsonUrl like the CSV provider.
+   */
+  gpx: async (config) => {
+    const doc = DataProviders.parseXml(await DataProviders.loadText(config, 'GPX'));
+
+    const points = Array.from(doc.getElementsByTagName('wpt')).map((waypoint) => {
+      const properties = {
+        name: DataProviders.childText(waypoint, 'name'),
+        desc: DataProviders.childText(waypoint, 'desc'),
+        cmt: DataProviders.childText(waypoint, 'cmt'),
+        time: DataProviders.childText(waypoint, 'time')
+      };
+
+      // A link to a picture becomes the slide's media
+      const link = waypoint.getElementsByTagName('link')[0];
+      const href = link && link.getAttribute('href');
+      if (href && /\.(jpg|jpeg|png|gif|webp)(\?|#|$)/i.test(href)) {
+        properties.media_url = href;
+        properties.media_caption = DataProviders.childText(link, 'text');
+      }
+
+      return DataProviders.pointFeature(
+        parseFloat(waypoint.getAttribute('lon')),
+        parseFloat(waypoint.getAttribute('lat')),
+        properties
+      );
+    });
+
+    // Tracks first, routes if there are no tracks
+    const toCoordinates = elements => Array.from(elements).map(point => [
+      parseFloat(point.getAttribute('lon')),
+      parseFloat(point.getAttribute('lat'))
+    ]);
+    let path = toCoordinates(doc.getElementsByTagName('trkpt'));
+    if (path.length === 0) {
+      path = toCoordinates(doc.getElementsByTagName('rtept'));
+    }
+
+    const options = config.gpx || {};
+    return DataProviders.journeyToSlides(points, path, {
+      ...options,
+      properties: { ...DataProviders.GPX_PROPERTIES, ...options.properties }
+    });
+  },
+
+  /**
+   * KML provider
+   * Point Placemarks become slides (name, description and ExtendedData),
+   * and LineString / gx:Track Placemarks become the lines connecting them.
+   * Reads config.data, config.file or config.jsonUrl like the CSV provider.
+   */
+  kml: async (config) => {
+    const doc = DataProviders.parseXml(await DataProviders.loadText(config, 'KML'));
+
+    const points = [];
+    const path = [];
+
+    Array.from(doc.getElementsByTagName('Placemark')).forEach((placemark) => {
+      const properties = {
+        name: DataProviders.childText(placemark, 'name'),
+        description: DataProviders.childText(placemark, 'description')
+      };
+
+      // <Data name="zoom"><value>8</value></Data> and <SimpleData name="zoom">8</SimpleData>
+      Array.from(placemark.getElementsByTagName('Data')).forEach((data) => {
+        properties[data.getAttribute('name')] = DataProviders.childText(data, 'value');
+      });
+      Array.from(placemark.getElementsByTagName('SimpleData')).forEach((data) => {
+        properties[data.getAttribute('name')] = data.textContent.trim();
+      });
+
+      const point = placemark.getElementsByTagName('Point')[0];
+      if (point) {
+        const [lon, lat] = DataProviders.parseKmlCoordinates(DataProviders.childText(point, 'coordinates'))[0] || [];
+        if (lon !== undefined) {
+          points.push(DataProviders.pointFeature(lon, lat, properties));
+        }
+        return;
+      }
+
+      Array.from(placemark.getElementsByTagName('LineString')).forEach((lineString) => {
+        path.push(...DataProviders.parseKmlCoordinates(DataProviders.childText(lineString, 'coordinates')));
+      });
+      Array.from(placemark.getElementsByTagName('gx:coord')).forEach((coord) => {
+        const [lon, lat] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+        path.push([lon, lat]);
+      });
+    });
+
+    return DataProviders.journeyToSlides(points, path, config.kml);
+  },
+
   /**
    * Multi-language provider (from Las Rutas del Oro Ilegal example)
    * Loads JSON with multiple language versions and handles language switching
@@ -134,7 +272,426 @@ const DataProviders = {
     } else {
       return DataProviders.simple(finalConfig);
     }
+  },
+
+  /**
+   * Format of a CSV, GPX or KML story, or null for JSON.
+   * An explicit config.format wins; config.data and config.file are CSV
+   * unless the file name says otherwise; jsonUrl goes by its extension.
+   */
+  detectFormat: (config) => {
+    const formats = ['csv', 'gpx', 'kml'];
+    const fromName = (name) => {
+      const match = /\.(csv|gpx|kml)(\?|#|$)/i.exec(name || '');
+      return match ? match[1].toLowerCase() : null;
+    };
+
+    if (config.format) {
+      const format = String(config.format).toLowerCase();
+      if (!formats.includes(format)) {
+        throw new Error(`Unknown story format: ${config.format} (expected ${formats.join(', ')})`);
+      }
+      return format;
+    }
+    if (typeof config.data === 'string' || config.file) {
+      return fromName(config.file?.name) || 'csv';
+    }
+    return fromName(config.jsonUrl);
+  }
+};
+
+/**
+ * Default GeoJSON property names for each slide field.
+ * Each entry is a property name or a list of names tried in order.
+ */
+DataProviders.GEOJSON_PROPERTIES = {
+  headline: ['headline', 'name', 'title'],
+  text: ['text', 'description'],
+  mediaUrl: ['media_url', 'media', 'image'],
+  mediaCaption: ['media_caption', 'caption'],
+  mediaCredit: ['media_credit', 'credit'],
+  zoom: 'zoom',
+  line: 'line',
+  date: 'date'
+};
+
+/**
+ * First property from names that has a value. Empty strings count as
+ * missing, since GPX and KML readers give '' for absent elements.
+ */
+DataProviders.getFeatureProperty = (properties, names) => {
+  const candidates = Array.isArray(names) ? names : [names];
+  const name = candidates.find(candidate => ![undefined, null, ''].includes(properties[candidate]));
+  return name !== undefined ? properties[name] : undefined;
+};
+
+/**
+ * Convert a GeoJSON FeatureCollection into slides
+ */
+DataProviders.geojsonToSlides = (data, options = {}) => {
+  const names = { ...DataProviders.GEOJSON_PROPERTIES, ...options.properties };
+  const defaultZoom = options.defaultZoom !== undefined ? options.defaultZoom : 10;
+  const defaultLine = options.line !== undefined ? options.line : true;
+
+  return data.features.map((feature, index) => {
+    const properties = feature.properties || {};
+    const geometry = feature.geometry;
+    const get = field => DataProviders.getFeatureProperty(properties, names[field]);
+
+    const slide = {
+      text: {
+        headline: get('headline') || '',
+        text: get('text') || ''
+      }
+    };
+
+    const date = get('date');
+    if (date !== undefined) slide.date = date;
+
+    const mediaUrl = get('mediaUrl');
+    if (mediaUrl) {
+      slide.media = {
+        url: mediaUrl,
+        caption: get('mediaCaption') || '',
+        credit: get('mediaCredit') || ''
+      };
+    }
+
+    const zoom = get('zoom');
+    const line = get('line');
+    const location = {};
+    // The last slide has no next slide to connect to, so it only gets a line when asked for
+    if (line !== undefined) {
+      location.line = line === true || line === 'true';
+    } else if (index < data.features.length - 1) {
+      location.line = defaultLine;
+    }
+    if (zoom !== undefined) location.zoom = parseFloat(zoom);
+
+    if (geometry && geometry.type === 'Point') {
+      // Point features become markers
+      location.lon = geometry.coordinates[0];
+      location.lat = geometry.coordinates[1];
+      if (location.zoom === undefined) location.zoom = defaultZoom;
+      slide.location = location;
+    } else if (geometry) {
+      // Lines and polygons are kept as geometry, displayed and fitted by the camera
+      slide.geometry = geometry;
+      location.bounds = geometry;
+      slide.location = location;
+      slide.layers = [{
+        type: 'geojson',
+        data: { type: 'Feature', properties: {}, geometry },
+        layerType: /LineString/.test(geometry.type) ? 'line' : 'fill',
+        ...options.layer
+      }];
+    }
+
+    return slide;
+  });
+};
+
+/**
+ * Parse RFC 4180 CSV text into an array of rows (arrays of strings).
+ * Each row also gets a `line` property: the file line the row starts on.
+ */
+DataProviders.parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  // Strip a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    row.line = rowLine;
+    rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`CSV line ${quoteLine}: unterminated quoted cell`);
+  }
+
+  // Last row without a trailing newline
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Default CSV column names for each slide field
+ */
+DataProviders.CSV_COLUMNS = {
+  headline: 'headline',
+  text: 'text',
+  lat: 'lat',
+  lon: 'lon',
+  zoom: 'zoom',
+  mediaUrl: 'media_url',
+  mediaCaption: 'media_caption',
+  mediaCredit: 'media_credit',
+  line: 'line',
+  date: 'date'
+};
+
+// Spreadsheet-style column letter (0 -> A, 26 -> AA)
+DataProviders.columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+/**
+ * Convert CSV text into slides. Throws an Error listing every bad value;
+ * the list is also available as error.problems ({ row, line, column, value, message }).
+ */
+DataProviders.csvToSlides = (text, options = {}) => {
+  const columns = { ...DataProviders.CSV_COLUMNS, ...options.columns };
+  const rows = DataProviders.parseCsv(text, options.delimiter);
+
+  if (rows.length === 0) {
+    throw new Error('CSV is empty');
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  const indexOf = field => header.indexOf(String(columns[field]).toLowerCase());
+
+  const problems = [];
+  const slides = rows.slice(1).map((row, rowNumber) => {
+    // Spreadsheet row number: the header is row 1
+    const spreadsheetRow = rowNumber + 2;
+
+    const cell = (field) => {
+      const index = indexOf(field);
+      return index === -1 || row[index] === undefined ? '' : row[index].trim();
+    };
+
+    const report = (field, value, message) => {
+      const index = indexOf(field);
+      problems.push({
+        row: spreadsheetRow,
+        line: row.line,
+        column: `${DataProviders.columnLetter(index)} (${columns[field]})`,
+        value: value,
+        message: message
+      });
+    };
+
+    const number = (field, min, max) => {
+      const value = cell(field);
+      if (value === '') return undefined;
+
+      const parsed = Number(value);
+      if (Number.isNaN(parsed)) {
+        report(field, value, 'not a number');
+      } else if (parsed < min || parsed > max) {
+        report(field, value, `out of range (${min} to ${max})`);
+      }
+      return parsed;
+    };
+
+    const slide = {
+      text: {
+        headline: cell('headline'),
+        text: cell('text')
+      }
+    };
+
+    const date = cell('date');
+    if (date) slide.date = date;
+
+    const lat = number('lat', -90, 90);
+    const lon = number('lon', -180, 180);
+    const zoom = number('zoom', 0, 24);
+
+    let line = false;
+    const lineValue = cell('line').toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(lineValue)) {
+      line = true;
+    } else if (!['', 'false', 'no', 'n', '0'].includes(lineValue)) {
+      report('line', cell('line'), 'expected true or false');
+    }
+
+    if (lat !== undefined || lon !== undefined) {
+      if (lat === undefined) report('lat', '', 'missing (lon is set)');
+      if (lon === undefined) report('lon', '', 'missing (lat is set)');
+
+      slide.location = { lat, lon, line };
+      if (zoom !== undefined) slide.location.zoom = zoom;
+    }
+
+    const mediaUrl = cell('mediaUrl');
+    if (mediaUrl) {
+      slide.media = {
+        url: mediaUrl,
+        caption: cell('mediaCaption'),
+        credit: cell('mediaCredit')
+      };
+    }
+
+    return slide;
+  });
+
+  if (problems.length > 0) {
+    const details = problems
+      .map(p => `row ${p.row}, column ${p.column}: ${p.message}${p.value !== '' ? ` ('${p.value}')` : ''}`)
+      .join('\n');
+    const error = new Error(`Invalid CSV story data:\n${details}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return slides;
+};
+
+/**
+ * Read text for the file-based providers from config.data (string),
+ * config.file (File or Blob) or config.jsonUrl
+ */
+DataProviders.loadText = async (config, format) => {
+  if (typeof config.data === 'string') {
+    return config.data;
+  }
+  if (config.file) {
+    return config.file.text();
+  }
+  if (config.jsonUrl) {
+    const response = await fetch(config.jsonUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${config.jsonUrl}: ${response.status}`);
+    }
+    return response.text();
   }
+  throw new Error(`${format} provider requires config.data, config.file or config.jsonUrl`);
+};
+
+DataProviders.parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError) {
+    throw new Error(`Invalid XML: ${parserError.textContent.trim()}`);
+  }
+  return doc;
+};
+
+// Text of the first direct child with the given tag name
+DataProviders.childText = (element, tagName) => {
+  const child = Array.from(element.children).find(c => c.tagName === tagName);
+  return child ? child.textContent.trim() : '';
+};
+
+// "lon,lat[,alt] lon,lat[,alt] ..." -> [[lon, lat], ...]
+DataProviders.parseKmlCoordinates = (text) => {
+  return text.trim().split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(parseFloat));
+};
+
+DataProviders.pointFeature = (lon, lat, properties) => {
+  return {
+    type: 'Feature',
+    properties: properties,
+    geometry: { type: 'Point', coordinates: [lon, lat] }
+  };
+};
+
+// GPX uses desc/cmt for text and time for the date
+DataProviders.GPX_PROPERTIES = {
+  text: ['text', 'desc', 'cmt'],
+  date: ['date', 'time']
+};
+
+/**
+ * Index of the path vertex closest to a point, searching from `start` on so
+ * that consecutive stops map to consecutive stretches of the path.
+ */
+DataProviders.nearestPathIndex = (path, point, start) => {
+  const cosLat = Math.cos(point[1] * Math.PI / 180);
+  let best = start;
+  let bestDistance = Infinity;
+
+  for (let i = start; i < path.length; i++) {
+    const dx = (path[i][0] - point[0]) * cosLat;
+    const dy = path[i][1] - point[1];
+    const distance = dx * dx + dy * dy;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+/**
+ * Turn journey stops (point features) into slides, using the stretch of the
+ * recorded path between two stops as the line connecting their slides
+ */
+DataProviders.journeyToSlides = (points, path, options = {}) => {
+  const slides = DataProviders.geojsonToSlides({ type: 'FeatureCollection', features: points }, options);
+
+  if (slides.length === 0 || path.length < 2 || options.line === false) {
+    return slides;
+  }
+
+  let previousIndex = DataProviders.nearestPathIndex(path, points[0].geometry.coordinates, 0);
+  for (let i = 0; i < slides.length - 1; i++) {
+    const nextIndex = DataProviders.nearestPathIndex(path, points[i + 1].geometry.coordinates, previousIndex);
+    const stretch = path.slice(previousIndex, nextIndex + 1);
+
+    if (stretch.length > 1 && slides[i].location.line) {
+      // Start and end exactly on the stops so the line meets the markers
+      slides[i].location.line = {
+        type: 'LineString',
+        coordinates: [points[i].geometry.coordinates, ...stretch, points[i + 1].geometry.coordinates]
+      };
+    }
+    previousIndex = nextIndex;
+  }
+
+  return slides;
 };
 
 /**
@@ -148,6 +705,8 @@ async function loadStoryData(config) {
     return DataProviders.multilingual(config);
   } else if (config.urlParams) {
     return DataProviders.urlParams(config);
+  } else if (DataProviders.detectFormat(config)) {
+    return DataProviders[DataProviders.detectFormat(config)](config);
   } else {
     return DataProviders.simple(config);
   }
@@ -158,48 +717,108 @@ async function loadStoryData(config) {
  */
 const DataValidators = {
   /**
-   * Validate slide data structure
+   * Validate a story: an array of slides, { storymap: { slides } }
+   * or a multilingual document ({ languages, storymaps }).
+   * Returns a list of { path, code, message, severity } problems, e.g.
+   * { path: 'slides[3].location.lat', code: 'out-of-range', message: 'out of range (-90 to 90)', severity: 'error' }
    */
-  validateSlide: (slide, index) => {
-    const errors = [];
+  validateStory: (data) => {
+    const problems = [];
+    const report = DataValidators.createProblemReporter(problems);
 
-    if (!slide) {
-      errors.push(`Slide ${index}: Slide is null or undefined`);
-      return errors;
+    if (Array.isArray(data)) {
+      DataValidators.checkSlides(data, 'slides', report);
+    } else if (DataValidators.isPlainObject(data) && (data.languages || data.storymaps)) {
+      DataValidators.checkMultilingualStory(data, report);
+    } else if (DataValidators.isPlainObject(data) && data.storymap) {
+      DataValidators.checkStory(data, '', report);
+    } else if (DataValidators.isPlainObject(data) && data.slides) {
+      DataValidators.checkSlides(data.slides, 'slides', report);
+    } else {
+      report('', 'type', 'must be a slides array, { storymap: { slides } } or { languages, storymaps }');
     }
 
-    // Check for required text content
-    if (!slide.text || !slide.text.headline) {
-      errors.push(`Slide ${index}: Missing headline in slide.text`);
-    }
+    // checkStory on the root document leaves a leading dot
+    problems.forEach((problem) => {
+      problem.path = problem.path.replace(/^\./, '');
+    });
+    return problems;
+  },
 
-    // Check location validity
-    if (slide.location) {
-      if (!DataValidators.isValidLocation(slide.location)) {
-        errors.push(`Slide ${index}: Invalid location data`);
-      }
-    }
+  /**
+   * Lint a story for things that are valid but probably mistakes:
+   * repeated coordinates, a line leaving the last slide, images without
+   * captions and multilingual stories whose languages have different slide counts.
+   * Returns problems in the same shape as validateStory (severity 'warning').
+   */
+  lintStory: (data) => {
+    const problems = [];
+    const report = DataValidators.createProblemReporter(problems);
+    const lists = DataValidators.getSlideLists(data);
 
-    // Check media validity
-    if (slide.media && slide.media.url) {
-      if (!DataValidators.isValidMediaUrl(slide.media.url)) {
-        errors.push(`Slide ${index}: Invalid media URL`);
-      }
+    lists.forEach(({ path, slides }) => {
+      slides.forEach((slide, index) => {
+        if (!DataValidators.isPlainObject(slide)) return;
+        const slidePath = `${path}[${index}]`;
+        const location = slide.location;
+        const previous = index > 0 && DataValidators.isPlainObject(slides[index - 1]) ? slides[index - 1].location : null;
+
+        if (
+          DataValidators.isValidLocation(location) && DataValidators.isValidLocation(previous) &&
+          DataValidators.toNumber(location.lat) === DataValidators.toNumber(previous.lat) &&
+          DataValidators.toNumber(location.lon) === DataValidators.toNumber(previous.lon)
+        ) {
+          report(`${slidePath}.location`, 'duplicate-location', `same coordinates as ${path}[${index - 1}]`, DataValidators.SEVERITY_WARNING);
+        }
+
+        if (index === slides.length - 1 && DataValidators.isPlainObject(location) && location.line === true) {
+          report(`${slidePath}.location.line`, 'line-on-last-slide', 'is true on the last slide, which has no next slide to connect to', DataValidators.SEVERITY_WARNING);
+        }
+
+        DataValidators.getMediaItems(slide.media).forEach(({ media, path: mediaPath }) => {
+          if (DataValidators.isPlainObject(media) && typeof media.url === 'string' && DataValidators.getStoryMap().isMediaFile(media.url, 'image') && !media.caption) {
+            report(`${slidePath}${mediaPath}.caption`, 'missing-caption', 'is missing for an image', DataValidators.SEVERITY_WARNING);
+          }
+        });
+      });
+    });
+
+    if (DataValidators.isPlainObject(data) && DataValidators.isPlainObject(data.storymaps) && lists.length > 1) {
+      const [first, ...others] = lists;
+      others
+        .filter(list => list.slides.length !== first.slides.length)
+        .forEach((list) => {
+          report(list.path, 'slide-count-mismatch', `has ${list.slides.length} slides but ${first.path} has ${first.slides.length}`, DataValidators.SEVERITY_WARNING);
+        });
     }
 
-    return errors;
+    return problems;
+  },
+
+  /**
+   * Format a problem as "path: message"
+   */
+  formatProblem: (problem) => {
+    return problem.path ? `${problem.path}: ${problem.message}` : problem.message;
+  },
+
+  /**
+   * Validate slide data structure (messages as strings)
+   */
+  validateSlide: (slide, index) => {
+    const problems = [];
+    DataValidators.checkSlide(slide, `slides[${index}]`, DataValidators.createProblemReporter(problems));
+    return problems.map(DataValidators.formatProblem);
   },
 
   /**
-   * Validate location data
+   * Validate location data (numbers or numeric strings, like the core)
    */
   isValidLocation: (location) => {
-    return (
+    return Boolean(
       location &&
-      typeof location.lat === 'number' &&
-      typeof location.lon === 'number' &&
-      !isNaN(location.lat) &&
-      !isNaN(location.lon)
+      !isNaN(DataValidators.toNumber(location.lat)) &&
+      !isNaN(DataValidators.toNumber(location.lon))
     );
   },
 
@@ -214,42 +833,271 @@ const DataValidators = {
       return true;
     }
 
-    // Check for image URLs
-    if (url.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
-      return true;
-    }
-
-    // Check for video URLs
-    if (url.match(/\.(mp4|webm|ogg)$/i)) {
+    // Check for Vimeo, Dailymotion, SoundCloud and Wikimedia Commons pages (see MediaProviders)
+    if (/^https?:\/\/([\w-]+\.)*(vimeo\.com|dailymotion\.com|dai\.ly|soundcloud\.com|wikimedia\.org)\//i.test(url)) {
       return true;
     }
 
-    return false;
+    // Check for image, video and audio files (see StoryMap.MEDIA_EXTENSIONS)
+    const storyMap = DataValidators.getStoryMap();
+    return Object.keys(storyMap.MEDIA_EXTENSIONS).some(kind => storyMap.isMediaFile(url, kind));
   },
 
   /**
-   * Validate entire story data
+   * Validate entire story data (problems formatted as strings, see validateStory)
    */
   validateStoryData: (data) => {
-    const errors = [];
+    return DataValidators.validateStory(data).map(DataValidators.formatProblem);
+  }
+};
+
+/**
+ * Story validation helpers
+ * Mirrors schema/story.schema.json and reports problems as
+ * { path, code, message, severity } (severity 'error' or 'warning').
+ */
+DataValidators.SEVERITY_ERROR = 'error';
+DataValidators.SEVERITY_WARNING = 'warning';
+
+DataValidators.LINE_TYPES = ['greatCircle', 'straight', 'geojson'];
+DataValidators.EASINGS = ['flyTo', 'easeTo', 'jumpTo'];
+DataValidators.LAYER_TYPES = ['geojson', 'raster', 'image'];
+
+DataValidators.isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// Numbers and numeric strings ("38.903057"), like the core accepts
+DataValidators.toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+DataValidators.createProblemReporter = (problems) => {
+  return (path, code, message, severity = DataValidators.SEVERITY_ERROR) => {
+    problems.push({ path, code, message, severity });
+  };
+};
+
+DataValidators.checkNumber = (report, path, value, min, max) => {
+  const number = DataValidators.toNumber(value);
+  if (isNaN(number)) {
+    report(path, 'type', `must be a number (got ${JSON.stringify(value)})`);
+  } else if (number < min || number > max) {
+    report(path, 'out-of-range', `out of range (${min} to ${max})`);
+  }
+};
+
+DataValidators.checkEnum = (report, path, value, allowed) => {
+  if (!allowed.includes(value)) {
+    report(path, 'enum', `must be one of ${allowed.map(v => `'${v}'`).join(', ')} (got ${JSON.stringify(value)})`);
+  }
+};
+
+DataValidators.checkLocation = (location, path, report) => {
+  if (!DataValidators.isPlainObject(location)) {
+    report(path, 'type', 'must be an object');
+    return;
+  }
+
+  const hasLat = location.lat !== undefined && location.lat !== null && location.lat !== '';
+  const hasLon = location.lon !== undefined && location.lon !== null && location.lon !== '';
+
+  if (hasLat) DataValidators.checkNumber(report, `${path}.lat`, location.lat, -90, 90);
+  if (hasLon) DataValidators.checkNumber(report, `${path}.lon`, location.lon, -180, 180);
+  if (hasLat !== hasLon) {
+    report(`${path}.${hasLat ? 'lon' : 'lat'}`, 'required', `is required when ${hasLat ? 'lat' : 'lon'} is set`);
+  }
+  if (!hasLat && !hasLon && location.bounds === undefined) {
+    report(path, 'no-camera-target', 'has neither lat/lon nor bounds; the map will not move', DataValidators.SEVERITY_WARNING);
+  }
+
+  if (location.zoom !== undefined && location.zoom !== '') {
+    DataValidators.checkNumber(report, `${path}.zoom`, location.zoom, 0, 24);
+  }
+  if (location.pitch !== undefined) DataValidators.checkNumber(report, `${path}.pitch`, location.pitch, 0, 85);
+  if (location.bearing !== undefined) DataValidators.checkNumber(report, `${path}.bearing`, location.bearing, -360, 360);
+  if (location.duration !== undefined) DataValidators.checkNumber(report, `${path}.duration`, location.duration, 0, Infinity);
+  if (location.easing !== undefined) DataValidators.checkEnum(report, `${path}.easing`, location.easing, DataValidators.EASINGS);
+  if (location.lineType !== undefined) DataValidators.checkEnum(report, `${path}.lineType`, location.lineType, DataValidators.LINE_TYPES);
+
+  if (location.line !== undefined && !['boolean', 'string'].includes(typeof location.line) && !DataValidators.isPlainObject(location.line)) {
+    report(`${path}.line`, 'type', 'must be true/false, a GeoJSON object or a URL');
+  }
+  if (location.lineStyle !== undefined && !DataValidators.isPlainObject(location.lineStyle)) {
+    report(`${path}.lineStyle`, 'type', 'must be an object');
+  }
+
+  if (location.bounds !== undefined) {
+    const bounds = location.bounds;
+    const isFlat = Array.isArray(bounds) && bounds.length === 4 && bounds.every(v => typeof v === 'number');
+    const isPairs = Array.isArray(bounds) && bounds.length === 2 &&
+      bounds.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(v => typeof v === 'number'));
+    const isGeoJson = DataValidators.isPlainObject(bounds) && typeof bounds.type === 'string';
+    if (!isFlat && !isPairs && !isGeoJson) {
+      report(`${path}.bounds`, 'type', 'must be [west, south, east, north], [[w, s], [e, n]] or a GeoJSON object');
+    }
+  }
+
+  if (location.padding !== undefined && typeof location.padding !== 'number' && !DataValidators.isPlainObject(location.padding)) {
+    report(`${path}.padding`, 'type', 'must be a number or { top, right, bottom, left }');
+  }
+};
+
+// Formats of slide text and captions (see StoryMap textFormat)
+DataValidators.TEXT_FORMATS = ['html', 'markdown', 'text'];
+
+DataValidators.checkMedia = (media, path, report) => {
+  if (!DataValidators.isPlainObject(media)) {
+    report(path, 'type', 'must be an object');
+  } else if (media.url !== undefined && media.url !== '') {
+    if (typeof media.url !== 'string') {
+      report(`${path}.url`, 'type', 'must be a string');
+    } else if (!DataValidators.isValidMediaUrl(media.url)) {
+      report(`${path}.url`, 'unsupported-media', 'is not a recognised image, video, audio or embeddable URL', DataValidators.SEVERITY_WARNING);
+    }
+  }
+};
+
+DataValidators.checkSlide = (slide, path, report) => {
+  if (!DataValidators.isPlainObject(slide)) {
+    report(path, 'type', 'must be an object');
+    return;
+  }
+
+  if (slide.text !== undefined && !DataValidators.isPlainObject(slide.text)) {
+    report(`${path}.text`, 'type', 'must be an object');
+  } else if (!slide.text || !slide.text.headline) {
+    report(`${path}.text.headline`, 'required', 'is missing', DataValidators.SEVERITY_WARNING);
+  } else if (typeof slide.text.headline !== 'string') {
+    report(`${path}.text.headline`, 'type', 'must be a string');
+  }
+  if (DataValidators.isPlainObject(slide.text) && slide.text.text !== undefined && typeof slide.text.text !== 'string') {
+    report(`${path}.text.text`, 'type', 'must be a string');
+  }
+  if (slide.format !== undefined) {
+    DataValidators.checkEnum(report, `${path}.format`, slide.format, DataValidators.TEXT_FORMATS);
+  }
+
+  if (slide.location !== undefined) {
+    DataValidators.checkLocation(slide.location, `${path}.location`, report);
+  }
 
-    if (!Array.isArray(data)) {
-      errors.push('Story data must be an array of slides');
-      return errors;
+  if (Array.isArray(slide.media)) {
+    if (slide.media.length === 0) {
+      report(`${path}.media`, 'empty', 'must contain at least one media item', DataValidators.SEVERITY_WARNING);
     }
+    slide.media.forEach((media, index) => DataValidators.checkMedia(media, `${path}.media[${index}]`, report));
+  } else if (slide.media !== undefined) {
+    DataValidators.checkMedia(slide.media, `${path}.media`, report);
+  }
 
-    if (data.length === 0) {
-      errors.push('Story data cannot be empty');
-      return errors;
+  if (slide.background !== undefined) {
+    if (!DataValidators.isPlainObject(slide.background)) {
+      report(`${path}.background`, 'type', 'must be an object');
+    } else if (slide.background.opacity !== undefined) {
+      DataValidators.checkNumber(report, `${path}.background.opacity`, slide.background.opacity, 0, 100);
     }
+  }
 
-    data.forEach((slide, index) => {
-      const slideErrors = DataValidators.validateSlide(slide, index);
-      errors.push(...slideErrors);
-    });
+  if (slide.layers !== undefined) {
+    if (!Array.isArray(slide.layers)) {
+      report(`${path}.layers`, 'type', 'must be an array');
+    } else {
+      slide.layers.forEach((layer, index) => {
+        const layerPath = `${path}.layers[${index}]`;
+        if (!DataValidators.isPlainObject(layer)) {
+          report(layerPath, 'type', 'must be an object');
+          return;
+        }
+        if (layer.type !== undefined) DataValidators.checkEnum(report, `${layerPath}.type`, layer.type, DataValidators.LAYER_TYPES);
+        if (layer.opacity !== undefined) DataValidators.checkNumber(report, `${layerPath}.opacity`, layer.opacity, 0, 1);
+      });
+    }
+  }
+};
+
+DataValidators.checkSlides = (slides, path, report) => {
+  if (!Array.isArray(slides)) {
+    report(path, 'type', 'must be an array of slides');
+    return;
+  }
+  if (slides.length === 0) {
+    report(path, 'empty', 'must contain at least one slide');
+    return;
+  }
+  slides.forEach((slide, index) => DataValidators.checkSlide(slide, `${path}[${index}]`, report));
+};
+
+DataValidators.checkStory = (story, path, report) => {
+  if (!DataValidators.isPlainObject(story)) {
+    report(path, 'type', 'must be an object');
+  } else if (!DataValidators.isPlainObject(story.storymap)) {
+    report(`${path}.storymap`, 'required', 'is missing');
+  } else {
+    DataValidators.checkSlides(story.storymap.slides, `${path}.storymap.slides`, report);
+  }
+};
+
+DataValidators.checkMultilingualStory = (data, report) => {
+  if (!DataValidators.isPlainObject(data.languages) || Object.keys(data.languages).length === 0) {
+    report('languages', 'required', 'must be an object with at least one language');
+    return;
+  }
+  if (!DataValidators.isPlainObject(data.storymaps)) {
+    report('storymaps', 'required', 'must be an object with one story per language');
+    return;
+  }
+
+  Object.keys(data.languages).forEach((code) => {
+    if (!data.storymaps[code]) {
+      report(`storymaps.${code}`, 'required', `is missing (language '${code}' is declared in languages)`);
+    }
+  });
+  Object.keys(data.storymaps).forEach((code) => {
+    if (!data.languages[code]) {
+      report(`languages.${code}`, 'required', `is missing (storymaps.${code} has no language entry)`, DataValidators.SEVERITY_WARNING);
+    }
+    DataValidators.checkStory(data.storymaps[code], `storymaps.${code}`, report);
+  });
+};
+
+// The core, which knows the media files it can show (loaded here in Node, e.g. by the CLI)
+DataValidators.getStoryMap = () => {
+  if (typeof StoryMap !== 'undefined') return StoryMap;
+  if (typeof require === 'function') return require('../storymap-core.js');
+  throw new Error('Checking media URLs requires storymap-core.js');
+};
+
+// A slide's media as a list of { media, path } (media can be one item or an array)
+DataValidators.getMediaItems = (media) => {
+  if (Array.isArray(media)) {
+    return media.map((item, index) => ({ media: item, path: `.media[${index}]` }));
+  }
+  return media === undefined || media === null ? [] : [{ media, path: '.media' }];
+};
 
-    return errors;
+/**
+ * List the slides arrays of a story as { path, slides }
+ * (one per language for multilingual stories)
+ */
+DataValidators.getSlideLists = (data) => {
+  if (Array.isArray(data)) {
+    return [{ path: 'slides', slides: data }];
+  }
+  if (!DataValidators.isPlainObject(data)) {
+    return [];
+  }
+  if (DataValidators.isPlainObject(data.storymaps)) {
+    return Object.keys(data.storymaps)
+      .filter(code => Array.isArray(data.storymaps[code]?.storymap?.slides))
+      .map(code => ({ path: `storymaps.${code}.storymap.slides`, slides: data.storymaps[code].storymap.slides }));
+  }
+  if (DataValidators.isPlainObject(data.storymap) && Array.isArray(data.storymap.slides)) {
+    return [{ path: 'storymap.slides', slides: data.storymap.slides }];
   }
+  return Array.isArray(data.slides) ? [{ path: 'slides', slides: data.slides }] : [];
 };
 
 /**
@@ -307,7 +1155,7 @@ const DataTransformers = {
 
       // Filter by media availability
       if (criteria.withMediaOnly) {
-        if (!slide.media || !slide.media.url) {
+        if (!DataValidators.getMediaItems(slide.media).some(({ media }) => media?.url)) {
           return false;
         }
       }
@@ -349,16 +1197,299 @@ const DataTransformers = {
       default:
         return sorted; // Keep original order
     }
+  },
+
+  /**
+   * Turn numeric strings in location (lat, lon, zoom...) into numbers and
+   * fix swapped coordinates: a latitude beyond ±90 with a longitude that fits,
+   * or, with options.bounds ([west, south, east, north]), a point that only
+   * falls inside the bounds once swapped.
+   */
+  normalizeCoordinates: (slides, options = {}) => {
+    const fields = options.fields || ['lat', 'lon', 'zoom', 'pitch', 'bearing'];
+    const inBounds = (lon, lat) => {
+      const [west, south, east, north] = options.bounds;
+      return lon >= west && lon <= east && lat >= south && lat <= north;
+    };
+
+    return slides.map((slide, index) => {
+      if (!slide.location) return slide;
+
+      const location = { ...slide.location };
+      fields.forEach((field) => {
+        const value = location[field];
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+          location[field] = Number(value);
+        }
+      });
+
+      if (typeof location.lat === 'number' && typeof location.lon === 'number') {
+        const swapped = Math.abs(location.lat) > 90 && Math.abs(location.lon) <= 90
+          ? true
+          : Boolean(options.bounds) && !inBounds(location.lon, location.lat) && inBounds(location.lat, location.lon);
+
+        if (swapped) {
+          console.warn(`Slide ${index}: lat/lon look swapped (${location.lat}, ${location.lon}), swapping them`);
+          [location.lat, location.lon] = [location.lon, location.lat];
+        }
+      }
+
+      return { ...slide, location };
+    });
+  },
+
+  /**
+   * Fill in missing coordinates from location.name (see geocodeSlides).
+   * options.geocoder is any geocoder; options.gazetteer is a shortcut for
+   * GeocodingProviders.gazetteer({ places: gazetteer }). Unresolved names are
+   * logged and passed to options.onUnresolved([{ index, name }]).
+   */
+  geocode: async (slides, options = {}) => {
+    const geocoder = options.geocoder || GeocodingProviders.gazetteer({ places: options.gazetteer || {} });
+    const { slides: result, unresolved } = await geocodeSlides(slides, { ...options, geocoder });
+
+    unresolved.forEach(({ index, name }) => {
+      console.warn(`Slide ${index}: no coordinates found for '${name}'`);
+    });
+    if (unresolved.length > 0 && typeof options.onUnresolved === 'function') {
+      options.onUnresolved(unresolved);
+    }
+    return result;
+  },
+
+  /**
+   * Remove duplicate slides, keeping the first one. By default two slides
+   * are duplicates when headline, coordinates and media URL are the same;
+   * options.key(slide) can define another identity. With
+   * options.consecutiveOnly only neighbouring duplicates are removed.
+   */
+  dedupeSlides: (slides, options = {}) => {
+    const key = options.key || ((slide) => {
+      const location = slide.location || {};
+      const coordinate = value => (isNaN(parseFloat(value)) ? '' : parseFloat(value).toFixed(6));
+      return [
+        (slide.text?.headline || '').trim(),
+        coordinate(location.lat),
+        coordinate(location.lon),
+        DataValidators.getMediaItems(slide.media).map(({ media }) => media?.url || '').join(',')
+      ].join('|');
+    });
+
+    const seen = new Set();
+    let previousKey = null;
+
+    return slides.filter((slide) => {
+      const slideKey = key(slide);
+      const duplicate = options.consecutiveOnly ? slideKey === previousKey : seen.has(slideKey);
+      previousKey = slideKey;
+      seen.add(slideKey);
+      return !duplicate;
+    });
   }
 };
 
+/**
+ * Geocoding
+ * A geocoder is any object with lookup(name) returning (or resolving to)
+ * [lon, lat], { lat, lon, zoom } or null when the name is unknown.
+ */
+
+/**
+ * Geocoding backends
+ */
+const GeocodingProviders = {
+  /**
+   * Offline gazetteer: looks names up in a local list of places.
+   * - config.places: object or Map of name -> [lon, lat] or { lat, lon, zoom }
+   * - config.data: CSV text (name, lat, lon, zoom, alternatenames columns)
+   *   or a GeoJSON FeatureCollection of named points
+   * - config.url: URL of such a CSV or GeoJSON file, fetched on the first lookup
+   * Names are matched ignoring case, accents and extra spaces.
+   */
+  gazetteer: (config = {}) => {
+    let index = null;
+
+    const load = async () => {
+      if (config.places) {
+        const entries = config.places instanceof Map ? config.places.entries() : Object.entries(config.places);
+        const places = new Map();
+        Array.from(entries).forEach(([name, value]) => {
+          const place = GeocodingProviders.toPlace(value);
+          if (place) places.set(GeocodingProviders.normalizePlaceName(name), place);
+        });
+        return places;
+      }
+
+      let source = config.data;
+      if (!source && config.url) {
+        const response = await fetch(config.url);
+        if (!response.ok) {
+          throw new Error(`Failed to load ${config.url}: ${response.status}`);
+        }
+        const text = await response.text();
+        source = /\.csv(\?|#|$)/i.test(config.url) ? text : JSON.parse(text);
+      }
+      return GeocodingProviders.buildGazetteerIndex(source, config);
+    };
+
+    return {
+      lookup: async (name) => {
+        // A failed load is not kept, so the next lookup tries again
+        index = index || load().catch((error) => {
+          index = null;
+          throw error;
+        });
+        return (await index).get(GeocodingProviders.normalizePlaceName(name)) || null;
+      }
+    };
+  },
+
+  /**
+   * Wrap a lookup function, e.g. one calling an online service:
+   * GeocodingProviders.custom(async name => [lon, lat] or null)
+   */
+  custom: (lookup) => ({
+    lookup: async name => lookup(name)
+  })
+};
+
+// "  São  Paulo " -> "sao paulo"
+GeocodingProviders.normalizePlaceName = (name) => {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+};
+
+GeocodingProviders.toPlace = (value) => {
+  if (!value) return null;
+
+  const [lon, lat] = Array.isArray(value) ? value : [value.lon ?? value.lng, value.lat];
+  const place = { lat: parseFloat(lat), lon: parseFloat(lon) };
+  if (isNaN(place.lat) || isNaN(place.lon)) return null;
+
+  if (!Array.isArray(value) && value.zoom !== undefined && value.zoom !== '') {
+    place.zoom = parseFloat(value.zoom);
+  }
+  return place;
+};
+
+GeocodingProviders.GAZETTEER_COLUMNS = {
+  name: ['name', 'place', 'placename'],
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+  zoom: ['zoom'],
+  alternateNames: ['alternatenames', 'alternate_names', 'aliases']
+};
+
+// Alternate names are separated by ';' or '|' (names themselves may contain commas)
+GeocodingProviders.splitAlternateNames = (value) => {
+  return value ? String(value).split(/[;|]/).map(name => name.trim()).filter(Boolean) : [];
+};
+
+/**
+ * Build the name index of a gazetteer from CSV text or a GeoJSON object
+ */
+GeocodingProviders.buildGazetteerIndex = (source, config) => {
+  const index = new Map();
+  const add = (names, place) => {
+    if (!place) return;
+    names.forEach((name) => {
+      const key = GeocodingProviders.normalizePlaceName(name);
+      // The first entry wins, so list the most important places first
+      if (key && !index.has(key)) index.set(key, place);
+    });
+  };
+
+  if (typeof source === 'string') {
+    const rows = DataProviders.parseCsv(source, config.delimiter);
+    const header = (rows[0] || []).map(name => name.trim().toLowerCase());
+    const column = (field) => {
+      const names = [].concat(config.columns?.[field] || GeocodingProviders.GAZETTEER_COLUMNS[field]);
+      return header.findIndex(name => names.map(n => n.toLowerCase()).includes(name));
+    };
+    const [nameColumn, latColumn, lonColumn, zoomColumn, alternateColumn] =
+      ['name', 'lat', 'lon', 'zoom', 'alternateNames'].map(column);
+
+    if (nameColumn < 0 || latColumn < 0 || lonColumn < 0) {
+      throw new Error('Gazetteer CSV needs name, lat and lon columns');
+    }
+
+    rows.slice(1).forEach((row) => {
+      const place = GeocodingProviders.toPlace({
+        lat: row[latColumn],
+        lon: row[lonColumn],
+        zoom: zoomColumn >= 0 ? row[zoomColumn] : undefined
+      });
+      add([row[nameColumn], ...GeocodingProviders.splitAlternateNames(row[alternateColumn])], place);
+    });
+  } else if (source && source.type === 'FeatureCollection') {
+    const nameProperty = config.nameProperty || 'name';
+    const alternateProperty = config.alternateNamesProperty || 'alternatenames';
+
+    source.features.forEach((feature) => {
+      if (feature.geometry?.type !== 'Point') return;
+      const properties = feature.properties || {};
+      const [lon, lat] = feature.geometry.coordinates;
+      const alternates = Array.isArray(properties[alternateProperty])
+        ? properties[alternateProperty]
+        : GeocodingProviders.splitAlternateNames(properties[alternateProperty]);
+      add([properties[nameProperty], ...alternates], GeocodingProviders.toPlace({ lat, lon, zoom: properties.zoom }));
+    });
+  } else {
+    throw new Error('Invalid gazetteer. Expected CSV text or a GeoJSON FeatureCollection.');
+  }
+
+  return index;
+};
+
+/**
+ * Fill in the coordinates of slides that have location.name but no lat/lon.
+ * Options: geocoder (required), zoom (default zoom for geocoded slides).
+ * Resolves to { slides, resolved, unresolved: [{ index, name }] }.
+ */
+async function geocodeSlides(slides, options = {}) {
+  if (!options.geocoder || typeof options.geocoder.lookup !== 'function') {
+    throw new Error('geocodeSlides requires options.geocoder with a lookup(name) method');
+  }
+
+  const unresolved = [];
+  let resolved = 0;
+
+  const result = await Promise.all(slides.map(async (slide, index) => {
+    const location = slide.location;
+    if (!location || !location.name || DataValidators.isValidLocation(location)) return slide;
+
+    const place = GeocodingProviders.toPlace(await options.geocoder.lookup(location.name));
+    if (!place) {
+      unresolved.push({ index, name: location.name });
+      return slide;
+    }
+
+    resolved++;
+    const zoom = location.zoom ?? place.zoom ?? options.zoom;
+    return {
+      ...slide,
+      location: { ...location, lat: place.lat, lon: place.lon, ...(zoom !== undefined ? { zoom } : {}) }
+    };
+  }));
+
+  // Lookups finish in any order; list the names in slide order
+  unresolved.sort((a, b) => a.index - b.index);
+  return { slides: result, resolved, unresolved };
+}
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     DataProviders,
     DataValidators,
     DataTransformers,
-    loadStoryData
+    loadStoryData,
+    GeocodingProviders,
+    geocodeSlides
   };
 }
 
@@ -367,4 +1498,6 @@ if (typeof window !== 'undefined') {
   window.DataValidators = DataValidators;
   window.DataTransformers = DataTransformers;
   window.loadStoryData = loadStoryData;
+  window.GeocodingProviders = GeocodingProviders;
+  window.geocodeSlides = geocodeSlides;
 }
@@ -15,12 +15,15 @@ import('./data-providers.js').then(module => {
   window.DataValidators = module.DataValidators;
   window.DataTransformers = module.DataTransformers;
   window.loadStoryData = module.loadStoryData;
+  window.GeocodingProviders = module.GeocodingProviders;
+  window.geocodeSlides = module.geocodeSlides;
 });
 
 import('./media-providers.js').then(module => {
   window.MediaProviders = module.MediaProviders;
   window.MediaUtils = module.MediaUtils;
   window.MediaValidators = module.MediaValidators;
+  window.MediaRegistry = module.MediaRegistry;
   window.createMedia = module.createMedia;
 });
 
@@ -30,11 +33,16 @@ import('./multilingual-provider.js').then(module => {
   window.loadMultilingualData = module.loadMultilingualData;
 });
 
+import('./storymapjs-converter.js').then(module => {
+  window.StoryMapJSConverter = module.StoryMapJSConverter;
+});
+
 // For ES modules (when used in Node.js or modern bundlers)
 export { MapProviders, MapStyles, createMap } from './map-providers.js';
-export { DataProviders, DataValidators, DataTransformers, loadStoryData } from './data-providers.js';
-export { MediaProviders, MediaUtils, MediaValidators, createMedia } from './media-providers.js';
+export { DataProviders, DataValidators, DataTransformers, loadStoryData, GeocodingProviders, geocodeSlides } from './data-providers.js';
+export { MediaProviders, MediaUtils, MediaValidators, MediaRegistry, createMedia } from './media-providers.js';
 export { MultilingualDataProvider, createMultilingualProvider, loadMultilingualData } from './multilingual-provider.js';
+export { StoryMapJSConverter } from './storymapjs-converter.js';
 
 // Default export with all providers
 import * as MapProviders from './map-providers.js';
@@ -18,14 +18,8 @@ const MediaProviders = {
     const url = config.url;
     const options = config.options || {};
 
-    // Convert watch URL to embed URL
-    let embedUrl = url.replace('watch?v=', 'embed/');
-
-    // Handle youtu.be URLs
-    if (url.includes('youtu.be/')) {
-      const videoId = url.split('youtu.be/')[1].split('?')[0];
-      embedUrl = `https://www.youtube.com/embed/${videoId}`;
-    }
+    // Convert watch, youtu.be and shorts URLs to an embed URL
+    let embedUrl = `https://www.youtube.com/embed/${MediaUtils.getStoryMap().getYouTubeId(url)}`;
 
     // Add parameters
     const params = new URLSearchParams();
@@ -45,6 +39,7 @@ const MediaProviders = {
     iframe.src = embedUrl;
     iframe.width = options.width || '100%';
     iframe.height = options.height || '315';
+    if (options.title) iframe.title = options.title;
     iframe.frameBorder = '0';
     iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
     iframe.allowFullscreen = true;
@@ -54,8 +49,8 @@ const MediaProviders = {
     container.appendChild(iframe);
 
     // Add caption if provided
-    if (config.caption) {
-      MediaProviders.addCaption(container, config.caption, config.credit);
+    if (config.caption || config.credit) {
+      MediaUtils.addCaption(container, config.caption, config.credit, config.sanitize);
     }
 
     return iframe;
@@ -73,7 +68,7 @@ const MediaProviders = {
     // Create image element
     const img = document.createElement('img');
     img.src = url;
-    img.alt = config.caption || config.alt || '';
+    img.alt = config.alt || MediaUtils.getStoryMap().htmlToText(config.caption);
     img.loading = 'lazy';
 
     // Apply styling options
@@ -83,18 +78,35 @@ const MediaProviders = {
     if (options.borderRadius) img.style.borderRadius = options.borderRadius;
     if (options.objectFit) img.style.objectFit = options.objectFit;
 
-    // Add click handler for lightbox if enabled
+    // Open in the lightbox on click, Enter or Space (closed again by the registry's destroy)
     if (options.lightbox) {
       img.style.cursor = 'pointer';
-      img.addEventListener('click', () => MediaProviders.openLightbox(url, config.caption));
+      img.tabIndex = 0;
+      img.setAttribute('role', 'button');
+      img.setAttribute('aria-haspopup', 'dialog');
+      const open = (event) => {
+        if (event.type === 'keydown') {
+          if (event.key !== 'Enter' && event.key !== ' ') return;
+          event.preventDefault();
+        }
+        closeLightbox(img);
+        const lightbox = MediaUtils.getStoryMap().openLightbox(
+          [{ url, alt: img.alt, caption: config.caption, credit: config.credit }],
+          0,
+          { sanitize: config.sanitize || MediaUtils.sanitize }
+        );
+        lightboxes.set(img, lightbox.close);
+      };
+      img.addEventListener('click', open);
+      img.addEventListener('keydown', open);
     }
 
     // Add to container
     container.appendChild(img);
 
     // Add caption if provided
-    if (config.caption) {
-      MediaProviders.addCaption(container, config.caption, config.credit);
+    if (config.caption || config.credit) {
+      MediaUtils.addCaption(container, config.caption, config.credit, config.sanitize);
     }
 
     return img;
@@ -132,8 +144,8 @@ const MediaProviders = {
     container.appendChild(video);
 
     // Add caption if provided
-    if (config.caption) {
-      MediaProviders.addCaption(container, config.caption, config.credit);
+    if (config.caption || config.credit) {
+      MediaUtils.addCaption(container, config.caption, config.credit, config.sanitize);
     }
 
     return video;
@@ -164,13 +176,123 @@ const MediaProviders = {
     container.appendChild(audio);
 
     // Add caption if provided
-    if (config.caption) {
-      MediaProviders.addCaption(container, config.caption, config.credit);
+    if (config.caption || config.credit) {
+      MediaUtils.addCaption(container, config.caption, config.credit, config.sanitize);
     }
 
     return audio;
   },
 
+  /**
+   * Vimeo provider
+   * vimeo.com/<id>, vimeo.com/<id>/<hash> (unlisted), player.vimeo.com/video/<id>,
+   * with the start time from #t=1m30s
+   */
+  vimeo: (config) => {
+    const options = config.options || {};
+    const info = MediaUtils.getVimeoInfo(config.url);
+    if (!info) {
+      throw new Error(`Not a Vimeo video URL: ${config.url}`);
+    }
+
+    const params = new URLSearchParams();
+    if (info.hash) params.append('h', info.hash);
+    if (options.autoplay) params.append('autoplay', '1');
+    if (options.mute) params.append('muted', '1');
+    if (options.loop) params.append('loop', '1');
+    if (options.controls === false) params.append('controls', '0');
+
+    const start = options.start !== undefined ? MediaUtils.parseStartTime(options.start) : info.start;
+    let embedUrl = `https://player.vimeo.com/video/${info.id}`;
+    if (params.toString()) embedUrl += '?' + params.toString();
+    if (start) embedUrl += `#t=${start}s`;
+
+    return embedFrame(config, embedUrl, 'autoplay; fullscreen; picture-in-picture');
+  },
+
+  /**
+   * Dailymotion provider
+   * dailymotion.com/video/<id>, dai.ly/<id> and embed URLs, with the start time from ?start=
+   */
+  dailymotion: (config) => {
+    const options = config.options || {};
+    const info = MediaUtils.getDailymotionInfo(config.url);
+    if (!info) {
+      throw new Error(`Not a Dailymotion video URL: ${config.url}`);
+    }
+
+    const params = new URLSearchParams();
+    if (options.autoplay) params.append('autoplay', '1');
+    if (options.mute) params.append('mute', '1');
+    if (options.loop) params.append('loop', '1');
+    if (options.controls === false) params.append('controls', '0');
+
+    const start = options.start !== undefined ? MediaUtils.parseStartTime(options.start) : info.start;
+    if (start) params.append('start', String(start));
+
+    let embedUrl = `https://www.dailymotion.com/embed/video/${info.id}`;
+    if (params.toString()) embedUrl += '?' + params.toString();
+
+    return embedFrame(config, embedUrl, 'autoplay; fullscreen; picture-in-picture');
+  },
+
+  /**
+   * SoundCloud provider
+   * Track and playlist pages (soundcloud.com/<artist>/<track>) in the SoundCloud
+   * widget, with the start time from #t=1:30
+   */
+  soundcloud: (config) => {
+    const options = config.options || {};
+    const info = MediaUtils.getSoundCloudInfo(config.url);
+    if (!info) {
+      throw new Error(`Not a SoundCloud track or playlist URL: ${config.url}`);
+    }
+
+    const params = new URLSearchParams();
+    params.append('url', info.url);
+    params.append('auto_play', options.autoplay ? 'true' : 'false');
+    params.append('visual', options.visual ? 'true' : 'false');
+    if (options.color) params.append('color', options.color.replace('#', ''));
+
+    let embedUrl = `https://w.soundcloud.com/player/?${params.toString()}`;
+    const start = options.start !== undefined ? MediaUtils.parseStartTime(options.start) : info.start;
+    if (start) embedUrl += `#t=${MediaUtils.formatStartTime(start)}`;
+
+    return embedFrame(
+      { ...config, options: { height: options.visual ? '300' : '166', ...options } },
+      embedUrl,
+      'autoplay'
+    );
+  },
+
+  /**
+   * Wikimedia Commons provider
+   * File pages (commons.wikimedia.org/wiki/File:...) are resolved to the file
+   * itself through Special:FilePath; images, videos and audio files are
+   * displayed with the matching provider. The credit defaults to Wikimedia Commons.
+   */
+  commons: (config) => {
+    const options = config.options || {};
+    const info = MediaUtils.getCommonsInfo(config.url);
+    if (!info) {
+      throw new Error(`Not a Wikimedia Commons file URL: ${config.url}`);
+    }
+
+    const media = {
+      ...config,
+      url: info.upload && !options.thumbnailWidth ? config.url : MediaUtils.getCommonsFileUrl(info, options.thumbnailWidth),
+      credit: config.credit || MediaUtils.getCredit(config.url),
+      alt: config.alt || info.title
+    };
+
+    if (/\.(webm|ogv|mp4)$/i.test(info.file)) {
+      return MediaProviders.video(media);
+    } else if (/\.(ogg|oga|mp3|wav|flac|opus)$/i.test(info.file)) {
+      return MediaProviders.audio(media);
+    }
+    return MediaProviders.image(media);
+  },
+
   /**
    * Custom media provider
    * For completely custom media handling
@@ -184,6 +306,140 @@ const MediaProviders = {
   }
 };
 
+// Embed iframe shared by the Vimeo, Dailymotion and SoundCloud providers
+const embedFrame = (config, src, allow) => {
+  const options = config.options || {};
+  const iframe = document.createElement('iframe');
+  iframe.src = src;
+  iframe.width = options.width || '100%';
+  iframe.height = options.height || '315';
+  if (options.title) iframe.title = options.title;
+  iframe.frameBorder = '0';
+  iframe.allow = allow;
+  iframe.allowFullscreen = true;
+  iframe.loading = 'lazy';
+
+  config.container.appendChild(iframe);
+
+  const credit = config.credit || MediaUtils.getCredit(config.url);
+  if (config.caption || credit) {
+    MediaUtils.addCaption(config.container, config.caption, credit, config.sanitize);
+  }
+
+  return iframe;
+};
+
+// Close functions of the lightboxes opened from MediaProviders.image, by image
+const lightboxes = new WeakMap();
+
+const closeLightbox = (img) => {
+  const close = img && lightboxes.get(img);
+  if (!close) return;
+  lightboxes.delete(img);
+  close();
+};
+
+// Stop an iframe, video or audio element before it is removed
+const stopPlayback = (element) => {
+  if (!element) return;
+  if (element.tagName === 'IFRAME') {
+    element.src = 'about:blank';
+  } else if (element.tagName === 'VIDEO' || element.tagName === 'AUDIO') {
+    element.pause();
+    element.removeAttribute('src');
+    element.load();
+  }
+};
+
+/**
+ * Media handler registry
+ * A handler is { name, match(url, media), render(container, media, context), destroy(instance, container) }:
+ * - match decides whether the handler displays the media
+ * - render adds the media to the container ({ url, caption, credit, options })
+ *   and returns whatever destroy needs (usually the element)
+ * - destroy (optional) stops playback and releases resources before the
+ *   media is removed
+ * Handlers registered later take precedence, so hosts can override the built-ins.
+ */
+const MediaRegistry = {
+  handlers: [
+    {
+      name: 'youtube',
+      match: url => MediaUtils.getStoryMap().getYouTubeId(url) !== '',
+      render: (container, media) => MediaProviders.youtube({ container, ...media }),
+      destroy: stopPlayback
+    },
+    {
+      name: 'vimeo',
+      match: url => MediaUtils.getVimeoInfo(url) !== null,
+      render: (container, media) => MediaProviders.vimeo({ container, ...media }),
+      destroy: stopPlayback
+    },
+    {
+      name: 'dailymotion',
+      match: url => MediaUtils.getDailymotionInfo(url) !== null,
+      render: (container, media) => MediaProviders.dailymotion({ container, ...media }),
+      destroy: stopPlayback
+    },
+    {
+      name: 'soundcloud',
+      match: url => MediaUtils.getSoundCloudInfo(url) !== null,
+      render: (container, media) => MediaProviders.soundcloud({ container, ...media }),
+      destroy: stopPlayback
+    },
+    {
+      name: 'commons',
+      match: url => MediaUtils.getCommonsInfo(url) !== null,
+      render: (container, media) => MediaProviders.commons({ container, ...media }),
+      destroy: stopPlayback
+    },
+    {
+      name: 'video',
+      match: url => MediaUtils.getStoryMap().isMediaFile(url, 'video'),
+      render: (container, media) => MediaProviders.video({ container, ...media }),
+      destroy: stopPlayback
+    },
+    {
+      name: 'audio',
+      match: url => MediaUtils.getStoryMap().isMediaFile(url, 'audio'),
+      render: (container, media) => MediaProviders.audio({ container, ...media }),
+      destroy: stopPlayback
+    },
+    {
+      name: 'image',
+      match: url => MediaUtils.getStoryMap().isMediaFile(url, 'image'),
+      render: (container, media) => MediaProviders.image({ container, ...media }),
+      destroy: closeLightbox
+    }
+  ],
+
+  /**
+   * Add a handler (replacing any handler with the same name)
+   */
+  register: (handler) => {
+    if (!handler || typeof handler.match !== 'function' || typeof handler.render !== 'function') {
+      throw new Error('Media handlers need match and render functions');
+    }
+    if (handler.name) {
+      MediaRegistry.unregister(handler.name);
+    }
+    MediaRegistry.handlers.unshift(handler);
+    return handler;
+  },
+
+  unregister: (name) => {
+    MediaRegistry.handlers = MediaRegistry.handlers.filter(handler => handler.name !== name);
+  },
+
+  /**
+   * First handler that matches the media ({ url, ... }), or null
+   */
+  find: (media) => {
+    if (!media || !media.url) return null;
+    return MediaRegistry.handlers.find(handler => handler.match(media.url, media)) || null;
+  }
+};
+
 /**
  * Helper function to create media with automatic type detection
  */
@@ -193,11 +449,19 @@ function createMedia(config) {
   // Auto-detect media type
   if (url.includes('youtube.com') || url.includes('youtu.be')) {
     return MediaProviders.youtube(config);
-  } else if (url.match(/\.(mp4|webm|ogg)$/i)) {
+  } else if (MediaUtils.getVimeoInfo(url)) {
+    return MediaProviders.vimeo(config);
+  } else if (MediaUtils.getDailymotionInfo(url)) {
+    return MediaProviders.dailymotion(config);
+  } else if (MediaUtils.getSoundCloudInfo(url)) {
+    return MediaProviders.soundcloud(config);
+  } else if (MediaUtils.getCommonsInfo(url)) {
+    return MediaProviders.commons(config);
+  } else if (MediaUtils.getStoryMap().isMediaFile(url, 'video')) {
     return MediaProviders.video(config);
-  } else if (url.match(/\.(mp3|wav|m4a)$/i)) {
+  } else if (MediaUtils.getStoryMap().isMediaFile(url, 'audio')) {
     return MediaProviders.audio(config);
-  } else if (url.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
+  } else if (MediaUtils.getStoryMap().isMediaFile(url, 'image')) {
     return MediaProviders.image(config);
   } else {
     // Default to image for unknown types
@@ -205,94 +469,208 @@ function createMedia(config) {
   }
 }
 
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+// Value of a #key=value fragment parameter (Vimeo and SoundCloud start times)
+function getHashParam(parsed, key) {
+  return new URLSearchParams(parsed.hash.slice(1)).get(key);
+}
+
 /**
  * Media utility functions
  */
 const MediaUtils = {
   /**
-   * Add caption and credit to media container
+   * The core (storymap-core.js), whose media helpers this file shares:
+   * StoryMap.getYouTubeId, htmlToText, addCaption, sanitizeHTML, openLightbox
+   * and MEDIA_EXTENSIONS. Node loads it here; in the browser load it first.
+   */
+  getStoryMap: () => {
+    if (typeof StoryMap !== 'undefined') return StoryMap;
+    if (typeof require === 'function') return require('../storymap-core.js');
+    throw new Error('providers/media-providers.js requires storymap-core.js');
+  },
+
+  /**
+   * Seconds from a start time: 90, '90', '90s', '1m30s', '1h2m3s', '1:30' or '1:02:03'.
+   * Returns 0 when the value cannot be read.
    */
-  addCaption: (container, caption, credit) => {
-    if (!caption && !credit) return;
-
-    const captionDiv = document.createElement('div');
-    captionDiv.className = 'media-caption';
-
-    if (caption && credit) {
-      captionDiv.innerHTML = `<span class="caption-text">${caption}</span> <span class="caption-credit">${credit}</span>`;
-    } else if (caption) {
-      captionDiv.textContent = caption;
-    } else if (credit) {
-      captionDiv.textContent = credit;
+  parseStartTime: (value) => {
+    if (typeof value === 'number') return value > 0 ? Math.floor(value) : 0;
+    if (typeof value !== 'string') return 0;
+
+    const text = value.trim();
+    if (/^\d+(\.\d+)?s?$/.test(text)) {
+      return Math.floor(parseFloat(text));
     }
+    if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+      return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+    const units = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(text);
+    if (units && text !== '') {
+      return Number(units[1] || 0) * 3600 + Number(units[2] || 0) * 60 + Number(units[3] || 0);
+    }
+    return 0;
+  },
 
-    container.appendChild(captionDiv);
+  /**
+   * Seconds as m:ss or h:mm:ss
+   */
+  formatStartTime: (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
   },
 
   /**
-   * Open image in lightbox modal
+   * { id, hash, start } of a Vimeo video URL, or null
    */
-  openLightbox: (imageUrl, caption) => {
-    // Create lightbox overlay
-    const overlay = document.createElement('div');
-    overlay.className = 'lightbox-overlay';
-    overlay.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      background: rgba(0, 0, 0, 0.9);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 10000;
-      cursor: pointer;
-    `;
-
-    // Create lightbox image
-    const img = document.createElement('img');
-    img.src = imageUrl;
-    img.style.cssText = `
-      max-width: 90%;
-      max-height: 90%;
-      object-fit: contain;
-      border-radius: 8px;
-    `;
+  getVimeoInfo: (url) => {
+    const parsed = parseUrl(url);
+    if (!parsed || !/(^|\.)vimeo\.com$/.test(parsed.hostname)) return null;
+
+    // player.vimeo.com/video/<id>?h=<hash>, vimeo.com/<id>/<hash>,
+    // vimeo.com/channels/<name>/<id>, vimeo.com/groups/<name>/videos/<id>
+    const match = /\/(?:video\/|videos\/)?(\d{5,})(?:\/([\da-f]{6,}))?\/?$/.exec(parsed.pathname);
+    if (!match) return null;
+
+    return {
+      id: match[1],
+      hash: match[2] || parsed.searchParams.get('h') || null,
+      start: MediaUtils.parseStartTime(getHashParam(parsed, 't') || parsed.searchParams.get('t') || '')
+    };
+  },
 
-    // Add caption if provided
-    if (caption) {
-      const captionDiv = document.createElement('div');
-      captionDiv.textContent = caption;
-      captionDiv.style.cssText = `
-        position: absolute;
-        bottom: 20px;
-        left: 50%;
-        transform: translateX(-50%);
-        color: white;
-        font-size: 14px;
-        text-align: center;
-        max-width: 80%;
-      `;
-      overlay.appendChild(captionDiv);
+  /**
+   * { id, start } of a Dailymotion video URL, or null
+   */
+  getDailymotionInfo: (url) => {
+    const parsed = parseUrl(url);
+    if (!parsed) return null;
+
+    let id = null;
+    if (parsed.hostname === 'dai.ly') {
+      id = parsed.pathname.slice(1);
+    } else if (/(^|\.)dailymotion\.com$/.test(parsed.hostname)) {
+      // dailymotion.com/video/<id>_<slug>, /embed/video/<id>, geo.dailymotion.com/player.html?video=<id>
+      const match = /\/video\/([a-z0-9]+)/i.exec(parsed.pathname);
+      id = match ? match[1] : parsed.searchParams.get('video');
     }
+    if (!id || !/^[a-z0-9]+$/i.test(id)) return null;
 
-    // Close on click
-    overlay.addEventListener('click', () => {
-      document.body.removeChild(overlay);
-    });
+    return {
+      id,
+      start: MediaUtils.parseStartTime(parsed.searchParams.get('start') || parsed.searchParams.get('startTime') || '')
+    };
+  },
+
+  /**
+   * { url, artist, start } of a SoundCloud track or playlist URL, or null.
+   * url is the page URL without query string or fragment, as the widget expects.
+   */
+  getSoundCloudInfo: (url) => {
+    const parsed = parseUrl(url);
+    if (!parsed || !/^(www\.|m\.)?soundcloud\.com$/.test(parsed.hostname)) return null;
+
+    // <artist>/<track> or <artist>/sets/<playlist>
+    const match = /^\/([\w-]+)\/(?:sets\/)?([\w-]+)\/?$/.exec(parsed.pathname);
+    if (!match || ['discover', 'search', 'you', 'stream'].includes(match[1])) return null;
+
+    return {
+      url: `https://soundcloud.com${parsed.pathname.replace(/\/$/, '')}`,
+      artist: match[1],
+      start: MediaUtils.parseStartTime(getHashParam(parsed, 't') || '')
+    };
+  },
 
-    // Close on escape key
-    const handleKeyPress = (e) => {
-      if (e.key === 'Escape') {
-        document.body.removeChild(overlay);
-        document.removeEventListener('keydown', handleKeyPress);
+  /**
+   * { file, upload, title } of a Wikimedia Commons file page (or upload.wikimedia.org
+   * file URL, upload: true), or null. file is the name with underscores ('Eiffel_Tower.jpg').
+   */
+  getCommonsInfo: (url) => {
+    const parsed = parseUrl(url);
+    if (!parsed) return null;
+
+    // A malformed escape (File:100%_Pure.jpg) is not a Commons file URL
+    const decode = (text) => {
+      try {
+        return decodeURIComponent(text);
+      } catch {
+        return null;
       }
     };
-    document.addEventListener('keydown', handleKeyPress);
 
-    overlay.appendChild(img);
-    document.body.appendChild(overlay);
+    let file = null;
+    if (/^commons\.(m\.)?wikimedia\.org$/.test(parsed.hostname)) {
+      const page = parsed.pathname.startsWith('/wiki/')
+        ? decode(parsed.pathname.slice('/wiki/'.length))
+        : parsed.searchParams.get('title') || '';
+      const match = /^(?:File|Image):(.+)$/i.exec(page || '');
+      file = match ? match[1] : null;
+    } else if (parsed.hostname === 'upload.wikimedia.org' && parsed.pathname.startsWith('/wikipedia/commons/')) {
+      // /wikipedia/commons/a/ab/<file> or /wikipedia/commons/thumb/a/ab/<file>/<width>px-<file>
+      const match = /^\/wikipedia\/commons\/(?:thumb\/)?[\da-f]\/[\da-f]{2}\/([^/]+)/.exec(parsed.pathname);
+      file = match ? decode(match[1]) : null;
+    }
+    if (!file) return null;
+
+    file = file.replace(/ /g, '_');
+    return {
+      file,
+      upload: parsed.hostname === 'upload.wikimedia.org',
+      title: file.replace(/_/g, ' ').replace(/\.[a-z0-9]+$/i, '')
+    };
+  },
+
+  /**
+   * URL of the file itself (Special:FilePath redirects to it), or of a
+   * thumbnail when a width is given
+   */
+  getCommonsFileUrl: (info, width) => {
+    const url = `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(info.file)}`;
+    return width ? `${url}?width=${width}` : url;
+  },
+
+  /**
+   * Credit that can be read from the URL alone ('' when there is none):
+   * the artist for SoundCloud, the file host for Wikimedia Commons
+   */
+  getCredit: (url) => {
+    const soundcloud = MediaUtils.getSoundCloudInfo(url);
+    if (soundcloud) return `${soundcloud.artist} / SoundCloud`;
+    if (MediaUtils.getCommonsInfo(url)) return 'Wikimedia Commons';
+    return '';
+  },
+
+  /**
+   * Clean caption and credit HTML with StoryMap.sanitizeHTML
+   */
+  sanitize: (html) => {
+    return MediaUtils.getStoryMap().sanitizeHTML(html);
+  },
+
+  /**
+   * Add caption and credit to media container.
+   * Both are HTML, cleaned with sanitize (MediaUtils.sanitize by default).
+   */
+  addCaption: (container, caption, credit, sanitize = MediaUtils.sanitize) => {
+    MediaUtils.getStoryMap().addCaption(container, caption, credit, sanitize);
+  },
+
+  /**
+   * Open image in lightbox modal (StoryMap.openLightbox).
+   * caption and credit are HTML, cleaned with sanitize.
+   */
+  openLightbox: (imageUrl, caption, credit, sanitize = MediaUtils.sanitize) => {
+    const storyMap = MediaUtils.getStoryMap();
+    storyMap.openLightbox([{ url: imageUrl, alt: storyMap.htmlToText(caption), caption, credit }], 0, { sanitize });
   },
 
   /**
@@ -374,7 +752,10 @@ const MediaValidators = {
       'youtube.com',
       'youtu.be',
       'vimeo.com',
-      'dailymotion.com'
+      'dailymotion.com',
+      'dai.ly',
+      'soundcloud.com',
+      'wikimedia.org'
     ];
 
     try {
@@ -391,11 +772,19 @@ const MediaValidators = {
   getMediaType: (url) => {
     if (url.includes('youtube.com') || url.includes('youtu.be')) {
       return 'youtube';
-    } else if (url.match(/\.(mp4|webm|ogg)$/i)) {
+    } else if (MediaUtils.getVimeoInfo(url)) {
+      return 'vimeo';
+    } else if (MediaUtils.getDailymotionInfo(url)) {
+      return 'dailymotion';
+    } else if (MediaUtils.getSoundCloudInfo(url)) {
+      return 'soundcloud';
+    } else if (MediaUtils.getCommonsInfo(url)) {
+      return 'commons';
+    } else if (MediaUtils.getStoryMap().isMediaFile(url, 'video')) {
       return 'video';
-    } else if (url.match(/\.(mp3|wav|m4a)$/i)) {
+    } else if (MediaUtils.getStoryMap().isMediaFile(url, 'audio')) {
       return 'audio';
-    } else if (url.match(/\.(jpg|jpeg|png|gif|webp|svg)$/i)) {
+    } else if (MediaUtils.getStoryMap().isMediaFile(url, 'image')) {
       return 'image';
     } else {
       return 'unknown';
@@ -409,6 +798,7 @@ if (typeof module !== 'undefined' && module.exports) {
     MediaProviders,
     MediaUtils,
     MediaValidators,
+    MediaRegistry,
     createMedia
   };
 }
@@ -417,5 +807,6 @@ if (typeof window !== 'undefined') {
   window.MediaProviders = MediaProviders;
   window.MediaUtils = MediaUtils;
   window.MediaValidators = MediaValidators;
+  window.MediaRegistry = MediaRegistry;
   window.createMedia = createMedia;
 }
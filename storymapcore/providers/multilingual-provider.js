@@ -14,6 +14,93 @@ class MultilingualDataProvider {
     this.languages = {};
     this.storyData = null;
     this.fullData = null;
+    this.storyMap = null;
+    this.selectorListener = null;
+    this.languageChangeHandler = null;
+  }
+
+  /**
+   * Keep a StoryMap in sync with this provider: the displayed language is
+   * reported to its router (setCurrentLanguage), the language selector switches
+   * the story, and languages restored by browser back/forward are loaded.
+   * The listeners are released by storyMap.destroy() or detach().
+   */
+  attach(storyMap) {
+    this.detach();
+    this.storyMap = storyMap;
+
+    const languageSelector = this.getElement('languageSelector');
+    if (languageSelector) {
+      const onChange = () => this.showLanguage(languageSelector.value);
+      storyMap.addDomListener(languageSelector, 'change', onChange);
+      this.selectorListener = { target: languageSelector, handler: onChange };
+    }
+
+    this.languageChangeHandler = event => this.showLanguage(event.language);
+    storyMap.on('languagechange', this.languageChangeHandler);
+
+    if (this.fullData) {
+      storyMap.setCurrentLanguage(this.currentLanguage);
+    }
+    return this;
+  }
+
+  /**
+   * Stop following the attached StoryMap (undoes attach)
+   */
+  detach() {
+    const storyMap = this.storyMap;
+    if (!storyMap) return this;
+
+    if (this.selectorListener) {
+      storyMap.removeDomListener(this.selectorListener.target, 'change', this.selectorListener.handler);
+    }
+    storyMap.off('languagechange', this.languageChangeHandler);
+
+    this.storyMap = null;
+    this.selectorListener = null;
+    this.languageChangeHandler = null;
+    return this;
+  }
+
+  /**
+   * One of the story's UI elements (see StoryMap.DEFAULT_ELEMENTS): inside the
+   * attached StoryMap's root, or found by its default id before attach()
+   */
+  getElement(name) {
+    if (this.storyMap) {
+      return this.storyMap.getElement(name);
+    }
+    const ids = { languageSelector: 'language-selector', prevButton: 'prev-btn', nextButton: 'next-btn', restartButton: 'restart-btn' };
+    return document.getElementById(ids[name]);
+  }
+
+  /**
+   * Show another language in the attached StoryMap, keeping the slide position
+   */
+  showLanguage(newLanguage) {
+    const storyMap = this.storyMap;
+    if (!storyMap) {
+      throw new Error('No StoryMap attached. Call attach(storyMap) first.');
+    }
+
+    const result = this.switchLanguageWithPosition(newLanguage, storyMap.currentSlideIndex);
+    if (!result) return false;
+
+    storyMap.storyData = result.newSlides;
+    storyMap.currentSlideIndex = result.targetSlideIndex;
+    if (storyMap.map) {
+      storyMap.recreateMapElements();
+    }
+    storyMap.updateSlide();
+    // After the slides changed, so the URL gets the new slide position
+    storyMap.setCurrentLanguage(newLanguage);
+
+    const languageSelector = this.getElement('languageSelector');
+    if (languageSelector && languageSelector.value !== newLanguage) {
+      languageSelector.value = newLanguage;
+    }
+    return true;
   }
 
   /**
@@ -33,13 +120,14 @@ class MultilingualDataProvider {
         throw new Error('Invalid multilingual JSON structure. Expected languages and storymaps properties.');
       }
 
-      // Set default language
-      this.currentLanguage = config.defaultLanguage || 'en';
+      // Use the requested language (e.g. restored from the URL), else the default
+      const defaultLanguage = config.defaultLanguage || 'en';
+      this.currentLanguage = config.language || defaultLanguage;
 
       // Validate that the language exists
       if (!this.fullData.languages[this.currentLanguage]) {
-        console.warn(`Language '${this.currentLanguage}' not found, falling back to 'en'`);
-        this.currentLanguage = 'en';
+        console.warn(`Language '${this.currentLanguage}' not found, falling back to '${defaultLanguage}'`);
+        this.currentLanguage = defaultLanguage;
       }
 
       // Store languages for reference
@@ -53,6 +141,11 @@ class MultilingualDataProvider {
 
       this.storyData = languageData.storymap.slides;
 
+      // The language may differ from the requested one (fallback), tell the router
+      if (this.storyMap) {
+        this.storyMap.setCurrentLanguage(this.currentLanguage);
+      }
+
       // Update page title if available
       if (this.fullData.languages[this.currentLanguage].title) {
         document.title = this.fullData.languages[this.currentLanguage].title;
@@ -72,7 +165,7 @@ class MultilingualDataProvider {
    * Initialize language selector dropdown
    */
   initializeLanguageSelector() {
-    const languageSelector = document.getElementById('language-selector');
+    const languageSelector = this.getElement('languageSelector');
     if (!languageSelector) return;
 
     // Clear existing options
@@ -107,9 +200,9 @@ class MultilingualDataProvider {
     const currentLangData = this.languages[this.currentLanguage];
     if (!currentLangData) return;
 
-    const prevBtn = document.getElementById('prev-btn');
-    const nextBtn = document.getElementById('next-btn');
-    const restartBtn = document.getElementById('restart-btn');
+    const prevBtn = this.getElement('prevButton');
+    const nextBtn = this.getElement('nextButton');
+    const restartBtn = this.getElement('restartButton');
 
     if (prevBtn) prevBtn.textContent = currentLangData.prev || 'Previous';
     if (nextBtn) nextBtn.textContent = currentLangData.next || 'Next';
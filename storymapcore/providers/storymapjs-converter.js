@@ -0,0 +1,358 @@
+/**
+ * StoryMapCore StoryMapJS Converter
+ * Import and export KnightLab StoryMapJS documents
+ *
+ * StoryMapJS documents already load in the core (the slides are compatible),
+ * but their story-level settings use StoryMapJS names (map_type, line_color,
+ * zoomify...). The converter maps them to StoryMapCore names and back, so a
+ * story can round-trip. Fields that have no equivalent are reported as
+ * warnings ({ path, code: 'dropped-field', message, severity: 'warning' }).
+ */
+
+const StoryMapJSConverter = {
+  /**
+   * Convert a StoryMapJS document (or a multilingual { languages, storymaps }
+   * document of StoryMapJS stories) to StoryMapCore.
+   * Returns { story, warnings }.
+   */
+  fromStoryMapJS: (document) => {
+    if (!StoryMapJSConverter.isPlainObject(document)) {
+      throw new Error('Invalid StoryMapJS document. Expected an object.');
+    }
+
+    const warnings = [];
+    if (StoryMapJSConverter.isMultilingual(document)) {
+      const storymaps = {};
+      Object.keys(document.storymaps).forEach((code) => {
+        storymaps[code] = StoryMapJSConverter.importDocument(document.storymaps[code] || {}, `storymaps.${code}`, warnings);
+      });
+      return { story: { languages: document.languages, storymaps }, warnings };
+    }
+
+    if (!StoryMapJSConverter.isPlainObject(document.storymap)) {
+      throw new Error('Invalid StoryMapJS document. Expected a storymap property.');
+    }
+    return { story: StoryMapJSConverter.importDocument(document, '', warnings), warnings };
+  },
+
+  /**
+   * Convert a StoryMapCore story (single-language or multilingual) to StoryMapJS.
+   * Returns { document, warnings }; core-only fields (layers, bounds, pitch...)
+   * are listed in the warnings.
+   */
+  toStoryMapJS: (story) => {
+    // A bare slides array is a valid StoryMapCore story too
+    if (Array.isArray(story)) {
+      story = { storymap: { slides: story } };
+    }
+    if (!StoryMapJSConverter.isPlainObject(story)) {
+      throw new Error('Invalid story. Expected an object.');
+    }
+
+    const warnings = [];
+    if (StoryMapJSConverter.isMultilingual(story)) {
+      const storymaps = {};
+      Object.keys(story.storymaps).forEach((code) => {
+        storymaps[code] = StoryMapJSConverter.exportDocument(story.storymaps[code] || {}, `storymaps.${code}`, warnings);
+      });
+      return { document: { languages: story.languages, storymaps }, warnings };
+    }
+
+    return { document: StoryMapJSConverter.exportDocument(story, '', warnings), warnings };
+  }
+};
+
+StoryMapJSConverter.toNumber = (value) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && !isNaN(number) ? number : value;
+};
+
+// StoryMapJS line_dash is a string like "5,5"; MapLibre wants [5, 5] ("" means solid)
+StoryMapJSConverter.parseDash = (value) => {
+  if (typeof value !== 'string') return value;
+  return value.trim() === '' ? null : value.split(',').map(Number);
+};
+
+StoryMapJSConverter.formatDash = (value) => {
+  if (value === null) return '';
+  return Array.isArray(value) ? value.join(',') : value;
+};
+
+StoryMapJSConverter.isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+StoryMapJSConverter.getPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (StoryMapJSConverter.isPlainObject(value) ? value[key] : undefined), object);
+};
+
+StoryMapJSConverter.setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((parent, key) => {
+    if (!StoryMapJSConverter.isPlainObject(parent[key])) parent[key] = {};
+    return parent[key];
+  }, object);
+  target[last] = value;
+};
+
+StoryMapJSConverter.GEOJSON_TYPES = [
+  'Feature', 'FeatureCollection', 'Point', 'MultiPoint', 'LineString',
+  'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'
+];
+
+// Every leaf path of an object ('location.lat', ...); arrays and GeoJSON count as leaves
+StoryMapJSConverter.leafPaths = (object, prefix = '') => {
+  return Object.keys(object).flatMap((key) => {
+    const value = object[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isBranch = StoryMapJSConverter.isPlainObject(value) && !StoryMapJSConverter.GEOJSON_TYPES.includes(value.type);
+    return isBranch ? StoryMapJSConverter.leafPaths(value, path) : [path];
+  });
+};
+
+/**
+ * Copy the mapped fields from source to a new object and warn about the rest.
+ * `direction` is 0 (StoryMapJS -> core) or 1 (core -> StoryMapJS).
+ */
+StoryMapJSConverter.mapFields = (source, fields, direction, basePath, warnings, ignore = []) => {
+  const result = {};
+  const from = direction === 0 ? 0 : 1;
+  const to = direction === 0 ? 1 : 0;
+  const convert = direction === 0 ? 2 : 3;
+  const mapped = new Set(fields.map(field => field[from]));
+
+  fields.forEach((field) => {
+    const value = StoryMapJSConverter.getPath(source, field[from]);
+    if (value === undefined) return;
+    StoryMapJSConverter.setPath(result, field[to], field[convert] ? field[convert](value) : value);
+  });
+
+  StoryMapJSConverter.leafPaths(source)
+    .filter(path => !mapped.has(path) && !ignore.some(name => path === name || path.startsWith(`${name}.`)))
+    .forEach((path) => {
+      const fullPath = basePath ? `${basePath}.${path}` : path;
+      warnings.push({
+        path: fullPath,
+        code: 'dropped-field',
+        message: `has no ${direction === 0 ? 'StoryMapCore' : 'StoryMapJS'} equivalent and was dropped`,
+        severity: 'warning'
+      });
+    });
+
+  return result;
+};
+
+// StoryMapJS slides have a single media item: galleries keep their first one
+StoryMapJSConverter.firstMediaItem = (slide, path, warnings) => {
+  if (!Array.isArray(slide.media)) return slide;
+
+  slide.media.slice(1).forEach((media, index) => {
+    warnings.push({
+      path: `${path}.media[${index + 1}]`,
+      code: 'dropped-field',
+      message: 'has no StoryMapJS equivalent (one media item per slide) and was dropped',
+      severity: 'warning'
+    });
+  });
+  const { media, ...rest } = slide;
+  return media.length > 0 ? { ...rest, media: media[0] } : rest;
+};
+
+StoryMapJSConverter.convertSlides = (slides, direction, basePath, warnings) => {
+  if (!Array.isArray(slides)) return [];
+  return slides.map((slide, index) => {
+    if (!StoryMapJSConverter.isPlainObject(slide)) return slide;
+    const path = `${basePath}[${index}]`;
+    const source = direction === 1 ? StoryMapJSConverter.firstMediaItem(slide, path, warnings) : slide;
+    return StoryMapJSConverter.mapFields(source, StoryMapJSConverter.SLIDE_FIELDS, direction, path, warnings);
+  });
+};
+
+StoryMapJSConverter.isMultilingual = (document) => {
+  return StoryMapJSConverter.isPlainObject(document) && StoryMapJSConverter.isPlainObject(document.storymaps);
+};
+
+// Raster tile URLs become a MapLibre style; the URL is kept in its metadata for the way back
+StoryMapJSConverter.MAP_TYPE_METADATA = 'storymapjs:map_type';
+
+/**
+ * The map settings the core reads (map.provider or map.style) for a StoryMapJS
+ * map_type, or null when it has no equivalent. Gigapixel ("zoomify") stories
+ * need nothing here: map.gigapixel carries them.
+ */
+StoryMapJSConverter.importMapType = (mapType, subdomains) => {
+  if (mapType === 'zoomify') return {};
+  if (/^(osm|stamen):/.test(mapType)) return { provider: 'standard' };
+  if (!/^https?:\/\/.*\{z\}/.test(mapType)) return null;
+
+  // MapLibre has no {s} placeholder: list one URL per subdomain
+  const tiles = mapType.includes('{s}')
+    ? Array.from(subdomains || 'abc', subdomain => mapType.replace('{s}', subdomain))
+    : [mapType];
+  return {
+    style: {
+      version: 8,
+      metadata: { [StoryMapJSConverter.MAP_TYPE_METADATA]: mapType },
+      sources: { storymapjs: { type: 'raster', tiles, tileSize: 256 } },
+      layers: [{ id: 'storymapjs', type: 'raster', source: 'storymapjs' }]
+    }
+  };
+};
+
+StoryMapJSConverter.importDocument = (document, basePath, warnings) => {
+  const storymap = StoryMapJSConverter.isPlainObject(document.storymap) ? document.storymap : {};
+  const prefix = basePath ? `${basePath}.` : '';
+  const result = {
+    storymap: {
+      ...StoryMapJSConverter.mapFields(storymap, StoryMapJSConverter.STORYMAP_FIELDS, 0, `${prefix}storymap`, warnings, ['slides', 'map_type']),
+      slides: StoryMapJSConverter.convertSlides(storymap.slides, 0, `${prefix}storymap.slides`, warnings)
+    }
+  };
+
+  if (storymap.map_type !== undefined) {
+    const map = StoryMapJSConverter.importMapType(storymap.map_type, storymap.map_subdomains);
+    if (map) {
+      result.storymap.map = { ...result.storymap.map, ...map };
+    } else {
+      warnings.push({
+        path: `${prefix}storymap.map_type`,
+        code: 'dropped-field',
+        message: 'has no StoryMapCore equivalent and was dropped',
+        severity: 'warning'
+      });
+    }
+  }
+
+  const embed = StoryMapJSConverter.mapFields(document, StoryMapJSConverter.DOCUMENT_FIELDS, 0, basePath, warnings, ['storymap']);
+  if (Object.keys(embed).length > 0) {
+    result.storymap.embed = embed;
+  }
+  return result;
+};
+
+StoryMapJSConverter.exportDocument = (story, basePath, warnings) => {
+  const storymap = StoryMapJSConverter.isPlainObject(story.storymap) ? story.storymap : {};
+  const prefix = basePath ? `${basePath}.` : '';
+
+  // Embed settings go back to the top level of the StoryMapJS document
+  const embed = StoryMapJSConverter.isPlainObject(storymap.embed)
+    ? StoryMapJSConverter.mapFields(storymap.embed, StoryMapJSConverter.DOCUMENT_FIELDS, 1, `${prefix}storymap.embed`, warnings)
+    : {};
+  const settings = StoryMapJSConverter.mapFields(storymap, StoryMapJSConverter.STORYMAP_FIELDS, 1, `${prefix}storymap`, warnings, ['slides', 'embed', 'map.provider', 'map.style']);
+
+  // map.provider and map.style go back to map_type when StoryMapJS has one like them
+  const map = StoryMapJSConverter.isPlainObject(storymap.map) ? storymap.map : {};
+  const styleMapType = map.style?.metadata?.[StoryMapJSConverter.MAP_TYPE_METADATA];
+  let converted = null;
+  if (StoryMapJSConverter.isPlainObject(map.gigapixel)) {
+    settings.map_type = 'zoomify';
+  } else if (typeof styleMapType === 'string') {
+    settings.map_type = styleMapType;
+    converted = 'style';
+  } else if (map.provider === 'standard') {
+    settings.map_type = 'osm:standard';
+    converted = 'provider';
+  }
+  ['provider', 'style']
+    .filter(key => map[key] !== undefined && key !== converted)
+    .forEach((key) => {
+      warnings.push({
+        path: `${prefix}storymap.map.${key}`,
+        code: 'dropped-field',
+        message: 'has no StoryMapJS equivalent and was dropped',
+        severity: 'warning'
+      });
+    });
+
+  Object.keys(story)
+    .filter(key => key !== 'storymap')
+    .forEach((key) => {
+      warnings.push({
+        path: `${prefix}${key}`,
+        code: 'dropped-field',
+        message: 'has no StoryMapJS equivalent and was dropped',
+        severity: 'warning'
+      });
+    });
+
+  return {
+    ...embed,
+    storymap: {
+      ...settings,
+      slides: StoryMapJSConverter.convertSlides(storymap.slides, 1, `${prefix}storymap.slides`, warnings)
+    }
+  };
+};
+
+/**
+ * Field mappings: [StoryMapJS path, StoryMapCore path, toCore, toStoryMapJS]
+ * Paths are relative to the object being converted.
+ */
+
+// Top level of a StoryMapJS document (embed settings), kept in storymap.embed
+StoryMapJSConverter.DOCUMENT_FIELDS = [
+  ['width', 'width'],
+  ['height', 'height'],
+  ['font_css', 'fontCss'],
+  ['calculate_adjusted_zoom', 'calculateAdjustedZoom']
+];
+
+// The StoryMapJS "storymap" object, minus slides
+StoryMapJSConverter.STORYMAP_FIELDS = [
+  ['language', 'language'],
+  ['attribution', 'attribution'],
+  ['map_subdomains', 'map.subdomains'],
+  ['map_access_token', 'map.accessToken'],
+  ['map_background_color', 'map.backgroundColor'],
+  ['map_as_image', 'map.asImage'],
+  ['zoomify.path', 'map.gigapixel.path'],
+  ['zoomify.width', 'map.gigapixel.width'],
+  ['zoomify.height', 'map.gigapixel.height'],
+  ['zoomify.tolerance', 'map.gigapixel.tolerance'],
+  ['zoomify.attribution', 'map.gigapixel.attribution'],
+  ['call_to_action', 'callToAction.enabled'],
+  ['call_to_action_text', 'callToAction.text'],
+  ['line_color', 'styling.lineColorActive'],
+  ['line_color_inactive', 'styling.lineColor'],
+  ['line_weight', 'styling.lineWidth', StoryMapJSConverter.toNumber, value => value],
+  ['line_opacity', 'styling.lineOpacity', StoryMapJSConverter.toNumber, value => value],
+  ['line_dash', 'styling.lineDasharray', StoryMapJSConverter.parseDash, StoryMapJSConverter.formatDash],
+  ['line_join', 'styling.lineJoin'],
+  ['line_follows_path', 'styling.lineFollowsPath'],
+  ['show_lines', 'styling.showLines'],
+  ['show_history_line', 'styling.showHistoryLine']
+];
+
+StoryMapJSConverter.SLIDE_FIELDS = [
+  ['type', 'type'],
+  ['uniqueid', 'id'],
+  ['date', 'date'],
+  ['text.headline', 'text.headline'],
+  ['text.text', 'text.text'],
+  ['location.lat', 'location.lat', StoryMapJSConverter.toNumber, value => value],
+  ['location.lon', 'location.lon', StoryMapJSConverter.toNumber, value => value],
+  ['location.zoom', 'location.zoom', StoryMapJSConverter.toNumber, value => value],
+  ['location.name', 'location.name'],
+  ['location.line', 'location.line'],
+  ['location.icon', 'location.icon'],
+  ['location.iconSize', 'location.iconSize'],
+  ['location.use_default_icon', 'location.useDefaultIcon'],
+  ['media.url', 'media.url'],
+  ['media.caption', 'media.caption'],
+  ['media.credit', 'media.credit'],
+  ['background.url', 'background.url'],
+  ['background.color', 'background.color'],
+  ['background.opacity', 'background.opacity', StoryMapJSConverter.toNumber, value => value]
+];
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StoryMapJSConverter
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.StoryMapJSConverter = StoryMapJSConverter;
+}
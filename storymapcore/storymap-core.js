@@ -8,10 +8,23 @@
 
 class StoryMap {
   constructor(config = {}) {
+    // Options as passed in (tells explicit settings from defaults)
+    this.options = config;
+
     this.config = {
       // Data configuration
       jsonUrl: config.jsonUrl,
+      data: config.data,       // CSV, GPX or KML text (instead of jsonUrl)
+      file: config.file,       // CSV, GPX or KML File/Blob, e.g. from an <input type="file">
+      format: config.format,   // 'csv', 'gpx' or 'kml' when data, file or jsonUrl does not say
       dataLoader: config.dataLoader,
+      geojson: config.geojson, // Options for GeoJSON stories (see DataProviders.geojson)
+      csv: config.csv,         // Options for CSV stories (see DataProviders.csv)
+      gpx: config.gpx,         // Options for GPX stories (see DataProviders.gpx)
+      kml: config.kml,         // Options for KML stories (see DataProviders.kml)
+      strict: config.strict === true, // Refuse to start when the story has validation errors
+      transforms: config.transforms || [], // Applied to the loaded slides, in order (see applyTransforms)
+      geocoding: config.geocoding,   // { geocoder | gazetteer, zoom }: coordinates for slides with only a place name
 
       // Map configuration
       mapProvider: config.mapProvider,
@@ -19,16 +32,61 @@ class StoryMap {
       mapInitializer: config.mapInitializer,
       mapContainer: config.mapContainer || 'map',
 
+      // DOM configuration: every lookup is scoped to root (element or selector)
+      root: config.root,
+      elements: {
+        ...StoryMap.DEFAULT_ELEMENTS,
+        ...config.elements
+      },
+
       // Provider-specific configuration
       pmtilesUrl: config.pmtilesUrl,
       accessToken: config.accessToken,
       style: config.style,
 
+      // Presentation mode: 'slides' (prev/next) or 'scroll' (scrollytelling)
+      mode: config.mode || 'slides',
+      scroll: {
+        interpolateCamera: false,
+        ...config.scroll
+      },
+
+      // Camera defaults (slides can override per location)
+      camera: {
+        padding: 40,          // Padding used when fitting bounds
+        offsetForPanel: true, // Keep targets clear of a story panel that overlaps the map
+        ...config.camera
+      },
+
+      // Overview slides (type: 'overview') fit the map to every slide location
+      overview: {
+        padding: undefined,     // Padding around the story's bounds (default camera.padding)
+        tableOfContents: false, // List the slides as links under the overview text
+        ...config.overview
+      },
+
+      // Media: handlers for this instance (checked before MediaRegistry) and default options
+      media: {
+        handlers: [...(config.media?.handlers || [])],
+        options: { ...config.media?.options }
+      },
+
+      // Format of slide text and captions: 'html', 'markdown' or 'text' (slides can override with `format`)
+      textFormat: config.textFormat || 'html',
+
+      // Story HTML (text, captions, credits): true (StoryMap.SANITIZE_POLICY),
+      // a policy object, a sanitizer function, or false for trusted stories
+      sanitize: config.sanitize === undefined ? true : config.sanitize,
+
+      // Language of the loaded story (multilingual stories)
+      language: config.language,
+
       // UI configuration
       features: {
         animations: config.features?.animations !== false,
         keyboardNavigation: config.features?.keyboardNavigation !== false,
         progressBar: config.features?.progressBar !== false,
+        pageMeta: config.features?.pageMeta !== false, // Story title and description in <title>/<meta>
         ...config.features
       },
 
@@ -45,17 +103,38 @@ class StoryMap {
         lineColorActive: config.styling?.lineColorActive || '#ff0000',
         lineWidth: config.styling?.lineWidth || 2,
         lineDasharray: config.styling?.lineDasharray || [2, 2],
+        overlayFadeDuration: config.styling?.overlayFadeDuration ?? 500,
         ...config.styling
       }
     };
 
     // Internal state
     this.map = null;
+    this.root = null;
     this.storyData = null;
+    this.storyMeta = null;
     this.currentSlideIndex = 0;
+    this.currentLanguage = config.language || null;
     this.markers = [];
     this.lines = [];
+    this.overlays = [];
     this.isAnimating = false;
+    this.slideAnimation = null;
+    this.isRestoringRoute = false;
+    this.isDestroyed = false;
+    this.eventListeners = {};
+    this.domListeners = [];
+    this.addedRootTabindex = false;
+    this.timers = new Set();
+    this.scrollObserver = null;
+    this.scrollFrame = null;
+    this.isPlaying = false;
+    this.isTransitioning = false;
+    this.autoplayTimer = null;
+    this.routeFrame = null;
+    this.lineGeometryRequests = {};
+    this.activeMedia = [];
+    this.lightbox = null;
 
     // Start initialization
     this.initialize();
@@ -63,9 +142,37 @@ class StoryMap {
 
   async initialize() {
     try {
+      // Resolve the root element that scopes all DOM lookups
+      this.root = this.resolveRoot();
+
+      // Language from a shared link is passed on to the data loader
+      if (this.isRouterEnabled()) {
+        const route = this.readRoute();
+        if (route.language) {
+          this.currentLanguage = route.language;
+          this.config.language = route.language;
+        }
+      }
+
       // Load story data
       await this.loadStoryData();
 
+      // destroy() may have been called while the data was loading
+      if (this.isDestroyed) return;
+
+      // Restore the slide from the URL before the map is created
+      if (this.isRouterEnabled()) {
+        const route = this.readRoute();
+        if (route.slideIndex !== null) {
+          this.currentSlideIndex = route.slideIndex;
+        }
+      }
+
+      // Scroll mode renders every slide up front
+      if (this.isScrollMode()) {
+        this.renderScrollSections();
+      }
+
       // Initialize map
       this.initializeMap();
 
@@ -76,33 +183,369 @@ class StoryMap {
 
     } catch (error) {
       console.error('StoryMap initialization failed:', error);
+      this.emit('error', { error });
+    }
+  }
+
+  // Event methods
+  on(eventName, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for '${eventName}' must be a function`);
+    }
+    if (!StoryMap.EVENTS.includes(eventName)) {
+      console.warn(`Unknown StoryMap event '${eventName}'`);
+    }
+
+    if (!this.eventListeners[eventName]) {
+      this.eventListeners[eventName] = [];
+    }
+    this.eventListeners[eventName].push(handler);
+    return this;
+  }
+
+  off(eventName, handler) {
+    const handlers = this.eventListeners[eventName];
+    if (!handlers) return this;
+
+    if (handler) {
+      // Match both direct handlers and handlers wrapped by once()
+      this.eventListeners[eventName] = handlers.filter(
+        h => h !== handler && h.originalHandler !== handler
+      );
+    } else {
+      delete this.eventListeners[eventName];
+    }
+    return this;
+  }
+
+  once(eventName, handler) {
+    const wrapper = (event) => {
+      this.off(eventName, wrapper);
+      return handler.call(this, event);
+    };
+    wrapper.originalHandler = handler;
+    return this.on(eventName, wrapper);
+  }
+
+  /**
+   * Call every handler registered for an event.
+   * Returns false if a cancelable event was prevented by a handler
+   * (via event.preventDefault() or by returning false).
+   */
+  emit(eventName, detail = {}) {
+    const event = {
+      type: eventName,
+      target: this,
+      cancelable: eventName === 'beforeslidechange',
+      defaultPrevented: false,
+      ...detail,
+      preventDefault() {
+        if (this.cancelable) {
+          this.defaultPrevented = true;
+        }
+      }
+    };
+
+    // Copy so handlers can safely call off()/once() while we iterate
+    const handlers = (this.eventListeners[eventName] || []).slice();
+    handlers.forEach((handler) => {
+      try {
+        if (handler.call(this, event) === false) {
+          event.preventDefault();
+        }
+      } catch (error) {
+        console.error(`StoryMap '${eventName}' handler failed:`, error);
+      }
+    });
+
+    return !event.defaultPrevented;
+  }
+
+  // Listener and timer bookkeeping (everything registered here is released by destroy())
+  addDomListener(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.domListeners.push({ target, type, handler, options });
+  }
+
+  removeDomListener(target, type, handler) {
+    this.domListeners = this.domListeners.filter((listener) => {
+      if (listener.target !== target || listener.type !== type || listener.handler !== handler) return true;
+      target.removeEventListener(type, handler, listener.options);
+      return false;
+    });
+  }
+
+  setTimer(callback, delay) {
+    const timerId = setTimeout(() => {
+      this.timers.delete(timerId);
+      callback();
+    }, delay);
+    this.timers.add(timerId);
+    return timerId;
+  }
+
+  // DOM lookup methods
+  resolveRoot() {
+    const root = this.config.root;
+    if (!root) return null;
+
+    if (typeof root === 'string') {
+      const element = document.querySelector(root);
+      if (!element) {
+        throw new Error(`Root element '${root}' not found.`);
+      }
+      return element;
     }
+    return root;
+  }
+
+  /**
+   * Find one of the story's UI elements (see StoryMap.DEFAULT_ELEMENTS)
+   * inside this instance's root, or the whole document if no root is set.
+   */
+  getElement(name) {
+    const selector = this.config.elements[name];
+    if (!selector) return null;
+
+    // Elements can be passed directly instead of selectors
+    if (typeof selector !== 'string') return selector;
+
+    return (this.root || document).querySelector(selector);
+  }
+
+  getMapContainer() {
+    const container = this.config.mapContainer;
+
+    // Keep plain ids working unscoped when there is no root (maplibre resolves them)
+    if (!this.root || typeof container !== 'string') return container;
+
+    return this.root.querySelector(`[id="${container}"]`) || this.root.querySelector(container);
   }
 
   async loadStoryData() {
+    let data;
+
     if (this.config.dataLoader) {
       // Use custom data loader (e.g., for multi-language support)
-      this.storyData = await this.config.dataLoader(this.config);
+      data = await this.config.dataLoader(this.config);
+    } else if (this.getDataFormat()) {
+      // CSV, GPX and KML stories (providers/data-providers.js)
+      data = await DataProviders[this.getDataFormat()](this.config);
     } else if (this.config.jsonUrl) {
       // Default JSON loading
       const response = await fetch(this.config.jsonUrl);
-      const data = await response.json();
-      this.storyData = data.storymap?.slides || data.slides || data;
+      data = await response.json();
+
+      if (data.type === 'FeatureCollection') {
+        // GeoJSON stories need the data providers (providers/data-providers.js)
+        if (typeof DataProviders === 'undefined') {
+          throw new Error('GeoJSON stories require providers/data-providers.js to be loaded.');
+        }
+        data = await DataProviders.geojson({ ...this.config, data });
+      }
     } else {
-      throw new Error('No data source provided. Please specify jsonUrl or dataLoader.');
+      throw new Error('No data source provided. Please specify jsonUrl, data, file or dataLoader.');
+    }
+
+    // Keep the story-level settings next to the slides
+    this.storyData = Array.isArray(data) ? data : data.storymap?.slides || data.slides || data;
+    this.storyMeta = this.readStoryMeta(data);
+    this.applyStoryMeta();
+
+    if (this.config.geocoding) {
+      await this.geocodeStoryData();
+    }
+
+    if (this.config.transforms.length > 0) {
+      this.storyData = await this.applyTransforms(this.storyData);
+    }
+
+    if (this.config.strict) {
+      this.validateStoryData();
+    }
+
+    this.emit('dataloaded', { slides: this.storyData, meta: this.storyMeta });
+  }
+
+  /**
+   * Story metadata from the properties of data.storymap (besides slides):
+   * title, description, authors, byline, published, language, attribution,
+   * map ({ provider, style, accessToken, pmtilesUrl, ... }) and styling
+   */
+  readStoryMeta(data) {
+    const source = Array.isArray(data) ? {} : data?.storymap || data || {};
+
+    const authors = [].concat(source.authors || source.author || [])
+      .map(author => (typeof author === 'string' ? author : author?.name))
+      .filter(Boolean);
+
+    return {
+      title: source.title || '',
+      description: source.description || '',
+      authors: authors,
+      byline: source.byline || authors.join(', '),
+      published: source.published || '',
+      language: source.language || '',
+      attribution: source.attribution || '',
+      map: { ...source.map },
+      styling: { ...source.styling }
+    };
+  }
+
+  getStoryMeta() {
+    return this.storyMeta;
+  }
+
+  /**
+   * Let the story's metadata fill in what the page did not set explicitly:
+   * styling values, the map provider or style, and the page's title and meta tags
+   */
+  applyStoryMeta() {
+    const meta = this.storyMeta;
+
+    Object.keys(meta.styling)
+      .filter(key => this.options.styling?.[key] === undefined)
+      .forEach((key) => {
+        this.config.styling[key] = meta.styling[key];
+      });
+
+    if (!this.config.mapInitializer && !this.config.mapStyle && !this.config.mapProvider) {
+      this.config.mapStyle = meta.map.style;
+      this.config.mapProvider = meta.map.provider;
+    }
+    this.config.accessToken = this.config.accessToken || meta.map.accessToken;
+    this.config.pmtilesUrl = this.config.pmtilesUrl || meta.map.pmtilesUrl;
+
+    if (this.config.features.pageMeta) {
+      this.updatePageMeta();
+    }
+  }
+
+  updatePageMeta() {
+    const meta = this.storyMeta;
+
+    if (meta.title) {
+      document.title = meta.title;
+    }
+    this.setMetaTag('name', 'description', meta.description);
+    this.setMetaTag('name', 'author', meta.byline);
+    this.setMetaTag('property', 'og:title', meta.title);
+    this.setMetaTag('property', 'og:description', meta.description);
+    this.setMetaTag('property', 'article:published_time', meta.published);
+  }
+
+  setMetaTag(attribute, key, content) {
+    if (!content) return;
+
+    let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!tag) {
+      tag = document.createElement('meta');
+      tag.setAttribute(attribute, key);
+      document.head.appendChild(tag);
+    }
+    tag.setAttribute('content', content);
+  }
+
+  /**
+   * Look up the coordinates of slides that only have location.name.
+   * config.geocoding.geocoder is any geocoder ({ lookup(name) }), or
+   * config.geocoding.gazetteer the options of GeocodingProviders.gazetteer
+   * (e.g. { url: 'places.csv' }). Emits 'geocode' with the unresolved names.
+   */
+  async geocodeStoryData() {
+    if (typeof geocodeSlides === 'undefined') {
+      throw new Error('The geocoding option requires providers/data-providers.js to be loaded.');
+    }
+
+    const options = this.config.geocoding;
+    const geocoder = options.geocoder || GeocodingProviders.gazetteer(options.gazetteer);
+    const { slides, resolved, unresolved } = await geocodeSlides(this.storyData, { ...options, geocoder });
+    this.storyData = slides;
+
+    if (unresolved.length > 0) {
+      console.warn(`StoryMap: no coordinates found for ${unresolved.map(({ index, name }) => `'${name}' (slide ${index})`).join(', ')}`);
+    }
+    this.emit('geocode', { resolved, unresolved });
+  }
+
+  /**
+   * Run config.transforms over the slides, in order. Each transform is
+   * - the name of a DataTransformers function: 'normalizeCoordinates'
+   * - a name with options: { name: 'sortSlides', options: 'date' }
+   * - a function (slides, context) returning the new slides (or a promise)
+   */
+  async applyTransforms(slides) {
+    let result = slides;
+
+    for (const transform of this.config.transforms) {
+      if (typeof transform === 'function') {
+        result = await transform(result, { storyMap: this, meta: this.storyMeta });
+      } else {
+        const name = typeof transform === 'string' ? transform : transform?.name;
+        if (typeof DataTransformers === 'undefined') {
+          throw new Error(`The '${name}' transform requires providers/data-providers.js to be loaded.`);
+        }
+        if (typeof DataTransformers[name] !== 'function') {
+          throw new Error(`Unknown transform: '${name}'`);
+        }
+        result = await DataTransformers[name](result, transform.options);
+      }
+
+      if (!Array.isArray(result)) {
+        throw new Error(`Transform '${transform.name || transform}' did not return an array of slides`);
+      }
     }
+
+    return result;
+  }
+
+  /**
+   * Strict mode: validate the slides with DataValidators.validateStory.
+   * Warnings are logged; errors stop initialization (error.problems lists them).
+   */
+  validateStoryData() {
+    if (typeof DataValidators === 'undefined') {
+      throw new Error('The strict option requires providers/data-providers.js to be loaded.');
+    }
+
+    const problems = DataValidators.validateStory(this.storyData);
+    const errors = problems.filter(problem => problem.severity === 'error');
+
+    problems
+      .filter(problem => problem.severity !== 'error')
+      .forEach(problem => console.warn(`StoryMap: ${DataValidators.formatProblem(problem)}`));
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid story data:\n${errors.map(DataValidators.formatProblem).join('\n')}`);
+      error.problems = errors;
+      throw error;
+    }
+  }
+
+  // CSV, GPX or KML for non-JSON stories (see DataProviders.detectFormat), null for JSON
+  getDataFormat() {
+    if (typeof DataProviders !== 'undefined') {
+      return DataProviders.detectFormat(this.config);
+    }
+    const { data, file, format } = this.config;
+    if (typeof data === 'string' || file || format) {
+      throw new Error('CSV, GPX and KML stories require providers/data-providers.js to be loaded.');
+    }
+    return null;
   }
 
   initializeMap() {
-    // Find first valid slide for initial map position
-    const firstValidSlide = this.storyData.find(slide =>
-      this.isValidLocation(slide.location)
-    );
+    // Start at the current slide (it may have been restored from the URL),
+    // otherwise at the first slide with valid coordinates
+    const currentSlide = this.storyData[this.currentSlideIndex];
+    const firstValidSlide = currentSlide && this.isValidLocation(currentSlide.location)
+      ? currentSlide
+      : this.storyData.find(slide => this.isValidLocation(slide.location));
 
     if (this.config.mapInitializer && firstValidSlide) {
       // Use custom map initializer (maximum flexibility)
       this.map = this.config.mapInitializer(
-        this.config.mapContainer,
+        this.getMapContainer(),
         firstValidSlide
       );
     } else if (this.config.mapStyle && firstValidSlide) {
@@ -124,20 +567,20 @@ class StoryMap {
     switch (this.config.mapProvider) {
       case 'satellite':
         return MapProviders.satellite({
-          container: this.config.mapContainer,
+          container: this.getMapContainer(),
           firstSlide: firstSlide
         });
 
       case 'pmtiles':
         return MapProviders.pmtiles({
-          container: this.config.mapContainer,
+          container: this.getMapContainer(),
           firstSlide: firstSlide,
           pmtilesUrl: this.config.pmtilesUrl
         });
 
       case 'mapbox':
         return MapProviders.mapbox({
-          container: this.config.mapContainer,
+          container: this.getMapContainer(),
           firstSlide: firstSlide,
           accessToken: this.config.accessToken,
           style: this.config.style
@@ -146,7 +589,7 @@ class StoryMap {
       case 'standard':
       default:
         return MapProviders.standard({
-          container: this.config.mapContainer,
+          container: this.getMapContainer(),
           firstSlide: firstSlide,
           style: this.config.style
         });
@@ -156,7 +599,7 @@ class StoryMap {
   initializeMapWithStyle(firstSlide) {
     // Initialize map with custom style URL
     return new maplibregl.Map({
-      container: this.config.mapContainer,
+      container: this.getMapContainer(),
       style: this.config.mapStyle,
       center: [
         parseFloat(firstSlide.location.lon),
@@ -174,6 +617,24 @@ class StoryMap {
       this.createAllMarkers();
       // Now that the map is loaded, update the initial slide
       this.updateSlide();
+
+      if (this.isRouterEnabled()) {
+        this.writeRoute(true);
+      }
+
+      if (this.isScrollMode()) {
+        this.scrollToSection(this.currentSlideIndex, 'instant');
+        this.setupScrollObserver();
+      }
+
+      this.emit('ready', {
+        index: this.currentSlideIndex,
+        slide: this.storyData[this.currentSlideIndex]
+      });
+
+      if (this.config.features.autoplay) {
+        this.play();
+      }
     });
 
     // Clean up attribution controls
@@ -183,7 +644,9 @@ class StoryMap {
   cleanupAttributionControls() {
     if (!this.map) return;
 
-    const controls = document.querySelectorAll('.maplibregl-ctrl-attrib');
+    // Only touch this instance's map, other story maps may share the page
+    const mapContainer = this.map.getContainer();
+    const controls = mapContainer.querySelectorAll('.maplibregl-ctrl-attrib');
     controls.forEach(ctrl => ctrl.remove());
 
     const attributionControl = new maplibregl.AttributionControl({
@@ -192,8 +655,8 @@ class StoryMap {
     this.map.addControl(attributionControl);
 
     // Collapse attribution by default
-    setTimeout(() => {
-      const detailsElem = document.querySelector('details.maplibregl-compact-show');
+    this.setTimer(() => {
+      const detailsElem = mapContainer.querySelector('details.maplibregl-compact-show');
       if (detailsElem && detailsElem.hasAttribute('open')) {
         detailsElem.removeAttribute('open');
       }
@@ -202,23 +665,32 @@ class StoryMap {
 
   setupEventListeners() {
     // Navigation buttons
-    const prevBtn = document.getElementById('prev-btn');
-    const nextBtn = document.getElementById('next-btn');
-    const restartBtn = document.getElementById('restart-btn');
+    const prevBtn = this.getElement('prevButton');
+    const nextBtn = this.getElement('nextButton');
+    const restartBtn = this.getElement('restartButton');
 
     if (prevBtn) {
-      prevBtn.addEventListener('click', () => this.navigatePrevious());
+      this.addDomListener(prevBtn, 'click', () => this.navigatePrevious());
     }
     if (nextBtn) {
-      nextBtn.addEventListener('click', () => this.navigateNext());
+      this.addDomListener(nextBtn, 'click', () => this.navigateNext());
     }
     if (restartBtn) {
-      restartBtn.addEventListener('click', () => this.restart());
+      this.addDomListener(restartBtn, 'click', () => this.restart());
     }
 
-    // Keyboard navigation
+    // Keyboard navigation: with a root, only respond while focus is inside this instance
     if (this.config.features.keyboardNavigation) {
-      document.addEventListener('keydown', (event) => {
+      const keyTarget = this.root || document;
+      if (this.root && !this.root.hasAttribute('tabindex')) {
+        this.root.setAttribute('tabindex', '0');
+        this.addedRootTabindex = true; // Removed again by destroy()
+      }
+
+      this.addDomListener(keyTarget, 'keydown', (event) => {
+        // Leave arrow keys to form controls (such as the language selector), media galleries and the lightbox
+        if (event.target.closest?.('input, select, textarea, [contenteditable], .storymap-gallery, .storymap-lightbox')) return;
+
         if (event.key === 'ArrowLeft') {
           this.navigatePrevious();
         } else if (event.key === 'ArrowRight') {
@@ -226,28 +698,56 @@ class StoryMap {
         }
       });
     }
+
+    // Any key press or click by the reader pauses autoplay
+    const interactionTarget = this.root || document;
+    ['keydown', 'pointerdown', 'wheel', 'touchstart'].forEach((type) => {
+      this.addDomListener(interactionTarget, type, () => {
+        if (this.isPlaying && this.getAutoplayOptions().pauseOnInteraction) {
+          this.pause();
+        }
+      }, { passive: true });
+    });
+
+    // Browser back/forward
+    if (this.isRouterEnabled()) {
+      this.addDomListener(window, 'popstate', () => this.handlePopState());
+    }
   }
 
   // Navigation methods
   navigatePrevious() {
     if (this.currentSlideIndex > 0 && !this.isAnimating) {
-      this.currentSlideIndex--;
-      this.updateSlide('prev');
+      if (this.isScrollMode()) {
+        this.scrollToSection(this.currentSlideIndex - 1);
+        return;
+      }
+      this.changeSlide(this.currentSlideIndex - 1, 'prev');
     }
   }
 
   navigateNext() {
     if (this.currentSlideIndex < this.storyData.length - 1 && !this.isAnimating) {
-      this.currentSlideIndex++;
-      this.updateSlide('next');
+      if (this.isScrollMode()) {
+        this.scrollToSection(this.currentSlideIndex + 1);
+        return;
+      }
+      this.changeSlide(this.currentSlideIndex + 1, 'next');
     }
   }
 
   restart() {
-    if (!this.isAnimating) {
-      this.currentSlideIndex = 0;
+    if (this.isAnimating) return;
 
-      // Find the first slide with valid coordinates and fly to it (like old implementation)
+    if (this.isScrollMode()) {
+      this.scrollToSection(0);
+      return;
+    }
+
+    if (!this.changeSlide(0, 'none')) return;
+
+    // If the first slide has no coordinates, fly to the first slide that does (like old implementation)
+    if (!this.hasCameraTarget(this.getCameraLocation(this.storyData[0]))) {
       const firstValidSlide = this.storyData.find(slide =>
         this.isValidLocation(slide.location)
       );
@@ -255,15 +755,366 @@ class StoryMap {
       if (firstValidSlide) {
         this.flyToSlide(this.storyData.indexOf(firstValidSlide));
       }
-
-      this.updateSlide('none');
     }
   }
 
   navigateToSlide(targetIndex) {
     if (targetIndex >= 0 && targetIndex < this.storyData.length && !this.isAnimating) {
-      this.currentSlideIndex = targetIndex;
-      this.updateSlide('none');
+      if (this.isScrollMode()) {
+        // The observer activates the slide once its section scrolls into view
+        this.scrollToSection(targetIndex);
+        return;
+      }
+      this.changeSlide(targetIndex, 'none');
+    }
+  }
+
+  /**
+   * Single entry point for every slide change.
+   * Emits 'beforeslidechange' (cancelable) and 'slidechange'.
+   * Returns false if a listener cancelled the change.
+   */
+  changeSlide(targetIndex, direction = 'none') {
+    if (this.isDestroyed) return false;
+
+    const previousIndex = this.currentSlideIndex;
+    const detail = {
+      index: targetIndex,
+      previousIndex: previousIndex,
+      slide: this.storyData[targetIndex],
+      direction: direction
+    };
+
+    if (!this.emit('beforeslidechange', detail)) {
+      return false;
+    }
+
+    this.currentSlideIndex = targetIndex;
+    this.updateSlide(direction);
+
+    if (this.isRouterEnabled() && !this.isRestoringRoute) {
+      this.writeRoute();
+    }
+
+    this.emit('slidechange', detail);
+    return true;
+  }
+
+  // Autoplay methods (features.autoplay or play())
+  getAutoplayOptions() {
+    const autoplay = this.config.features.autoplay;
+    return {
+      duration: 5000,
+      loop: true,
+      pauseOnInteraction: true,
+      ...(typeof autoplay === 'object' ? autoplay : {})
+    };
+  }
+
+  play() {
+    if (this.isDestroyed || this.isPlaying) return;
+
+    this.isPlaying = true;
+    this.emit('play', { index: this.currentSlideIndex });
+
+    // Otherwise the timer starts when the running transition ends
+    if (!this.isTransitioning) {
+      this.scheduleAutoplay();
+    }
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    this.clearAutoplayTimer();
+    this.emit('pause', { index: this.currentSlideIndex });
+  }
+
+  stop() {
+    this.pause();
+    // restart() ignores calls during a slide animation, but stop must always go back to the start
+    this.cancelSlideAnimation();
+    this.restart();
+  }
+
+  /**
+   * Wait for the current slide's duration (slide.duration in ms, else the
+   * autoplay default), then advance, looping back to the start at the end.
+   */
+  scheduleAutoplay() {
+    this.clearAutoplayTimer();
+    if (!this.isPlaying) return;
+
+    const options = this.getAutoplayOptions();
+    const slide = this.storyData[this.currentSlideIndex];
+    const duration = Number(slide?.duration) || options.duration;
+
+    this.autoplayTimer = this.setTimer(() => {
+      this.autoplayTimer = null;
+      if (!this.isPlaying) return;
+
+      if (this.currentSlideIndex < this.storyData.length - 1) {
+        this.navigateNext();
+      } else if (options.loop) {
+        this.restart();
+      } else {
+        this.pause();
+      }
+    }, duration);
+  }
+
+  clearAutoplayTimer() {
+    if (this.autoplayTimer) {
+      clearTimeout(this.autoplayTimer);
+      this.timers.delete(this.autoplayTimer);
+      this.autoplayTimer = null;
+    }
+  }
+
+  // Scroll mode methods (mode: 'scroll')
+  isScrollMode() {
+    return this.config.mode === 'scroll';
+  }
+
+  /**
+   * Render every slide as its own section inside the content wrapper
+   */
+  renderScrollSections() {
+    const contentWrapper = this.getElement('contentWrapper');
+    if (!contentWrapper) return;
+
+    this.clearMedia(contentWrapper);
+    contentWrapper.classList.add('storymap-scroll-mode');
+
+    this.storyData.forEach((slide, index) => {
+      const section = document.createElement('section');
+      section.className = 'storymap-section';
+      section.dataset.slideIndex = index;
+
+      const headline = document.createElement('h2');
+      headline.className = 'storymap-headline';
+      const text = document.createElement('div');
+      text.className = 'storymap-text';
+      const media = document.createElement('div');
+      media.className = 'storymap-media';
+
+      section.append(headline, text, media);
+      contentWrapper.appendChild(section);
+
+      this.renderSlideContent(slide, { headline, text, media });
+    });
+
+    this.updateActiveSection();
+  }
+
+  getScrollSections() {
+    const contentWrapper = this.getElement('contentWrapper');
+    return contentWrapper ? Array.from(contentWrapper.querySelectorAll('.storymap-section')) : [];
+  }
+
+  updateActiveSection() {
+    this.getScrollSections().forEach((section) => {
+      section.classList.toggle('is-active', Number(section.dataset.slideIndex) === this.currentSlideIndex);
+    });
+  }
+
+  scrollToSection(index, behavior = 'smooth') {
+    const section = this.getScrollSections()[index];
+    if (section) {
+      section.scrollIntoView({ behavior, block: 'start' });
+    }
+  }
+
+  /**
+   * Activate a slide when its section crosses the middle of the scroll container
+   */
+  setupScrollObserver() {
+    const contentWrapper = this.getElement('contentWrapper');
+    if (!contentWrapper || typeof IntersectionObserver === 'undefined') return;
+
+    this.scrollObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+
+        const index = Number(entry.target.dataset.slideIndex);
+        if (index !== this.currentSlideIndex) {
+          const direction = index > this.currentSlideIndex ? 'next' : 'prev';
+          this.changeSlide(index, direction);
+        }
+      });
+    }, {
+      root: contentWrapper,
+      rootMargin: '-50% 0px -50% 0px',
+      threshold: 0
+    });
+
+    this.getScrollSections().forEach(section => this.scrollObserver.observe(section));
+
+    if (this.config.scroll.interpolateCamera) {
+      this.addDomListener(contentWrapper, 'scroll', () => {
+        if (this.scrollFrame) return;
+        this.scrollFrame = requestAnimationFrame(() => {
+          this.scrollFrame = null;
+          this.interpolateScrollCamera();
+        });
+      }, { passive: true });
+    }
+  }
+
+  /**
+   * Move the camera between the active slide and the next one in proportion
+   * to how far the active section has been scrolled past the middle.
+   */
+  interpolateScrollCamera() {
+    const contentWrapper = this.getElement('contentWrapper');
+    const section = this.getScrollSections()[this.currentSlideIndex];
+    const from = this.storyData[this.currentSlideIndex];
+    const to = this.storyData[this.currentSlideIndex + 1];
+    if (!this.map || !contentWrapper || !section || !to) return;
+    if (!this.isValidLocation(from.location) || !this.isValidLocation(to.location)) return;
+
+    const wrapperRect = contentWrapper.getBoundingClientRect();
+    const sectionRect = section.getBoundingClientRect();
+    const middle = wrapperRect.top + wrapperRect.height / 2;
+    const progress = Math.min(Math.max((middle - sectionRect.top) / sectionRect.height, 0), 1);
+
+    const lerp = (a, b) => a + (b - a) * progress;
+    const fromZoom = parseFloat(from.location.zoom) || this.map.getZoom();
+    const toZoom = parseFloat(to.location.zoom) || fromZoom;
+
+    this.map.jumpTo({
+      center: [
+        lerp(parseFloat(from.location.lon), parseFloat(to.location.lon)),
+        lerp(parseFloat(from.location.lat), parseFloat(to.location.lat))
+      ],
+      zoom: lerp(fromZoom, toZoom)
+    });
+  }
+
+  // Router methods (opt-in via features.router)
+  isRouterEnabled() {
+    return Boolean(this.config.features.router) && typeof window !== 'undefined';
+  }
+
+  getRouterOptions() {
+    const router = this.config.features.router;
+    return {
+      slideParam: 'slide',
+      languageParam: 'lang',
+      useSlugs: false,
+      history: 'push',
+      ...(typeof router === 'object' ? router : {})
+    };
+  }
+
+  /**
+   * Turn a headline into a URL slug ("Sept 3: Andrews AFB" -> "sept-3-andrews-afb")
+   */
+  slugify(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Slugs for every slide, made unique by suffixing repeats (-2, -3, ...)
+   */
+  getSlideSlugs() {
+    const seen = {};
+    return (this.storyData || []).map((slide, index) => {
+      const base = this.slugify(slide.text?.headline) || String(index + 1);
+      seen[base] = (seen[base] || 0) + 1;
+      return seen[base] > 1 ? `${base}-${seen[base]}` : base;
+    });
+  }
+
+  /**
+   * Read the slide index and language from the URL hash.
+   * Slides are addressed by 1-based number (#slide=5) or by slug (#slide=sept-3).
+   */
+  readRoute() {
+    const options = this.getRouterOptions();
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const value = params.get(options.slideParam);
+
+    let slideIndex = null;
+    if (value && this.storyData) {
+      const slugIndex = this.getSlideSlugs().indexOf(value);
+      if (slugIndex !== -1) {
+        slideIndex = slugIndex;
+      } else if (/^\d+$/.test(value)) {
+        const number = parseInt(value, 10);
+        if (number >= 1 && number <= this.storyData.length) {
+          slideIndex = number - 1;
+        }
+      }
+    }
+
+    return {
+      slideIndex: slideIndex,
+      language: params.get(options.languageParam)
+    };
+  }
+
+  /**
+   * Write the current slide (and language) to the URL hash,
+   * keeping any other hash parameters the page uses.
+   */
+  writeRoute(replace = false) {
+    const options = this.getRouterOptions();
+    const params = new URLSearchParams(window.location.hash.slice(1));
+
+    const slideValue = options.useSlugs
+      ? this.getSlideSlugs()[this.currentSlideIndex]
+      : String(this.currentSlideIndex + 1);
+    params.set(options.slideParam, slideValue);
+
+    if (this.currentLanguage) {
+      params.set(options.languageParam, this.currentLanguage);
+    }
+
+    const hash = `#${params.toString()}`;
+    if (hash === window.location.hash) return;
+
+    if (replace || options.history === 'replace') {
+      window.history.replaceState(window.history.state, '', hash);
+    } else {
+      window.history.pushState(window.history.state, '', hash);
+    }
+  }
+
+  handlePopState() {
+    const route = this.readRoute();
+
+    if (route.language && route.language !== this.currentLanguage) {
+      // The core can't reload language data itself, the host page switches it
+      this.currentLanguage = route.language;
+      this.emit('languagechange', { language: route.language });
+    }
+
+    if (route.slideIndex !== null && route.slideIndex !== this.currentSlideIndex) {
+      this.isRestoringRoute = true;
+      this.changeSlide(route.slideIndex, 'none');
+      this.isRestoringRoute = false;
+    }
+  }
+
+  /**
+   * Record the language currently displayed (e.g. after a language selector change)
+   * so the router can include it in the URL.
+   */
+  setCurrentLanguage(languageCode) {
+    // Unchanged when called back from a 'languagechange' handler (the URL is already right)
+    const changed = languageCode !== this.currentLanguage;
+    this.currentLanguage = languageCode;
+    this.config.language = languageCode;
+
+    if (changed && this.isRouterEnabled() && this.storyData) {
+      this.writeRoute(true);
     }
   }
 
@@ -280,15 +1131,215 @@ class StoryMap {
     );
   }
 
+  // A slide can move the camera with a point (lat/lon) or with bounds
+  hasCameraTarget(location) {
+    return this.isValidLocation(location) || Boolean(location?.bounds);
+  }
+
+  isOverviewSlide(slide) {
+    return slide?.type === 'overview';
+  }
+
+  /**
+   * Where the camera goes for a slide: its location, or for overview slides
+   * the bounds of every slide location (unless the slide sets its own bounds)
+   */
+  getCameraLocation(slide) {
+    if (!slide || !this.isOverviewSlide(slide) || slide.location?.bounds) {
+      return slide?.location;
+    }
+
+    const bounds = this.getOverviewBounds();
+    if (!bounds) return slide.location;
+
+    // The fitted bounds decide the zoom, so the slide's own point is not used
+    const location = { ...slide.location };
+    delete location.lat;
+    delete location.lon;
+    delete location.zoom;
+
+    // Every slide is at one place: fitting a point would zoom all the way in,
+    // so use the overview's own zoom, or that of the first slide there
+    const [[west, south], [east, north]] = bounds;
+    if (west === east && south === north) {
+      const first = this.storyData.find(other => !this.isOverviewSlide(other) && this.isValidLocation(other.location));
+      return { ...location, lat: south, lon: west, zoom: slide.location?.zoom ?? first.location.zoom };
+    }
+
+    return {
+      ...location,
+      bounds: bounds,
+      padding: location.padding ?? this.config.overview.padding
+    };
+  }
+
+  // [[west, south], [east, north]] around every valid slide location
+  getOverviewBounds() {
+    const coordinates = this.storyData
+      .filter(slide => !this.isOverviewSlide(slide) && this.isValidLocation(slide.location))
+      .map(slide => [parseFloat(slide.location.lon), parseFloat(slide.location.lat)]);
+    if (coordinates.length === 0) return null;
+
+    return this.getBounds({ type: 'MultiPoint', coordinates });
+  }
+
+  /**
+   * Fly the camera to a slide. Returns a promise that resolves when the
+   * camera has stopped moving (immediately if there is nothing to fly to).
+   */
   flyToSlide(slideIndex) {
     const slide = this.storyData[slideIndex];
-    if (slide && this.isValidLocation(slide.location) && this.map) {
-      this.map.flyTo({
-        center: [parseFloat(slide.location.lon), parseFloat(slide.location.lat)],
-        zoom: parseFloat(slide.location.zoom) || this.map.getZoom(),
-        essential: true
+    if (slide && this.hasCameraTarget(this.getCameraLocation(slide)) && this.map) {
+      const { method, options } = this.getSlideCamera(slide);
+      if (!options) return Promise.resolve();
+
+      const moveEnd = new Promise(resolve => this.map.once('moveend', resolve));
+      this.map[method](options);
+      return moveEnd;
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Camera move for a slide. Location fields:
+   * - lat/lon/zoom, pitch, bearing
+   * - bounds: [west, south, east, north], [[w, s], [e, n]] or GeoJSON to fit
+   * - padding: number or { top, right, bottom, left } (for bounds)
+   * - duration, speed, curve: passed to MapLibre
+   * - easing: 'flyTo' (default), 'easeTo' or 'jumpTo'
+   */
+  getSlideCamera(slide) {
+    const location = this.getCameraLocation(slide);
+    const method = ['flyTo', 'easeTo', 'jumpTo'].includes(location.easing) ? location.easing : 'flyTo';
+    const panelPadding = this.getPanelPadding();
+
+    const options = { essential: true };
+    if (location.pitch !== undefined) options.pitch = parseFloat(location.pitch);
+    if (location.bearing !== undefined) options.bearing = parseFloat(location.bearing);
+    if (location.duration !== undefined) options.duration = parseFloat(location.duration);
+    if (method === 'flyTo') {
+      if (location.speed !== undefined) options.speed = parseFloat(location.speed);
+      if (location.curve !== undefined) options.curve = parseFloat(location.curve);
+    }
+
+    const bounds = location.bounds ? this.getBounds(location.bounds) : null;
+    if (bounds) {
+      const padding = this.addPadding(
+        this.normalizePadding(location.padding ?? this.config.camera.padding),
+        panelPadding
+      );
+      const camera = this.map.cameraForBounds(bounds, {
+        padding: padding,
+        bearing: options.bearing
       });
+      if (!camera) return { method, options: null };
+
+      // cameraForBounds already allowed for the padding, so reset the map's own
+      options.padding = this.normalizePadding(0);
+      options.center = camera.center;
+      options.zoom = location.zoom !== undefined && location.zoom !== ''
+        ? Math.min(camera.zoom, parseFloat(location.zoom))
+        : camera.zoom;
+    } else {
+      options.center = [parseFloat(location.lon), parseFloat(location.lat)];
+      options.zoom = parseFloat(location.zoom) || this.map.getZoom();
+      options.padding = panelPadding;
     }
+
+    return { method, options };
+  }
+
+  /**
+   * Turn a bounds box or any GeoJSON object into [[west, south], [east, north]]
+   */
+  getBounds(bounds) {
+    if (Array.isArray(bounds)) {
+      if (bounds.length === 4) {
+        return [[bounds[0], bounds[1]], [bounds[2], bounds[3]]];
+      }
+      return bounds;
+    }
+
+    let west = Infinity;
+    let south = Infinity;
+    let east = -Infinity;
+    let north = -Infinity;
+
+    const visit = (coordinates) => {
+      if (typeof coordinates[0] === 'number') {
+        west = Math.min(west, coordinates[0]);
+        east = Math.max(east, coordinates[0]);
+        south = Math.min(south, coordinates[1]);
+        north = Math.max(north, coordinates[1]);
+      } else {
+        coordinates.forEach(visit);
+      }
+    };
+
+    const visitGeoJSON = (geojson) => {
+      if (!geojson) return;
+      if (geojson.type === 'FeatureCollection') {
+        geojson.features.forEach(visitGeoJSON);
+      } else if (geojson.type === 'Feature') {
+        visitGeoJSON(geojson.geometry);
+      } else if (geojson.type === 'GeometryCollection') {
+        geojson.geometries.forEach(visitGeoJSON);
+      } else if (geojson.coordinates) {
+        visit(geojson.coordinates);
+      }
+    };
+
+    visitGeoJSON(bounds);
+    return west === Infinity ? null : [[west, south], [east, north]];
+  }
+
+  normalizePadding(padding) {
+    if (typeof padding === 'number') {
+      return { top: padding, right: padding, bottom: padding, left: padding };
+    }
+    return { top: 0, right: 0, bottom: 0, left: 0, ...padding };
+  }
+
+  addPadding(a, b) {
+    return {
+      top: a.top + b.top,
+      right: a.right + b.right,
+      bottom: a.bottom + b.bottom,
+      left: a.left + b.left
+    };
+  }
+
+  /**
+   * Padding that keeps the camera target out from under the story panel when
+   * the panel is drawn over the map (side-by-side layouts need none).
+   */
+  getPanelPadding() {
+    const padding = { top: 0, right: 0, bottom: 0, left: 0 };
+    const panel = this.getElement('storyContent');
+    if (!this.config.camera.offsetForPanel || !panel || !this.map) return padding;
+
+    const mapRect = this.map.getContainer().getBoundingClientRect();
+    const panelRect = panel.getBoundingClientRect();
+
+    const overlapLeft = Math.max(panelRect.left, mapRect.left);
+    const overlapRight = Math.min(panelRect.right, mapRect.right);
+    const overlapTop = Math.max(panelRect.top, mapRect.top);
+    const overlapBottom = Math.min(panelRect.bottom, mapRect.bottom);
+    if (overlapRight <= overlapLeft || overlapBottom <= overlapTop) return padding;
+
+    // Pad the side of the map the panel sits on
+    const panelCenter = (panelRect.left + panelRect.right) / 2;
+    const mapCenter = (mapRect.left + mapRect.right) / 2;
+    if (panelCenter < mapCenter) {
+      padding.left = overlapRight - mapRect.left;
+    } else {
+      padding.right = mapRect.right - overlapLeft;
+    }
+
+    // Never pad away the whole map
+    padding.left = Math.min(padding.left, mapRect.width * 0.6);
+    padding.right = Math.min(padding.right, mapRect.width * 0.6);
+    return padding;
   }
 
   // Marker and line management
@@ -310,67 +1361,425 @@ class StoryMap {
   createAllLines() {
     if (!this.map || !this.storyData) return;
 
-    // Create line segments between consecutive slides that have line: true
+    // Create line segments between consecutive slides that have a line
     for (let i = 0; i < this.storyData.length - 1; i++) {
       const currentSlide = this.storyData[i];
       const nextSlide = this.storyData[i + 1];
 
-      // Check if current slide has line: true and both slides have valid locations
+      if (!currentSlide.location || !currentSlide.location.line) continue;
+
+      // Great circle and straight segments are built from both slides' locations
+      const lineType = this.getLineType(currentSlide.location);
       if (
-        currentSlide.location &&
-        currentSlide.location.line === true &&
-        this.isValidLocation(currentSlide.location) &&
-        this.isValidLocation(nextSlide.location)
+        lineType === 'geojson' ||
+        (this.isValidLocation(currentSlide.location) && this.isValidLocation(nextSlide.location))
       ) {
         this.createLineSegment(i, currentSlide, nextSlide);
       }
     }
-  }
 
-  createLineSegment(index, currentSlide, nextSlide) {
-    if (!this.map) return;
+    // Moving marker at the head of the segment being drawn
+    if (this.isRouteAnimationEnabled() && this.getRouteAnimationOptions().headMarker) {
+      this.createRouteHead();
+    }
+  }
+
+  /**
+   * How the segment starting at this location is drawn:
+   * - location.lineType: 'greatCircle' | 'straight' | 'geojson'
+   * - otherwise 'geojson' when location.line is a GeoJSON object or URL,
+   *   and 'greatCircle' for line: true
+   */
+  getLineType(location) {
+    if (location.lineType) return location.lineType;
+    return location.line === true ? 'greatCircle' : 'geojson';
+  }
+
+  createLineSegment(index, currentSlide, nextSlide) {
+    if (!this.map) return;
+
+    const lineId = `line-${index}`;
+    const sourceId = `line-source-${index}`;
+    const location = currentSlide.location;
+    const lineType = this.getLineType(location);
+
+    const start = [parseFloat(location.lon), parseFloat(location.lat)];
+    const end = [parseFloat(nextSlide.location?.lon), parseFloat(nextSlide.location?.lat)];
+
+    let geometry = null;
+    let geometryUrl = null;
+
+    if (lineType === 'straight') {
+      geometry = { type: "LineString", coordinates: [start, end] };
+    } else if (lineType === 'geojson') {
+      if (typeof location.line === 'string') {
+        // Remote GeoJSON or GPX file, loaded below
+        geometryUrl = location.line;
+      } else {
+        geometry = this.toLineGeometry(location.line);
+      }
+      if (!geometry && !geometryUrl) {
+        console.warn(`Slide ${index}: line is not a GeoJSON line or URL, skipping segment`);
+        return;
+      }
+    } else {
+      // Create great circle line using Turf.js, with enough points for a smooth curve
+      const greatCircleLine = turf.greatCircle(turf.point(start), turf.point(end), {
+        npoints: 100
+      });
+      geometry = greatCircleLine.geometry;
+    }
+
+    // Per-segment style overrides fall back to the story styling
+    const lineStyle = location.lineStyle || {};
+    const styling = this.config.styling;
+
+    const line = {
+      id: lineId,
+      sourceId: sourceId,
+      targetSlideIndex: index + 1,
+      geometry: geometry,
+      progress: 1,
+      color: lineStyle.color || styling.lineColor,
+      colorActive: lineStyle.colorActive || styling.lineColorActive,
+      width: lineStyle.width || styling.lineWidth,
+      dasharray: lineStyle.dasharray !== undefined ? lineStyle.dasharray : styling.lineDasharray
+    };
+
+    // With route animation, only segments up to the current slide start drawn
+    if (this.isRouteAnimationEnabled() && this.getRouteAnimationOptions().hideFutureSegments) {
+      line.progress = line.targetSlideIndex <= this.currentSlideIndex ? 1 : 0;
+    }
+
+    // Add source for this line segment
+    this.map.addSource(sourceId, {
+      type: "geojson",
+      data: this.getPartialLine(line.geometry, line.progress),
+    });
+
+    const paint = {
+      "line-color": line.color,
+      "line-width": line.width,
+    };
+    // A dasharray of null or false draws a solid line
+    if (line.dasharray) {
+      paint["line-dasharray"] = line.dasharray;
+    }
+
+    // Add layer for this line segment with styling
+    this.map.addLayer({
+      id: lineId,
+      type: "line",
+      source: sourceId,
+      layout: {
+        "line-join": "round",
+        "line-cap": "round",
+      },
+      paint: paint,
+    });
+
+    this.lines.push(line);
+
+    if (geometryUrl) {
+      this.loadLineGeometry(geometryUrl)
+        .then((loadedGeometry) => {
+          // The segment may have been removed (language switch, destroy) meanwhile
+          if (!this.map || !this.lines.includes(line)) return;
+          line.geometry = loadedGeometry;
+          this.setLineProgress(line, line.progress);
+        })
+        .catch((error) => {
+          console.warn(`Slide ${index}: could not load line from ${geometryUrl}:`, error);
+        });
+    }
+  }
+
+  /**
+   * Reduce a GeoJSON object (geometry, Feature or FeatureCollection) to a
+   * LineString or MultiLineString geometry. Returns null if it has no lines.
+   */
+  toLineGeometry(geojson) {
+    if (!geojson || typeof geojson !== 'object') return null;
+
+    if (geojson.type === 'Feature') {
+      return this.toLineGeometry(geojson.geometry);
+    }
+    if (geojson.type === 'LineString' || geojson.type === 'MultiLineString') {
+      return geojson;
+    }
+
+    const collection = geojson.type === 'FeatureCollection'
+      ? geojson.features.map(feature => feature.geometry)
+      : geojson.type === 'GeometryCollection' ? geojson.geometries : [];
+
+    const parts = [];
+    collection.forEach((geometry) => {
+      const lineGeometry = this.toLineGeometry(geometry);
+      if (lineGeometry?.type === 'LineString') {
+        parts.push(lineGeometry.coordinates);
+      } else if (lineGeometry?.type === 'MultiLineString') {
+        parts.push(...lineGeometry.coordinates);
+      }
+    });
+
+    if (parts.length === 0) return null;
+    return parts.length === 1
+      ? { type: "LineString", coordinates: parts[0] }
+      : { type: "MultiLineString", coordinates: parts };
+  }
+
+  /**
+   * Fetch a line geometry from a GeoJSON or GPX file (cached per URL)
+   */
+  loadLineGeometry(url) {
+    if (!this.lineGeometryRequests[url]) {
+      this.lineGeometryRequests[url] = fetch(url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status}`);
+          }
+          return response.text();
+        })
+        .then((body) => {
+          const isGpx = /\.gpx(\?|#|$)/i.test(url) || body.trimStart().startsWith('<');
+          const geometry = isGpx ? this.parseGpxLine(body) : this.toLineGeometry(JSON.parse(body));
+          if (!geometry) {
+            throw new Error(`No line geometry found in ${url}`);
+          }
+          return geometry;
+        });
+
+      // Let a failed request be retried later
+      this.lineGeometryRequests[url].catch(() => {
+        delete this.lineGeometryRequests[url];
+      });
+    }
+    return this.lineGeometryRequests[url];
+  }
+
+  /**
+   * Read the tracks (or routes) of a GPX document as a line geometry
+   */
+  parseGpxLine(gpxText) {
+    const doc = new DOMParser().parseFromString(gpxText, 'application/xml');
+    const toCoordinates = points => Array.from(points).map(point => [
+      parseFloat(point.getAttribute('lon')),
+      parseFloat(point.getAttribute('lat'))
+    ]);
+
+    let parts = Array.from(doc.getElementsByTagName('trkseg'))
+      .map(segment => toCoordinates(segment.getElementsByTagName('trkpt')));
+    if (parts.length === 0) {
+      parts = Array.from(doc.getElementsByTagName('rte'))
+        .map(route => toCoordinates(route.getElementsByTagName('rtept')));
+    }
+    parts = parts.filter(part => part.length > 1);
+
+    if (parts.length === 0) return null;
+    return parts.length === 1
+      ? { type: "LineString", coordinates: parts[0] }
+      : { type: "MultiLineString", coordinates: parts };
+  }
+
+  // Route animation methods (features.animateRoutes)
+  isRouteAnimationEnabled() {
+    return Boolean(this.config.features.animateRoutes);
+  }
+
+  getRouteAnimationOptions() {
+    const animateRoutes = this.config.features.animateRoutes;
+    return {
+      hideFutureSegments: true,
+      headMarker: true,
+      duration: 2000, // Used when the camera is not moving (e.g. scroll interpolation)
+      ...(typeof animateRoutes === 'object' ? animateRoutes : {})
+    };
+  }
+
+  /**
+   * Cut a LineString/MultiLineString down to the first `progress` (0-1) of
+   * its points, interpolating the last point so the line grows smoothly.
+   */
+  getPartialLine(geometry, progress) {
+    // Remote geometries are empty until they have loaded
+    if (!geometry) {
+      return { type: "FeatureCollection", features: [] };
+    }
+
+    const parts = geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+    const totalSegments = parts.reduce((sum, part) => sum + Math.max(part.length - 1, 0), 0);
+
+    if (progress >= 1) {
+      return { type: "Feature", properties: {}, geometry: geometry };
+    }
+    if (progress <= 0 || totalSegments === 0) {
+      return { type: "FeatureCollection", features: [] };
+    }
+
+    let remaining = progress * totalSegments;
+    const partialParts = [];
+
+    for (const part of parts) {
+      const segments = part.length - 1;
+      if (remaining >= segments) {
+        partialParts.push(part);
+        remaining -= segments;
+        continue;
+      }
+
+      const whole = Math.floor(remaining);
+      const fraction = remaining - whole;
+      const from = part[whole];
+      const to = part[whole + 1];
+      const coords = part.slice(0, whole + 1);
+      coords.push([
+        from[0] + (to[0] - from[0]) * fraction,
+        from[1] + (to[1] - from[1]) * fraction
+      ]);
+      partialParts.push(coords);
+      break;
+    }
+
+    return {
+      type: "Feature",
+      properties: {},
+      geometry: partialParts.length === 1
+        ? { type: "LineString", coordinates: partialParts[0] }
+        : { type: "MultiLineString", coordinates: partialParts }
+    };
+  }
+
+  setLineProgress(line, progress) {
+    line.progress = progress;
+
+    const source = this.map.getSource(line.sourceId);
+    if (source) {
+      source.setData(this.getPartialLine(line.geometry, progress));
+    }
+  }
+
+  createRouteHead() {
+    this.map.addSource("route-head", {
+      type: "geojson",
+      data: { type: "FeatureCollection", features: [] }
+    });
+
+    this.map.addLayer({
+      id: "route-head-circle",
+      type: "circle",
+      source: "route-head",
+      paint: {
+        "circle-radius": this.config.styling.routeHeadRadius || 6,
+        "circle-color": this.config.styling.routeHeadColor || this.config.styling.lineColorActive,
+        "circle-stroke-width": 2,
+        "circle-stroke-color": this.config.styling.markerStrokeColor
+      }
+    });
+  }
+
+  setRouteHead(coordinates) {
+    const source = this.map.getSource("route-head");
+    if (!source) return;
+
+    source.setData({
+      type: "FeatureCollection",
+      features: coordinates
+        ? [{ type: "Feature", properties: {}, geometry: { type: "Point", coordinates } }]
+        : []
+    });
+  }
+
+  /**
+   * Bring every segment to its state for the current slide: earlier segments
+   * drawn, later ones hidden, and the one leading to the current slide grown
+   * point by point in step with the camera flight.
+   */
+  updateRouteDrawing(cameraDone) {
+    if (!this.map || !this.isRouteAnimationEnabled()) return;
+
+    const options = this.getRouteAnimationOptions();
+    this.cancelRouteAnimation();
+    this.setRouteHead(null);
+
+    // The overview shows the whole route
+    if (this.isOverviewSlide(this.storyData[this.currentSlideIndex])) {
+      this.lines.forEach(line => this.setLineProgress(line, 1));
+      return;
+    }
+
+    let activeLine = null;
+    this.lines.forEach((line) => {
+      if (line.targetSlideIndex === this.currentSlideIndex && line.progress < 1) {
+        activeLine = line;
+      } else if (line.targetSlideIndex <= this.currentSlideIndex || !options.hideFutureSegments) {
+        this.setLineProgress(line, 1);
+      } else {
+        this.setLineProgress(line, 0);
+      }
+    });
 
-    const lineId = `line-${index}`;
-    const sourceId = `line-source-${index}`;
+    if (!activeLine) return;
 
-    // Create great circle line using Turf.js
-    const startPoint = turf.point([
-      parseFloat(currentSlide.location.lon),
-      parseFloat(currentSlide.location.lat)
-    ]);
-    const endPoint = turf.point([
-      parseFloat(nextSlide.location.lon),
-      parseFloat(nextSlide.location.lat)
+    const slide = this.storyData[this.currentSlideIndex];
+    if (!this.isValidLocation(slide.location)) {
+      this.setLineProgress(activeLine, 1);
+      return;
+    }
+
+    const target = maplibregl.MercatorCoordinate.fromLngLat([
+      parseFloat(slide.location.lon),
+      parseFloat(slide.location.lat)
     ]);
+    const distanceToTarget = () => {
+      const center = maplibregl.MercatorCoordinate.fromLngLat(this.map.getCenter());
+      return Math.hypot(center.x - target.x, center.y - target.y);
+    };
+    const startDistance = distanceToTarget();
+    const followsCamera = startDistance > 1e-9;
+    const startTime = performance.now();
+    let cameraFinished = false;
+
+    const step = (now) => {
+      this.routeFrame = null;
+      if (!this.map) return;
+
+      // Follow the camera while it flies, otherwise animate over options.duration
+      let progress = followsCamera
+        ? 1 - distanceToTarget() / startDistance
+        : (now - startTime) / options.duration;
+      progress = Math.min(Math.max(progress, activeLine.progress), 1);
+
+      if (progress >= 1 || (followsCamera && cameraFinished)) {
+        this.setLineProgress(activeLine, 1);
+        this.setRouteHead(null);
+        return;
+      }
 
-    // Generate great circle line with appropriate resolution
-    const greatCircleLine = turf.greatCircle(startPoint, endPoint, {
-      npoints: 100 // Number of points to generate for smooth curve
-    });
+      this.setLineProgress(activeLine, progress);
 
-    // Add source for this great circle line segment
-    this.map.addSource(sourceId, {
-      type: "geojson",
-      data: greatCircleLine,
-    });
+      const partial = this.getPartialLine(activeLine.geometry, progress).geometry;
+      if (partial) {
+        const parts = partial.type === 'MultiLineString' ? partial.coordinates : [partial.coordinates];
+        const lastPart = parts[parts.length - 1];
+        this.setRouteHead(lastPart[lastPart.length - 1]);
+      }
 
-    // Add layer for this line segment with styling
-    this.map.addLayer({
-      id: lineId,
-      type: "line",
-      source: sourceId,
-      layout: {
-        "line-join": "round",
-        "line-cap": "round",
-      },
-      paint: {
-        "line-color": this.config.styling.lineColor,
-        "line-width": this.config.styling.lineWidth,
-        "line-dasharray": this.config.styling.lineDasharray,
-      },
+      this.routeFrame = requestAnimationFrame(step);
+    };
+
+    cameraDone.then(() => {
+      cameraFinished = true;
     });
 
-    this.lines.push({ id: lineId, targetSlideIndex: index + 1 });
+    this.setLineProgress(activeLine, 0);
+    this.routeFrame = requestAnimationFrame(step);
+  }
+
+  cancelRouteAnimation() {
+    if (this.routeFrame) {
+      cancelAnimationFrame(this.routeFrame);
+      this.routeFrame = null;
+    }
   }
 
   createInactiveMarkers() {
@@ -427,6 +1836,11 @@ class StoryMap {
     this.map.on("click", "inactive-marker-circles", (e) => {
       if (e.features.length > 0) {
         const clickedSlideIndex = e.features[0].properties.slideIndex;
+        this.emit('markerclick', {
+          index: clickedSlideIndex,
+          slide: this.storyData[clickedSlideIndex],
+          originalEvent: e
+        });
         if (clickedSlideIndex !== this.currentSlideIndex && !this.isAnimating) {
           this.navigateToSlide(clickedSlideIndex);
         }
@@ -473,6 +1887,11 @@ class StoryMap {
     this.map.on("click", "active-marker-circle", (e) => {
       if (e.features.length > 0) {
         const clickedSlideIndex = e.features[0].properties.slideIndex;
+        this.emit('markerclick', {
+          index: clickedSlideIndex,
+          slide: this.storyData[clickedSlideIndex],
+          originalEvent: e
+        });
         if (clickedSlideIndex !== this.currentSlideIndex && !this.isAnimating) {
           this.navigateToSlide(clickedSlideIndex);
         }
@@ -497,19 +1916,184 @@ class StoryMap {
 
     // Update marker colors
     this.updateMarkerColors();
+
+    // Show the current slide's overlay layers, fade out the others
+    this.updateOverlayLayers();
+  }
+
+  // Overlay layer methods (slide.layers)
+  // Paint properties faded when an overlay is shown or hidden (symbols have icons and labels)
+  getOverlayOpacityProperties(layerType) {
+    switch (layerType) {
+      case 'fill': return ['fill-opacity'];
+      case 'line': return ['line-opacity'];
+      case 'circle': return ['circle-opacity'];
+      case 'heatmap': return ['heatmap-opacity'];
+      case 'fill-extrusion': return ['fill-extrusion-opacity'];
+      case 'symbol': return ['icon-opacity', 'text-opacity'];
+      default: return ['raster-opacity'];
+    }
+  }
+
+  // Fade an overlay to its own opacity (visible) or to 0
+  setOverlayOpacity(overlay, visible) {
+    Object.entries(overlay.opacity).forEach(([property, opacity]) => {
+      this.map.setPaintProperty(overlay.id, property, visible ? opacity : 0);
+    });
+  }
+
+  /**
+   * Build the map source for an overlay declared in slide.layers:
+   * - { type: 'geojson', data }           inline GeoJSON or URL
+   * - { type: 'raster', tiles | url }     tiled imagery
+   * - { type: 'image', url, coordinates } single georeferenced image
+   */
+  getOverlaySource(layer) {
+    switch (layer.type) {
+      case 'raster':
+        return {
+          type: "raster",
+          ...(layer.tiles ? { tiles: layer.tiles } : { url: layer.url }),
+          tileSize: layer.tileSize || 256,
+          ...(layer.attribution ? { attribution: layer.attribution } : {})
+        };
+
+      case 'image':
+        return {
+          type: "image",
+          url: layer.url,
+          coordinates: layer.coordinates
+        };
+
+      case 'geojson':
+      default:
+        return {
+          type: "geojson",
+          data: layer.data || layer.url
+        };
+    }
+  }
+
+  addOverlay(slideIndex, layer, layerNumber) {
+    const layerType = layer.layerType || (layer.type === 'geojson' || !layer.type ? 'fill' : 'raster');
+    const fadeDuration = this.config.styling.overlayFadeDuration;
+
+    // Target opacity of each faded property: layer.opacity, else the layer's own paint value
+    const opacity = {};
+    const paint = { ...layer.paint };
+    this.getOverlayOpacityProperties(layerType).forEach((property) => {
+      opacity[property] = layer.opacity !== undefined
+        ? layer.opacity
+        : (layer.paint?.[property] !== undefined ? layer.paint[property] : 1);
+      paint[property] = 0;
+      paint[`${property}-transition`] = { duration: fadeDuration, delay: 0 };
+    });
+
+    const overlay = {
+      slideIndex: slideIndex,
+      id: layer.id || `overlay-${slideIndex}-${layerNumber}`,
+      sourceId: `overlay-source-${slideIndex}-${layerNumber}`,
+      opacity: opacity,
+      removeTimer: null
+    };
+
+    this.map.addSource(overlay.sourceId, this.getOverlaySource(layer));
+
+    // Keep overlays underneath the story's lines and markers
+    const beforeId = this.lines.length > 0 ? this.lines[0].id : "inactive-marker-circles";
+
+    try {
+      this.map.addLayer({
+        id: overlay.id,
+        type: layerType,
+        source: overlay.sourceId,
+        layout: layer.layout || {},
+        paint: paint,
+        ...(layer.filter ? { filter: layer.filter } : {})
+      }, this.map.getLayer(beforeId) ? beforeId : undefined);
+    } catch (error) {
+      // Don't leave the source behind, or the next attempt fails with "source already exists"
+      this.map.removeSource(overlay.sourceId);
+      throw error;
+    }
+
+    this.overlays.push(overlay);
+    return overlay;
+  }
+
+  removeOverlay(overlay) {
+    if (overlay.removeTimer) {
+      clearTimeout(overlay.removeTimer);
+      this.timers.delete(overlay.removeTimer);
+    }
+    if (this.map.getLayer(overlay.id)) {
+      this.map.removeLayer(overlay.id);
+    }
+    if (this.map.getSource(overlay.sourceId)) {
+      this.map.removeSource(overlay.sourceId);
+    }
+    this.overlays = this.overlays.filter(o => o !== overlay);
+  }
+
+  updateOverlayLayers() {
+    if (!this.map || !this.storyData) return;
+
+    const fadeDuration = this.config.styling.overlayFadeDuration;
+
+    // Fade out and then remove overlays that belong to other slides
+    this.overlays.forEach((overlay) => {
+      if (overlay.slideIndex === this.currentSlideIndex || overlay.removeTimer) return;
+
+      this.setOverlayOpacity(overlay, false);
+      overlay.removeTimer = this.setTimer(() => {
+        overlay.removeTimer = null;
+        this.removeOverlay(overlay);
+      }, fadeDuration);
+    });
+
+    // Add (or bring back) the current slide's overlays and fade them in
+    const layers = this.storyData[this.currentSlideIndex]?.layers || [];
+    layers.forEach((layer, layerNumber) => {
+      const id = layer.id || `overlay-${this.currentSlideIndex}-${layerNumber}`;
+      let overlay = this.overlays.find(o => o.id === id);
+
+      // Slides may share an overlay by giving it the same id
+      if (overlay) {
+        overlay.slideIndex = this.currentSlideIndex;
+        if (overlay.removeTimer) {
+          clearTimeout(overlay.removeTimer);
+          this.timers.delete(overlay.removeTimer);
+          overlay.removeTimer = null;
+        }
+      }
+
+      if (!overlay) {
+        try {
+          overlay = this.addOverlay(this.currentSlideIndex, layer, layerNumber);
+        } catch (error) {
+          console.warn(`Slide ${this.currentSlideIndex}: could not add overlay layer '${id}':`, error);
+          return;
+        }
+      }
+
+      this.setOverlayOpacity(overlay, true);
+    });
   }
 
   updateLineColors() {
     if (!this.map) return;
 
+    // The overview shows the whole route in the active color
+    const isOverview = this.isOverviewSlide(this.storyData[this.currentSlideIndex]);
+
     // Update all lines based on current slide
     this.lines.forEach((line) => {
-      if (line.targetSlideIndex === this.currentSlideIndex) {
+      if (isOverview || line.targetSlideIndex === this.currentSlideIndex) {
         // This line leads to the current slide, make it active color
-        this.map.setPaintProperty(line.id, "line-color", this.config.styling.lineColorActive);
+        this.map.setPaintProperty(line.id, "line-color", line.colorActive);
       } else {
         // All other lines are inactive color
-        this.map.setPaintProperty(line.id, "line-color", this.config.styling.lineColor);
+        this.map.setPaintProperty(line.id, "line-color", line.color);
       }
     });
   }
@@ -608,17 +2192,40 @@ class StoryMap {
 
   // Slide update system
   updateSlide(direction = 'none') {
+    if (this.isDestroyed) return;
+
     const slide = this.storyData[this.currentSlideIndex];
     if (!slide) return;
 
-    // Update content
-    this.updateContent(slide, direction);
+    const slideIndex = this.currentSlideIndex;
+
+    // A new slide restarts the autoplay countdown once its transition ends
+    this.clearAutoplayTimer();
+    this.isTransitioning = true;
 
-    // Update map
-    if (this.isValidLocation(slide.location)) {
-      this.flyToSlide(this.currentSlideIndex);
+    // Update content (in scroll mode every section is already rendered)
+    let contentDone = Promise.resolve();
+    if (this.isScrollMode()) {
+      this.updateActiveSection();
+    } else {
+      contentDone = this.updateContent(slide, direction);
     }
 
+    // Update map (when interpolating, the camera follows the scroll position instead)
+    const followsScroll = this.isScrollMode() && this.config.scroll.interpolateCamera;
+    const cameraDone = this.hasCameraTarget(this.getCameraLocation(slide)) && !followsScroll
+      ? this.flyToSlide(slideIndex)
+      : Promise.resolve();
+
+    // Notify once both the content animation and the camera move have finished
+    Promise.all([contentDone, cameraDone]).then(() => {
+      if (slideIndex === this.currentSlideIndex && !this.isDestroyed) {
+        this.isTransitioning = false;
+        this.emit('transitionend', { index: slideIndex, slide: slide, direction: direction });
+        this.scheduleAutoplay();
+      }
+    });
+
     // Update UI elements
     this.updateProgress();
     this.updateButtonStates();
@@ -626,18 +2233,23 @@ class StoryMap {
 
     // Update map elements (markers and lines) after content updates
     this.updateMapElements();
+    this.updateRouteDrawing(cameraDone);
   }
 
+  /**
+   * Returns a promise that resolves when the content animation has finished.
+   */
   updateContent(slide, direction) {
-    const contentWrapper = document.getElementById('content-wrapper');
-    if (!contentWrapper) return;
+    const contentWrapper = this.getElement('contentWrapper');
+    if (!contentWrapper) return Promise.resolve();
 
     // Handle animations
     if (direction !== 'none' && this.config.features.animations && !this.isAnimating) {
-      this.animateSlideTransition(contentWrapper, slide, direction);
-    } else {
-      this.updateSlideContent(slide);
+      return this.animateSlideTransition(contentWrapper, slide, direction);
     }
+
+    this.updateSlideContent(slide);
+    return Promise.resolve();
   }
 
   animateSlideTransition(contentWrapper, slide, direction) {
@@ -648,83 +2260,505 @@ class StoryMap {
 
     contentWrapper.classList.add(outClass);
 
-    setTimeout(() => {
-      contentWrapper.classList.remove(outClass);
-      this.updateSlideContent(slide);
-      contentWrapper.classList.add(inClass);
-
-      setTimeout(() => {
-        contentWrapper.classList.remove(inClass);
-        this.isAnimating = false;
+    return new Promise((resolve) => {
+      const animation = { contentWrapper, timerId: null, resolve };
+      this.slideAnimation = animation;
+
+      animation.timerId = this.setTimer(() => {
+        contentWrapper.classList.remove(outClass);
+        this.updateSlideContent(slide);
+        contentWrapper.classList.add(inClass);
+
+        animation.timerId = this.setTimer(() => {
+          contentWrapper.classList.remove(inClass);
+          this.isAnimating = false;
+          this.slideAnimation = null;
+          resolve();
+        }, 500);
       }, 500);
-    }, 500);
+    });
+  }
+
+  // Stop the running content animation; its promise resolves right away
+  cancelSlideAnimation() {
+    const animation = this.slideAnimation;
+    if (!animation) return;
+
+    this.slideAnimation = null;
+    clearTimeout(animation.timerId);
+    this.timers.delete(animation.timerId);
+    animation.contentWrapper.classList.remove('slide-out-left', 'slide-out-right', 'slide-in-left', 'slide-in-right');
+    this.isAnimating = false;
+    animation.resolve();
   }
 
   updateSlideContent(slide) {
+    this.renderSlideContent(slide, {
+      headline: this.getElement('headline'),
+      text: this.getElement('text'),
+      media: this.getElement('media')
+    });
+  }
+
+  /**
+   * Render a slide's headline, text and media into the given elements
+   * (the single content panel, or a section in scroll mode)
+   */
+  renderSlideContent(slide, targets) {
     // Update headline
-    const headline = document.getElementById('headline');
-    if (headline) {
-      headline.textContent = slide.text?.headline || '';
+    if (targets.headline) {
+      targets.headline.textContent = slide.text?.headline || '';
     }
 
     // Update text content
-    const text = document.getElementById('text');
-    if (text) {
-      text.innerHTML = slide.text?.text || '';
+    if (targets.text) {
+      targets.text.innerHTML = this.sanitizeHTML(this.formatStoryHTML(slide.text?.text, this.getSlideFormat(slide)));
+
+      if (this.isOverviewSlide(slide) && this.config.overview.tableOfContents) {
+        targets.text.appendChild(this.renderTableOfContents());
+      }
     }
 
     // Update media
-    this.updateMedia(slide);
+    if (targets.media) {
+      this.renderMedia(targets.media, slide);
+    }
+  }
+
+  /**
+   * List of the story's slides; each entry navigates to its slide
+   */
+  renderTableOfContents() {
+    const nav = document.createElement('nav');
+    nav.className = 'storymap-toc';
+    const list = document.createElement('ol');
+
+    this.storyData.forEach((slide, index) => {
+      if (this.isOverviewSlide(slide)) return;
+
+      const item = document.createElement('li');
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'storymap-toc-link';
+      link.dataset.slideIndex = index;
+      link.textContent = slide.text?.headline || `${index + 1}`;
+
+      if (slide.date) {
+        const date = document.createElement('span');
+        date.className = 'storymap-toc-date';
+        date.textContent = slide.date;
+        // The space keeps "1961 Title" apart for screen readers and copied text
+        link.prepend(date, ' ');
+      }
+
+      // The list is rebuilt with the slide content, so the listener goes with it
+      link.addEventListener('click', () => this.navigateToSlide(index));
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    nav.appendChild(list);
+    return nav;
   }
 
   updateMedia(slide) {
-    const mediaContainer = document.getElementById('media');
+    const mediaContainer = this.getElement('media');
     if (!mediaContainer) return;
 
-    mediaContainer.innerHTML = '';
+    this.renderMedia(mediaContainer, slide);
+  }
+
+  /**
+   * Render a slide's media: a single item, or a gallery when media is an
+   * array with several items
+   */
+  renderMedia(mediaContainer, slide) {
+    this.clearMedia(mediaContainer);
+
+    const items = (Array.isArray(slide.media) ? slide.media : [slide.media]).filter(media => media?.url);
+    if (items.length > 1) {
+      this.renderGallery(mediaContainer, items, slide);
+    } else if (items.length === 1) {
+      // Images open in the core's lightbox, not in the handler's
+      this.renderMediaItem(mediaContainer, items[0], slide, { lightbox: false });
+      this.enableImageLightbox(mediaContainer, items[0], slide);
+    }
+  }
+
+  /**
+   * Render one media item with the first handler that matches it.
+   * The handler gets { url, caption, credit, options, sanitize }, where options
+   * are config.media.options overridden by the item's options (then by
+   * optionOverrides), and sanitize cleans caption and credit HTML (see sanitizeHTML).
+   */
+  renderMediaItem(container, item, slide, optionOverrides = {}) {
+    const handler = this.getMediaHandler(item);
+    if (!handler) return;
+
+    // Markdown and plain text captions are converted here, so handlers only see HTML
+    const format = this.getSlideFormat(slide);
+    const media = {
+      ...item,
+      caption: item.caption && this.formatStoryHTML(item.caption, format, { inline: true }),
+      credit: item.credit && this.formatStoryHTML(item.credit, format, { inline: true }),
+      options: { ...this.config.media.options, ...item.options, ...optionOverrides },
+      sanitize: html => this.sanitizeHTML(html)
+    };
+    const instance = handler.render(container, media, { storyMap: this, slide: slide });
+    this.activeMedia.push({ container, handler, instance });
+  }
+
+  /**
+   * Several media items as a carousel: a scroll-snapping track (swipe on touch
+   * screens), previous/next buttons, and arrow keys while the gallery has focus.
+   * Images open in the lightbox.
+   */
+  renderGallery(mediaContainer, items, slide) {
+    const listeners = [];
+    const listen = (target, type, handler) => {
+      target.addEventListener(type, handler);
+      listeners.push({ target, type, handler });
+    };
+
+    const gallery = document.createElement('div');
+    gallery.className = 'storymap-gallery';
+    gallery.setAttribute('role', 'region');
+    gallery.setAttribute('aria-roledescription', 'carousel');
+    gallery.setAttribute('aria-label', 'Media gallery');
+    gallery.tabIndex = 0;
+
+    const track = document.createElement('div');
+    track.className = 'storymap-gallery-track';
+    gallery.appendChild(track);
+    mediaContainer.appendChild(gallery);
+
+    // Lightbox entries ({ url, alt, caption, credit }) for the items rendered as images
+    const images = [];
+    const figures = items.map((item, index) => {
+      const figure = document.createElement('figure');
+      figure.className = 'storymap-gallery-item';
+      figure.setAttribute('role', 'group');
+      figure.setAttribute('aria-roledescription', 'slide');
+      figure.setAttribute('aria-label', `${index + 1} of ${items.length}`);
+      track.appendChild(figure);
+
+      // Images open in the core's lightbox, with the gallery's other images
+      this.renderMediaItem(figure, item, slide, { lightbox: false });
+
+      const image = figure.querySelector('img');
+      if (image) {
+        image.tabIndex = 0;
+        image.setAttribute('role', 'button');
+        image.setAttribute('aria-haspopup', 'dialog');
+        image.dataset.lightboxIndex = String(images.length);
+        images.push(this.getLightboxImage(image, item, slide));
+      }
+      return figure;
+    });
+
+    const controls = document.createElement('div');
+    controls.className = 'storymap-gallery-controls';
+    const previous = this.createIconButton('storymap-gallery-prev', 'Previous item', '\u2039');
+    const next = this.createIconButton('storymap-gallery-next', 'Next item', '\u203a');
+    const counter = document.createElement('span');
+    counter.className = 'storymap-gallery-counter';
+    counter.setAttribute('aria-live', 'polite');
+    controls.append(previous, counter, next);
+    gallery.appendChild(controls);
+
+    let current = 0;
+    let openedLightbox = null;
+    const update = () => {
+      counter.textContent = `${current + 1} / ${items.length}`;
+      previous.disabled = current === 0;
+      next.disabled = current === items.length - 1;
+    };
+    const goTo = (index) => {
+      current = Math.max(0, Math.min(items.length - 1, index));
+      track.scrollTo({ left: figures[current].offsetLeft });
+      update();
+    };
+    const openImage = (image) => {
+      this.openLightbox(images, Number(image.dataset.lightboxIndex));
+      openedLightbox = this.lightbox;
+    };
+
+    listen(previous, 'click', () => goTo(current - 1));
+    listen(next, 'click', () => goTo(current + 1));
+    // Swiping scrolls the track; follow it
+    listen(track, 'scroll', () => {
+      const index = Math.round(track.scrollLeft / Math.max(track.clientWidth, 1));
+      if (index !== current && index >= 0 && index < items.length) {
+        current = index;
+        update();
+      }
+    });
+    listen(track, 'click', (event) => {
+      const image = event.target.closest?.('img[data-lightbox-index]');
+      if (image) openImage(image);
+    });
+    listen(gallery, 'keydown', (event) => {
+      const image = event.target.closest?.('img[data-lightbox-index]');
+      if (image && (event.key === 'Enter' || event.key === ' ')) {
+        event.preventDefault();
+        openImage(image);
+      } else if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        goTo(current - 1);
+      } else if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        goTo(current + 1);
+      }
+    });
+
+    update();
+
+    // Released by clearMedia together with the items
+    this.activeMedia.push({
+      container: gallery,
+      handler: {
+        name: 'gallery',
+        destroy: () => {
+          listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+          if (openedLightbox && this.lightbox === openedLightbox) {
+            this.closeLightbox();
+          }
+        }
+      },
+      instance: gallery
+    });
+  }
+
+  /**
+   * Let the image of a single media item open in the lightbox (click, Enter or
+   * Space), unless its media options set lightbox: false
+   */
+  enableImageLightbox(container, item, slide) {
+    const image = container.querySelector('img');
+    const options = { ...this.config.media.options, ...item.options };
+    if (!image || options.lightbox === false) return;
+
+    image.tabIndex = 0;
+    image.setAttribute('role', 'button');
+    image.setAttribute('aria-haspopup', 'dialog');
+
+    let openedLightbox = null;
+    const open = (event) => {
+      if (event.type === 'keydown') {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        event.preventDefault();
+      }
+      this.openLightbox([this.getLightboxImage(image, item, slide)]);
+      openedLightbox = this.lightbox;
+    };
+    image.addEventListener('click', open);
+    image.addEventListener('keydown', open);
+
+    // Released by clearMedia together with the image
+    this.activeMedia.push({
+      container: image,
+      handler: {
+        name: 'lightbox',
+        destroy: () => {
+          image.removeEventListener('click', open);
+          image.removeEventListener('keydown', open);
+          if (openedLightbox && this.lightbox === openedLightbox) {
+            this.closeLightbox();
+          }
+        }
+      },
+      instance: image
+    });
+  }
 
-    if (slide.media?.url) {
-      if (slide.media.url.includes('youtube.com')) {
-        this.embedYouTube(mediaContainer, slide.media.url, slide.media.caption);
-      } else if (slide.media.url.match(/\.(jpg|jpeg|png|gif)$/i)) {
-        this.embedImage(mediaContainer, slide.media.url, slide.media.caption);
+  // Lightbox entry ({ url, alt, caption, credit }) for a rendered media image
+  getLightboxImage(image, item, slide) {
+    const format = this.getSlideFormat(slide);
+    return {
+      url: image.currentSrc || image.src,
+      alt: image.alt,
+      caption: this.formatStoryHTML(item.caption, format, { inline: true }),
+      credit: this.formatStoryHTML(item.credit, format, { inline: true })
+    };
+  }
+
+  createIconButton(className, label, symbol) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.setAttribute('aria-label', label);
+    button.textContent = symbol;
+    return button;
+  }
+
+  /**
+   * Show images ({ url, alt, caption, credit }) in the lightbox (see
+   * StoryMap.openLightbox), starting at index. Captions are cleaned like
+   * story HTML, and the lightbox closes with the slide's media.
+   */
+  openLightbox(images, index = 0) {
+    this.closeLightbox();
+
+    const lightbox = StoryMap.openLightbox(images, index, {
+      sanitize: html => this.sanitizeHTML(html),
+      onClose: () => {
+        if (this.lightbox === lightbox) this.lightbox = null;
+      }
+    });
+    this.lightbox = lightbox;
+  }
+
+  closeLightbox() {
+    if (!this.lightbox) return;
+
+    const lightbox = this.lightbox;
+    this.lightbox = null;
+    lightbox.close();
+  }
+
+  /**
+   * Handlers registered on this instance come first, then MediaRegistry
+   * (providers/media-providers.js), then the core's YouTube and image embeds
+   */
+  getMediaHandler(media) {
+    if (!media?.url) return null;
+
+    const handlers = [
+      ...this.config.media.handlers,
+      ...(typeof MediaRegistry !== 'undefined' ? MediaRegistry.handlers : []),
+      ...this.getBuiltInMediaHandlers()
+    ];
+    return handlers.find(handler => handler.match(media.url, media)) || null;
+  }
+
+  // Used when providers/media-providers.js is not loaded
+  getBuiltInMediaHandlers() {
+    return [
+      {
+        name: 'youtube',
+        match: url => StoryMap.getYouTubeId(url) !== '',
+        render: (container, media) => this.embedYouTube(container, media.url, media.caption, media.credit)
+      },
+      {
+        name: 'image',
+        match: url => StoryMap.isMediaFile(url, 'image'),
+        render: (container, media) => this.embedImage(container, media.url, media.caption, media.credit)
       }
+    ];
+  }
+
+  /**
+   * Add a media handler ({ name, match, render, destroy }) for this instance.
+   * It takes precedence over MediaRegistry and earlier handlers.
+   */
+  registerMediaHandler(handler) {
+    if (!handler || typeof handler.match !== 'function' || typeof handler.render !== 'function') {
+      throw new Error('Media handlers need match and render functions');
     }
+    this.config.media.handlers.unshift(handler);
+    return this;
+  }
+
+  /**
+   * Remove the current media, stopping any playback first
+   * (removing a playing iframe or video is not enough in every browser).
+   */
+  clearMedia(mediaContainer = this.getElement('media')) {
+    if (!mediaContainer) return;
+
+    // Let each handler release what it rendered in this container
+    this.activeMedia = this.activeMedia.filter((entry) => {
+      if (!mediaContainer.contains(entry.container)) return true;
+      if (typeof entry.handler.destroy === 'function') {
+        try {
+          entry.handler.destroy(entry.instance, entry.container);
+        } catch (error) {
+          console.error('Error destroying media:', error);
+        }
+      }
+      return false;
+    });
+
+    mediaContainer.querySelectorAll('iframe').forEach((iframe) => {
+      iframe.src = 'about:blank';
+    });
+    mediaContainer.querySelectorAll('video, audio').forEach((media) => {
+      media.pause();
+      media.removeAttribute('src');
+      media.load();
+    });
+
+    mediaContainer.innerHTML = '';
   }
 
-  embedYouTube(container, url, caption) {
+  embedYouTube(container, url, caption, credit) {
     const iframe = document.createElement('iframe');
-    iframe.src = url.replace('watch?v=', 'embed/');
+    iframe.src = `https://www.youtube.com/embed/${StoryMap.getYouTubeId(url)}`;
     iframe.width = '100%';
     iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
     iframe.allowFullscreen = true;
     container.appendChild(iframe);
-
-    if (caption) {
-      const captionDiv = document.createElement('div');
-      captionDiv.className = 'media-caption';
-      captionDiv.textContent = caption;
-      container.appendChild(captionDiv);
-    }
+    this.addMediaCaption(container, caption, credit);
   }
 
-  embedImage(container, url, caption) {
+  embedImage(container, url, caption, credit) {
     const img = document.createElement('img');
     img.src = url;
-    img.alt = caption || '';
+    img.alt = StoryMap.htmlToText(caption);
     img.style.width = '100%';
     container.appendChild(img);
+    this.addMediaCaption(container, caption, credit);
+  }
 
-    if (caption) {
-      const captionDiv = document.createElement('div');
-      captionDiv.className = 'media-caption';
-      captionDiv.textContent = caption;
-      container.appendChild(captionDiv);
+  addMediaCaption(container, caption, credit) {
+    StoryMap.addCaption(container, caption, credit, html => this.sanitizeHTML(html));
+  }
+
+  // Per-slide `format`, or config.textFormat
+  getSlideFormat(slide) {
+    return slide?.format || this.config.textFormat;
+  }
+
+  /**
+   * Story text as HTML, before sanitizing: 'markdown' is rendered with
+   * StoryMap.markdownToHTML, 'text' is escaped (line breaks kept), 'html' is used as-is.
+   * { inline: true } keeps Markdown inline (captions and credits).
+   */
+  formatStoryHTML(value, format, options = {}) {
+    if (value === undefined || value === null) return '';
+
+    if (format === 'markdown') {
+      return StoryMap.markdownToHTML(value, { inline: options.inline });
+    }
+    if (format === 'text') {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br>');
+    }
+    return String(value);
+  }
+
+  /**
+   * Clean story HTML according to config.sanitize: true uses
+   * StoryMap.SANITIZE_POLICY, a policy object overrides parts of it, a function
+   * replaces the sanitizer (e.g. DOMPurify.sanitize) and false trusts the story
+   */
+  sanitizeHTML(html) {
+    if (html === undefined || html === null) return '';
+
+    const sanitize = this.config.sanitize;
+    if (sanitize === false) return String(html);
+    if (typeof sanitize === 'function') return sanitize(String(html));
+    if (sanitize && typeof sanitize === 'object') {
+      return StoryMap.sanitizeHTML(html, { ...StoryMap.SANITIZE_POLICY, ...sanitize });
     }
+    return StoryMap.sanitizeHTML(html);
   }
 
   updateBackground(slide) {
-    const storyContent = document.getElementById('story-content');
+    const storyContent = this.getElement('storyContent');
     if (!storyContent) return;
 
     // Reset styles
@@ -759,7 +2793,7 @@ class StoryMap {
     overlay.style.opacity = opacity.toString();
 
     // Ensure content is above overlay
-    const contentWrapper = document.getElementById('content-wrapper');
+    const contentWrapper = this.getElement('contentWrapper');
     if (contentWrapper) {
       contentWrapper.style.position = 'relative';
       contentWrapper.style.zIndex = '1';
@@ -767,16 +2801,16 @@ class StoryMap {
   }
 
   updateProgress() {
-    const progressDiv = document.getElementById('progress');
+    const progressDiv = this.getElement('progress');
     if (progressDiv && this.storyData) {
       progressDiv.textContent = `${this.currentSlideIndex + 1}/${this.storyData.length}`;
     }
   }
 
   updateButtonStates() {
-    const prevBtn = document.getElementById('prev-btn');
-    const nextBtn = document.getElementById('next-btn');
-    const restartBtn = document.getElementById('restart-btn');
+    const prevBtn = this.getElement('prevButton');
+    const nextBtn = this.getElement('nextButton');
+    const restartBtn = this.getElement('restartButton');
 
     // Previous and restart buttons
     const canGoBack = this.currentSlideIndex > 0;
@@ -858,15 +2892,26 @@ class StoryMap {
     }
 
     // Remove all lines
+    this.cancelRouteAnimation();
     this.lines.forEach((line) => {
       if (this.map.getLayer(line.id)) {
         this.map.removeLayer(line.id);
       }
-      if (this.map.getSource(`line-source-${line.targetSlideIndex - 1}`)) {
-        this.map.removeSource(`line-source-${line.targetSlideIndex - 1}`);
+      if (this.map.getSource(line.sourceId)) {
+        this.map.removeSource(line.sourceId);
       }
     });
     this.lines = [];
+
+    if (this.map.getLayer("route-head-circle")) {
+      this.map.removeLayer("route-head-circle");
+    }
+    if (this.map.getSource("route-head")) {
+      this.map.removeSource("route-head");
+    }
+
+    // Remove all overlay layers
+    this.overlays.slice().forEach(overlay => this.removeOverlay(overlay));
   }
 
   // Public methods to recreate map elements (for language switching)
@@ -880,8 +2925,549 @@ class StoryMap {
     this.createAllLines();
     this.createAllMarkers();
   }
+
+  /**
+   * Tear down the instance: removes every DOM and map listener, cancels
+   * pending animation timers, clears media and removes the map.
+   * The instance is inert afterwards and cannot be restarted.
+   */
+  destroy() {
+    if (this.isDestroyed) return;
+
+    this.emit('destroy');
+    this.isDestroyed = true;
+
+    // Cancel pending animation, autoplay and attribution timers
+    this.isPlaying = false;
+    this.autoplayTimer = null;
+    this.cancelSlideAnimation();
+    this.timers.forEach(timerId => clearTimeout(timerId));
+    this.timers.clear();
+    this.isAnimating = false;
+
+    // Remove button and keyboard listeners
+    this.domListeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.domListeners = [];
+
+    // Leave the host element as it was
+    if (this.addedRootTabindex) {
+      this.root.removeAttribute('tabindex');
+      this.addedRootTabindex = false;
+    }
+
+    if (this.scrollObserver) {
+      this.scrollObserver.disconnect();
+      this.scrollObserver = null;
+    }
+    if (this.scrollFrame) {
+      cancelAnimationFrame(this.scrollFrame);
+      this.scrollFrame = null;
+    }
+    this.cancelRouteAnimation();
+
+    // In scroll mode every section holds media
+    this.closeLightbox();
+    this.clearMedia(this.isScrollMode() ? this.getElement('contentWrapper') : undefined);
+
+    // map.remove() also releases every map, layer and source listener
+    if (this.map) {
+      this.map.remove();
+      this.map = null;
+    }
+    this.markers = [];
+    this.lines = [];
+    this.overlays = [];
+    this.activeMedia = [];
+
+    this.eventListeners = {};
+  }
 }
 
+// Default selectors for the story UI, looked up inside the root element
+StoryMap.DEFAULT_ELEMENTS = {
+  prevButton: '#prev-btn',
+  nextButton: '#next-btn',
+  restartButton: '#restart-btn',
+  contentWrapper: '#content-wrapper',
+  headline: '#headline',
+  text: '#text',
+  media: '#media',
+  storyContent: '#story-content',
+  progress: '#progress',
+  languageSelector: '#language-selector'
+};
+
+/**
+ * Allow-list for story HTML:
+ * - elements: allowed tags and their attributes (other tags are unwrapped, keeping their text)
+ * - attributes: attributes allowed on every element
+ * - protocols: URL schemes allowed in href and src (relative URLs are always allowed)
+ * - removeContent: tags removed together with their content
+ */
+StoryMap.SANITIZE_POLICY = {
+  elements: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    p: [],
+    br: [],
+    hr: [],
+    span: [],
+    div: [],
+    b: [],
+    strong: [],
+    i: [],
+    em: [],
+    u: [],
+    s: [],
+    small: [],
+    sub: [],
+    sup: [],
+    mark: [],
+    code: [],
+    blockquote: [],
+    ul: [],
+    ol: ['start'],
+    li: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: []
+  },
+  attributes: ['class', 'lang', 'dir'],
+  protocols: ['http', 'https', 'mailto', 'tel'],
+  removeContent: ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'textarea', 'select', 'title']
+};
+
+/**
+ * Clean untrusted HTML with an allow-list policy (see StoryMap.SANITIZE_POLICY).
+ * The HTML is parsed in an inert template, so nothing runs or loads while cleaning.
+ */
+StoryMap.sanitizeHTML = (html, policy = StoryMap.SANITIZE_POLICY) => {
+  if (html === undefined || html === null || html === '') return '';
+
+  const isAllowedUrl = (value) => {
+    // Browsers ignore whitespace and control characters in schemes ("java\tscript:")
+    const url = Array.from(value).filter((char) => {
+      const code = char.charCodeAt(0);
+      return code > 0x20 && (code < 0x7f || code > 0x9f);
+    }).join('');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    return !scheme || policy.protocols.includes(scheme[1].toLowerCase());
+  };
+
+  const clean = (parent) => {
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.tagName.toLowerCase();
+      if (policy.removeContent.includes(tag)) {
+        node.remove();
+        return;
+      }
+
+      clean(node);
+
+      const allowedAttributes = policy.elements[tag];
+      if (!allowedAttributes) {
+        node.replaceWith(...Array.from(node.childNodes));
+        return;
+      }
+
+      Array.from(node.attributes).forEach((attribute) => {
+        const name = attribute.name.toLowerCase();
+        const allowed = allowedAttributes.includes(name) || policy.attributes.includes(name);
+        if (!allowed || ((name === 'href' || name === 'src') && !isAllowedUrl(attribute.value))) {
+          node.removeAttribute(attribute.name);
+        }
+      });
+
+      // Links opening a new tab must not get access to this page
+      if (tag === 'a' && node.getAttribute('target') === '_blank') {
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+  };
+
+  const template = document.createElement('template');
+  template.innerHTML = String(html);
+  clean(template.content);
+  return template.innerHTML;
+};
+
+/**
+ * Render a CommonMark subset to HTML: paragraphs, ATX headings, blockquotes,
+ * ordered and unordered (nested) lists, thematic breaks, hard line breaks,
+ * emphasis, code spans, links, autolinks and images. Raw HTML is passed
+ * through, so the result still has to be sanitized. With { inline: true }
+ * only inline markup is rendered (no paragraphs), e.g. for captions.
+ */
+StoryMap.markdownToHTML = (markdown, options = {}) => {
+  if (markdown === undefined || markdown === null) return '';
+
+  const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])( +|$)(.*)$/;
+  const HEADING = /^ {0,3}(#{1,6})(?: +(.*?))?(?: +#+)? *$/;
+  const RULE = /^ {0,3}([-*_])(?: *\1){2,} *$/;
+  const QUOTE = /^ {0,3}> ?(.*)$/;
+  // (<url with spaces> "title") or (url_(with_parens) "title")
+  const TARGET = String.raw`\(\s*(?:<([^>\n]*)>|([^\s()]*(?:\([^\s()]*\)[^\s()]*)*))(?:\s+"([^"]*)")?\s*\)`;
+  const IMAGE = new RegExp(String.raw`!\[([^\]]*)\]` + TARGET, 'g');
+  const LINK = new RegExp(String.raw`\[([^\]]+)\]` + TARGET, 'g');
+
+  const escape = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  const isBlank = line => line.trim() === '';
+  const indentOf = line => line.length - line.trimStart().length;
+  const isOrdered = marker => /\d/.test(marker);
+
+  // Only lists starting at 1 may interrupt a paragraph ("2019. was..." stays text)
+  const startsBlock = (line) => {
+    const item = LIST_ITEM.exec(line);
+    return RULE.test(line) || HEADING.test(line) || QUOTE.test(line) ||
+      Boolean(item && item[4] !== '' && (!isOrdered(item[2]) || parseInt(item[2], 10) === 1));
+  };
+
+  const renderInline = (text) => {
+    // Code spans, escapes, links and images become tokens so the emphasis
+    // rules leave them alone (underscores in URLs, stars in code). Tokens are
+    // wrapped in a run of '@' longer than any in the text, so they can't clash.
+    const tokens = [];
+    const marker = '@'.repeat(Math.max(2, ...(text.match(/@+/g) || []).map(run => run.length + 1)));
+    const token = html => `${marker}${tokens.push(html) - 1}${marker}`;
+    const restore = html => html.replace(new RegExp(`${marker}(\\d+)${marker}`, 'g'), (match, index) => restore(tokens[index]));
+    const titleAttribute = title => (title ? ` title="${escape(title)}"` : '');
+
+    const html = text
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => token(`<code>${escape(code.trim())}</code>`))
+      .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (match, char) => token(escape(char)))
+      .replace(IMAGE, (match, alt, angled, src, title) => (
+        token(`<img src="${escape(angled ?? src)}" alt="${escape(alt)}"${titleAttribute(title)}>`)
+      ))
+      .replace(LINK, (match, label, angled, href, title) => (
+        `${token(`<a href="${escape(angled ?? href)}"${titleAttribute(title)}>`)}${label}${token('</a>')}`
+      ))
+      .replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (match, url) => (
+        token(`<a href="${escape(url)}">${escape(url.replace(/^mailto:/i, ''))}</a>`)
+      ))
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    return restore(html);
+  };
+
+  // Lines of one list item (marker removed, continuation lines dedented)
+  const readListItem = (lines, start, item) => {
+    const contentIndent = item[1].length + item[2].length + Math.min(item[3].length || 1, 4);
+    const content = [item[4]];
+    let index = start + 1;
+    let loose = false;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      if (isBlank(line)) {
+        // A blank line stays in the item only when indented content follows
+        let next = index + 1;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next >= lines.length || indentOf(lines[next]) < contentIndent) break;
+        content.push(...lines.slice(index, next).map(() => ''));
+        loose = true;
+        index = next;
+      } else if (indentOf(line) >= contentIndent) {
+        content.push(line.slice(contentIndent));
+        index++;
+      } else if (!isBlank(content[content.length - 1]) && !LIST_ITEM.test(line) && !startsBlock(line)) {
+        // Lazy continuation of the item's paragraph
+        content.push(line.trim());
+        index++;
+      } else {
+        break;
+      }
+    }
+    return { content, loose, end: index };
+  };
+
+  const renderList = (lines, start) => {
+    const first = LIST_ITEM.exec(lines[start]);
+    const ordered = isOrdered(first[2]);
+    const items = [];
+    let loose = false;
+    let index = start;
+
+    while (index < lines.length) {
+      const item = LIST_ITEM.exec(lines[index]);
+      if (!item || isOrdered(item[2]) !== ordered) break;
+
+      const result = readListItem(lines, index, item);
+      items.push(result.content);
+      loose = loose || result.loose;
+      index = result.end;
+
+      // Items separated by blank lines make the list loose
+      let next = index;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      const following = next < lines.length && next > index && LIST_ITEM.exec(lines[next]);
+      if (following && isOrdered(following[2]) === ordered) {
+        loose = true;
+        index = next;
+      }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const body = items.map(content => `<li>${renderBlocks(content, !loose)}</li>`).join('\n');
+    return {
+      html: `<${tag}${startNumber !== 1 ? ` start="${startNumber}"` : ''}>\n${body}\n</${tag}>`,
+      end: index
+    };
+  };
+
+  // Tight list items render their paragraphs without <p>
+  const renderBlocks = (lines, tight) => {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      let match;
+
+      if (isBlank(line)) {
+        index++;
+      } else if (RULE.test(line)) {
+        // Checked before lists, so "* * *" is a rule
+        blocks.push('<hr>');
+        index++;
+      } else if ((match = HEADING.exec(line))) {
+        const level = match[1].length;
+        blocks.push(`<h${level}>${renderInline(match[2] || '')}</h${level}>`);
+        index++;
+      } else if (QUOTE.test(line)) {
+        const quoted = [];
+        while (index < lines.length && QUOTE.test(lines[index])) {
+          quoted.push(QUOTE.exec(lines[index])[1]);
+          index++;
+        }
+        blocks.push(`<blockquote>\n${renderBlocks(quoted, false)}\n</blockquote>`);
+      } else if (LIST_ITEM.test(line)) {
+        const list = renderList(lines, index);
+        blocks.push(list.html);
+        index = list.end;
+      } else {
+        const paragraph = [line.trimStart()];
+        index++;
+        while (index < lines.length && !isBlank(lines[index]) && !startsBlock(lines[index])) {
+          paragraph.push(lines[index].trimStart());
+          index++;
+        }
+        const text = renderInline(paragraph.join('\n').trimEnd());
+        blocks.push(tight ? text : `<p>${text}</p>`);
+      }
+    }
+    return blocks.join('\n');
+  };
+
+  const source = String(markdown).replace(/\r\n?/g, '\n');
+  if (options.inline) {
+    return renderInline(source.trim());
+  }
+
+  const lines = source.replace(/\t/g, '    ').split('\n');
+  return renderBlocks(lines, false);
+};
+
+/**
+ * File extensions of the image, video and audio files slide media can use.
+ * The core's image embed, MediaRegistry and DataValidators all read this list.
+ */
+StoryMap.MEDIA_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'avif'],
+  video: ['mp4', 'webm', 'ogv', 'ogg'],
+  audio: ['mp3', 'wav', 'm4a', 'oga', 'flac']
+};
+
+// Whether a URL is a file of the given kind ('image', 'video' or 'audio'); a query string or fragment may follow
+StoryMap.isMediaFile = (url, kind) => {
+  const extensions = StoryMap.MEDIA_EXTENSIONS[kind].join('|');
+  return new RegExp(`\\.(${extensions})(\\?|#|$)`, 'i').test(url);
+};
+
+// Video id of a YouTube watch, youtu.be, embed or shorts URL ('' for other URLs)
+StoryMap.getYouTubeId = (url) => {
+  if (!/(youtube\.com|youtu\.be)\//i.test(url)) return '';
+  const match = /(?:youtu\.be\/|\/embed\/|\/shorts\/|[?&]v=)([\w-]{6,})/.exec(url);
+  return match ? match[1] : '';
+};
+
+// Text content of an HTML string, e.g. a caption used as image alt text
+StoryMap.htmlToText = (html) => {
+  if (!html) return '';
+
+  const template = document.createElement('template');
+  template.innerHTML = String(html);
+  return template.content.textContent.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Caption and credit spans ('' when there are none). Both are HTML, cleaned
+ * with sanitize (default StoryMap.sanitizeHTML).
+ */
+StoryMap.getCaptionHTML = (caption, credit, sanitize = html => StoryMap.sanitizeHTML(html)) => {
+  const parts = [];
+  if (caption) parts.push(`<span class="caption-text">${sanitize(caption)}</span>`);
+  if (credit) parts.push(`<span class="caption-credit">${sanitize(credit)}</span>`);
+  return parts.join(' ');
+};
+
+// Add a .media-caption with the caption and credit below media, if there are any
+StoryMap.addCaption = (container, caption, credit, sanitize) => {
+  if (!caption && !credit) return;
+
+  const captionDiv = document.createElement('div');
+  captionDiv.className = 'media-caption';
+  captionDiv.innerHTML = StoryMap.getCaptionHTML(caption, credit, sanitize);
+  container.appendChild(captionDiv);
+};
+
+/**
+ * Show images ({ url, alt, caption, credit }) in a modal viewer, starting at
+ * index. Focus stays inside while it is open, arrow keys change image, and
+ * Esc (or a click outside the image) closes it and returns focus. Caption and
+ * credit HTML is cleaned with options.sanitize (default StoryMap.sanitizeHTML).
+ * Returns { element, close }, or null without images; options.onClose runs
+ * however it is closed.
+ */
+StoryMap.openLightbox = (images, index = 0, options = {}) => {
+  if (!images || images.length === 0) return null;
+
+  const sanitize = options.sanitize || (html => StoryMap.sanitizeHTML(html));
+  const button = (className, label, symbol) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = className;
+    element.setAttribute('aria-label', label);
+    element.textContent = symbol;
+    return element;
+  };
+
+  const previousFocus = document.activeElement;
+  const overlay = document.createElement('div');
+  overlay.className = 'storymap-lightbox';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-label', 'Image viewer');
+  overlay.tabIndex = -1;
+
+  const figure = document.createElement('figure');
+  figure.className = 'storymap-lightbox-figure';
+  const image = document.createElement('img');
+  image.className = 'storymap-lightbox-image';
+  const caption = document.createElement('figcaption');
+  caption.className = 'storymap-lightbox-caption';
+  figure.append(image, caption);
+  overlay.appendChild(figure);
+
+  const previous = button('storymap-lightbox-prev', 'Previous image', '\u2039');
+  const next = button('storymap-lightbox-next', 'Next image', '\u203a');
+  const counter = document.createElement('span');
+  counter.className = 'storymap-lightbox-counter';
+  counter.setAttribute('aria-live', 'polite');
+  const closeButton = button('storymap-lightbox-close', 'Close', '\u00d7');
+  if (images.length > 1) {
+    overlay.append(previous, next, counter);
+  }
+  overlay.appendChild(closeButton);
+
+  let current = index;
+  const show = (position) => {
+    current = (position + images.length) % images.length;
+    const item = images[current];
+
+    image.src = item.url;
+    image.alt = item.alt || '';
+    caption.innerHTML = StoryMap.getCaptionHTML(item.caption, item.credit, sanitize);
+    caption.hidden = !item.caption && !item.credit;
+    counter.textContent = `${current + 1} / ${images.length}`;
+  };
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    overlay.removeEventListener('keydown', onKeydown);
+    overlay.removeEventListener('click', onClick);
+    overlay.remove();
+    if (previousFocus && previousFocus.isConnected && typeof previousFocus.focus === 'function') {
+      previousFocus.focus();
+    }
+    if (options.onClose) options.onClose();
+  };
+
+  // Handled keys stop here, so they don't also move the story underneath
+  const onKeydown = (event) => {
+    if (event.key === 'Escape') {
+      close();
+    } else if (event.key === 'ArrowLeft') {
+      if (images.length > 1) show(current - 1);
+    } else if (event.key === 'ArrowRight') {
+      if (images.length > 1) show(current + 1);
+    } else if (event.key === 'Tab') {
+      // Focus trap: cycle through the dialog's buttons
+      const buttons = Array.from(overlay.querySelectorAll('button'));
+      const position = buttons.indexOf(document.activeElement);
+      const target = event.shiftKey ? position - 1 : position + 1;
+      buttons[(target + buttons.length) % buttons.length].focus();
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  };
+  const onClick = (event) => {
+    if (event.target === overlay) close();
+  };
+
+  overlay.addEventListener('keydown', onKeydown);
+  overlay.addEventListener('click', onClick);
+  previous.addEventListener('click', () => show(current - 1));
+  next.addEventListener('click', () => show(current + 1));
+  closeButton.addEventListener('click', close);
+
+  document.body.appendChild(overlay);
+  show(index);
+  // The dialog itself takes focus, so the Enter/Space that opened it cannot press a button
+  overlay.focus();
+
+  return { element: overlay, close };
+};
+
+// Events emitted by StoryMap instances (see on/off/once)
+StoryMap.EVENTS = [
+  'ready',
+  'dataloaded',
+  'geocode',
+  'beforeslidechange',
+  'slidechange',
+  'transitionend',
+  'markerclick',
+  'languagechange',
+  'play',
+  'pause',
+  'error',
+  'destroy'
+];
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = StoryMap;
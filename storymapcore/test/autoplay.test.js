@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+
+// Let the transition promises settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test.beforeEach((t) => {
+  setupDom();
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+test('autoplay advances after the default duration and loops', async (t) => {
+  const storyMap = await createStoryMap({ features: { autoplay: { duration: 1000 } } });
+  await flush();
+  assert.equal(storyMap.isPlaying, true);
+
+  t.mock.timers.tick(999);
+  assert.equal(storyMap.currentSlideIndex, 0);
+  t.mock.timers.tick(1);
+  assert.equal(storyMap.currentSlideIndex, 1);
+
+  await flush();
+  t.mock.timers.tick(1000);
+  await flush();
+  t.mock.timers.tick(1000);
+  assert.equal(storyMap.currentSlideIndex, 0);
+  storyMap.destroy();
+});
+
+test('slide.duration overrides the autoplay duration', async (t) => {
+  const slides = createSlides(3);
+  slides[0].duration = 200;
+  const storyMap = await createStoryMap({ slides, features: { autoplay: { duration: 5000 } } });
+  await flush();
+
+  t.mock.timers.tick(200);
+  assert.equal(storyMap.currentSlideIndex, 1);
+  storyMap.destroy();
+});
+
+test('without loop, autoplay pauses on the last slide', async (t) => {
+  const storyMap = await createStoryMap({ slides: createSlides(2), features: { autoplay: { duration: 100, loop: false } } });
+  const events = [];
+  storyMap.on('pause', event => events.push(event.index));
+  await flush();
+
+  t.mock.timers.tick(100);
+  await flush();
+  t.mock.timers.tick(100);
+
+  assert.equal(storyMap.currentSlideIndex, 1);
+  assert.equal(storyMap.isPlaying, false);
+  assert.deepEqual(events, [1]);
+  storyMap.destroy();
+});
+
+test('play() and pause() emit events and pause stops the countdown', async (t) => {
+  const storyMap = await createStoryMap();
+  const events = [];
+  storyMap.on('play', () => events.push('play'));
+  storyMap.on('pause', () => events.push('pause'));
+  await flush();
+
+  storyMap.play();
+  storyMap.play();
+  storyMap.pause();
+  t.mock.timers.tick(10000);
+
+  assert.deepEqual(events, ['play', 'pause']);
+  assert.equal(storyMap.currentSlideIndex, 0);
+  storyMap.destroy();
+});
+
+test('reader interaction pauses autoplay unless pauseOnInteraction is false', async () => {
+  const storyMap = await createStoryMap({ features: { autoplay: true } });
+  await flush();
+
+  document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+  assert.equal(storyMap.isPlaying, false);
+  storyMap.destroy();
+
+  setupDom();
+  const other = await createStoryMap({ features: { autoplay: { pauseOnInteraction: false } } });
+  await flush();
+
+  document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+  assert.equal(other.isPlaying, true);
+  other.destroy();
+});
+
+test('stop() goes back to the first slide, even during a slide animation', async () => {
+  const storyMap = await createStoryMap({ features: { animations: true, autoplay: true } });
+  await flush();
+
+  storyMap.navigateNext();
+  storyMap.navigateNext();
+  assert.equal(storyMap.isAnimating, true);
+
+  storyMap.stop();
+
+  assert.equal(storyMap.isPlaying, false);
+  assert.equal(storyMap.currentSlideIndex, 0);
+  assert.equal(storyMap.isAnimating, false);
+  assert.equal(document.getElementById('headline').textContent, 'Slide 1');
+  storyMap.destroy();
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+
+const NO_PADDING = { top: 0, right: 0, bottom: 0, left: 0 };
+
+// Three slides, the second one with the given location fields
+const withLocation = (fields) => {
+  const slides = createSlides(3);
+  slides[1].location = { ...slides[1].location, ...fields };
+  return slides;
+};
+
+// jsdom has no layout, so give the map and the panel their boxes by hand
+const setRect = (element, left, width, height = 600) => {
+  element.getBoundingClientRect = () => ({ left, right: left + width, top: 0, bottom: height, width, height });
+};
+
+test.beforeEach(() => setupDom());
+
+test('pitch, bearing and the flight options are passed to flyTo', async () => {
+  const storyMap = await createStoryMap({
+    slides: withLocation({ pitch: '60', bearing: -20, duration: 3000, speed: 0.8, curve: 1.2 })
+  });
+
+  storyMap.navigateNext();
+
+  assert.deepEqual(storyMap.map.moves.at(-1), {
+    method: 'flyTo',
+    options: {
+      essential: true,
+      pitch: 60,
+      bearing: -20,
+      duration: 3000,
+      speed: 0.8,
+      curve: 1.2,
+      center: [21, 11],
+      zoom: 5,
+      padding: NO_PADDING
+    }
+  });
+  storyMap.destroy();
+});
+
+test('easing picks easeTo or jumpTo, which take no flyTo options', async () => {
+  const slides = withLocation({ easing: 'easeTo', speed: 2, duration: 500 });
+  slides[2].location = { ...slides[2].location, easing: 'jumpTo' };
+  const storyMap = await createStoryMap({ slides });
+
+  storyMap.navigateNext();
+  storyMap.navigateNext();
+
+  const [eased, jumped] = storyMap.map.moves.slice(-2);
+  assert.equal(eased.method, 'easeTo');
+  assert.equal(eased.options.duration, 500);
+  assert.equal('speed' in eased.options, false);
+  assert.equal(jumped.method, 'jumpTo');
+  storyMap.destroy();
+});
+
+test('an unknown easing falls back to flyTo', async () => {
+  const storyMap = await createStoryMap({ slides: withLocation({ easing: 'teleport' }) });
+
+  storyMap.navigateNext();
+
+  assert.equal(storyMap.map.moves.at(-1).method, 'flyTo');
+  storyMap.destroy();
+});
+
+test('bounds are fitted with the slide padding, and zoom caps the fit', async (t) => {
+  const slides = withLocation({ bounds: [20, 10, 22, 12], padding: { top: 10 } });
+  slides[2].location = { bounds: [[20, 10], [22, 12]], zoom: 3 };
+  const storyMap = await createStoryMap({ slides });
+  const cameraForBounds = t.mock.method(storyMap.map, 'cameraForBounds');
+
+  storyMap.navigateNext();
+
+  assert.deepEqual(cameraForBounds.mock.calls[0].arguments, [
+    [[20, 10], [22, 12]],
+    { padding: { top: 10, right: 0, bottom: 0, left: 0 }, bearing: undefined }
+  ]);
+  assert.deepEqual(storyMap.map.moves.at(-1).options, {
+    essential: true,
+    padding: NO_PADDING,
+    center: [21, 11],
+    zoom: 4
+  });
+
+  // A slide with only bounds still moves the camera, with the default padding
+  storyMap.navigateNext();
+  assert.deepEqual(cameraForBounds.mock.calls[1].arguments[1].padding, { top: 40, right: 40, bottom: 40, left: 40 });
+  assert.equal(storyMap.map.moves.at(-1).options.zoom, 3);
+  storyMap.destroy();
+});
+
+test('GeoJSON bounds are fitted to every coordinate they contain', async () => {
+  const storyMap = await createStoryMap();
+
+  assert.deepEqual(storyMap.getBounds({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [5, -3] } },
+      { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-2, 4], [8, 1]] } }
+    ]
+  }), [[-2, -3], [8, 4]]);
+  assert.equal(storyMap.getBounds({ type: 'FeatureCollection', features: [] }), null);
+  storyMap.destroy();
+});
+
+test('the camera is padded on the side where the story panel covers the map', async () => {
+  const storyMap = await createStoryMap({ slides: withLocation({ bounds: [20, 10, 22, 12] }) });
+  setRect(storyMap.map.getContainer(), 0, 1000);
+  setRect(document.getElementById('story-content'), 0, 400);
+
+  assert.deepEqual(storyMap.getPanelPadding(), { top: 0, right: 0, bottom: 0, left: 400 });
+
+  setRect(document.getElementById('story-content'), 700, 300);
+  assert.deepEqual(storyMap.getPanelPadding(), { top: 0, right: 300, bottom: 0, left: 0 });
+
+  // Never more than 60% of the map
+  setRect(document.getElementById('story-content'), 0, 900);
+  assert.deepEqual(storyMap.getPanelPadding(), { top: 0, right: 0, bottom: 0, left: 600 });
+  storyMap.destroy();
+});
+
+test('a panel beside the map, or offsetForPanel: false, adds no padding', async () => {
+  const storyMap = await createStoryMap();
+  setRect(storyMap.map.getContainer(), 400, 600);
+  setRect(document.getElementById('story-content'), 0, 400);
+  assert.deepEqual(storyMap.getPanelPadding(), NO_PADDING);
+  storyMap.destroy();
+
+  setupDom();
+  const other = await createStoryMap({ camera: { offsetForPanel: false } });
+  setRect(other.map.getContainer(), 0, 1000);
+  setRect(document.getElementById('story-content'), 0, 400);
+  assert.deepEqual(other.getPanelPadding(), NO_PADDING);
+  other.destroy();
+});
+
+test('panel padding is added to the bounds padding and used for points', async (t) => {
+  const storyMap = await createStoryMap({ slides: withLocation({ bounds: [20, 10, 22, 12] }) });
+  setRect(storyMap.map.getContainer(), 0, 1000);
+  setRect(document.getElementById('story-content'), 0, 400);
+  const cameraForBounds = t.mock.method(storyMap.map, 'cameraForBounds');
+
+  storyMap.navigateNext();
+  storyMap.navigateNext();
+
+  assert.deepEqual(cameraForBounds.mock.calls[0].arguments[1].padding, { top: 40, right: 40, bottom: 40, left: 440 });
+  assert.deepEqual(storyMap.map.moves.at(-1).options.padding, { top: 0, right: 0, bottom: 0, left: 400 });
+  storyMap.destroy();
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createSlides } = require('./helpers.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'storymapcore.js');
+
+let dir;
+
+// Run the CLI in the temporary directory
+const run = (...args) => {
+  const result = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8', timeout: 10000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+const writeStory = (name, data) => {
+  fs.writeFileSync(path.join(dir, name), typeof data === 'string' ? data : JSON.stringify(data));
+  return name;
+};
+
+const codes = stdout => JSON.parse(stdout).map(result => result.problems.map(problem => `${problem.path} ${problem.code}`));
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storymapcore-cli-'));
+  fs.mkdirSync(path.join(dir, 'media'));
+  fs.writeFileSync(path.join(dir, 'media', 'harbour photo.jpg'), '');
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a valid story passes with a summary', () => {
+  const slides = createSlides(2);
+  slides[0].media = { url: 'media/harbour%20photo.jpg', caption: 'The harbour' };
+  writeStory('valid.json', { storymap: { slides } });
+
+  const { status, stdout } = run('validate', 'valid.json');
+
+  assert.equal(status, 0);
+  assert.equal(stdout, '1 file(s) checked: 0 error(s), 0 warning(s)\n');
+});
+
+test('schema errors fail the run and are listed per file', () => {
+  const slides = createSlides(2);
+  slides[1].location.lat = '123';
+  writeStory('broken.json', { storymap: { slides } });
+
+  const { status, stdout } = run('validate', 'broken.json');
+
+  assert.equal(status, 1);
+  assert.equal(stdout, [
+    'broken.json',
+    '  error   storymap.slides[1].location.lat: out of range (-90 to 90)  [out-of-range]',
+    '',
+    '1 file(s) checked: 1 error(s), 0 warning(s)',
+    ''
+  ].join('\n'));
+});
+
+test('--format json reports every file with its problems', () => {
+  const slides = createSlides(2).map(slide => ({ ...slide, location: { ...slide.location, line: true } }));
+  slides[1].location = { ...slides[0].location };
+  slides[1].media = { url: 'media/missing.png' };
+  writeStory('lint.json', { storymap: { slides } });
+  writeStory('invalid.json', '{ "storymap": ');
+
+  const { status, stdout } = run('validate', 'lint.json', 'invalid.json', 'absent.json', '--format', 'json');
+
+  assert.equal(status, 1);
+  assert.deepEqual(codes(stdout), [
+    [
+      'storymap.slides[1].location duplicate-location',
+      'storymap.slides[1].location.line line-on-last-slide',
+      'storymap.slides[1].media.caption missing-caption',
+      'storymap.slides[1].media.url missing-file'
+    ],
+    [' invalid-json'],
+    [' file-not-found']
+  ]);
+  assert.deepEqual(Object.keys(JSON.parse(stdout)[0]), ['file', 'errorCount', 'warningCount', 'problems']);
+});
+
+test('media that cannot be displayed is reported once', () => {
+  const slides = createSlides(1);
+  slides[0].media = [{ url: 'https://example.org/report.pdf' }, { url: 'https://example.org/song.flac' }];
+  writeStory('media.json', { storymap: { slides } });
+
+  const { status, stdout } = run('validate', 'media.json', '--format=json');
+
+  assert.equal(status, 0);
+  assert.deepEqual(codes(stdout), [['storymap.slides[0].media[0].url unsupported-extension']]);
+});
+
+test('a local URL with a malformed escape is an error, and the other files are still checked', () => {
+  const slides = createSlides(2);
+  slides[0].media = { url: 'media/img%zz.png', caption: 'Broken' };
+  slides[1].media = { url: 'media/missing.png', caption: 'Missing' };
+  writeStory('malformed.json', { storymap: { slides } });
+
+  const { status, stdout } = run('validate', 'malformed.json', '--format', 'json');
+
+  assert.equal(status, 1);
+  assert.deepEqual(codes(stdout), [['storymap.slides[0].media.url invalid-url', 'storymap.slides[1].media.url missing-file']]);
+  assert.equal(JSON.parse(stdout)[0].problems[0].message, 'is not a valid URL (URI malformed)');
+});
+
+test('multilingual stories are checked per language', () => {
+  writeStory('multilingual.json', {
+    languages: { en: { name: 'English' }, es: { name: 'Español' } },
+    storymaps: { en: { storymap: { slides: createSlides(2) } }, es: { storymap: { slides: createSlides(1) } } }
+  });
+
+  const { stdout } = run('validate', 'multilingual.json', '--format', 'json');
+
+  assert.deepEqual(codes(stdout), [['storymaps.es.storymap.slides slide-count-mismatch']]);
+});
+
+test('--max-warnings turns warnings into a failure', () => {
+  const slides = createSlides(2);
+  slides[1].text.headline = '';
+  writeStory('warnings.json', { storymap: { slides } });
+
+  assert.equal(run('validate', 'warnings.json').status, 0);
+  assert.equal(run('validate', 'warnings.json', '--max-warnings', '1').status, 0);
+  assert.equal(run('validate', 'warnings.json', '--max-warnings=0').status, 1);
+});
+
+test('usage errors exit with 2 and --help with 0', () => {
+  assert.equal(run().status, 2);
+  assert.equal(run('validate').status, 2);
+  assert.equal(run('check', 'valid.json').status, 2);
+
+  const unknown = run('validate', 'valid.json', '--strict');
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /^Unknown option: --strict\n\nUsage: storymapcore validate/);
+
+  assert.match(run('validate', 'valid.json', '--format', 'xml').stderr, /^Unknown format: xml/);
+  assert.match(run('validate', 'valid.json', '--max-warnings', '-1').stderr, /^--max-warnings must be a number >= 0/);
+
+  const help = run('--help');
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^Usage: storymapcore validate <files\.\.\.> \[options\]/);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createStoryMap } = require('./helpers.js');
+const { DataProviders, loadStoryData } = require('../providers/data-providers.js');
+
+const STORY_CSV = [
+  'headline,text,lat,lon,zoom,media_url,media_caption,line',
+  'Chicago,"<p>Born in Hawaii,',
+  'moved to ""Chicago""</p>",41.88,-87.63,10,chicago.jpg,The Loop,yes',
+  'Washington,,38.9,-77.04,,,,'
+].join('\n');
+
+test('DataProviders.parseCsv() handles quoted commas, quotes and newlines', () => {
+  const rows = DataProviders.parseCsv('a,b\r\n"1,5","say ""hi"""\n"two\nlines",x\n');
+
+  assert.deepEqual(rows.map(row => [...row]), [['a', 'b'], ['1,5', 'say "hi"'], ['two\nlines', 'x']]);
+  assert.deepEqual(rows.map(row => row.line), [1, 2, 3]);
+});
+
+test('DataProviders.parseCsv() drops a byte order mark and blank lines, and takes a delimiter', () => {
+  const rows = DataProviders.parseCsv('\uFEFFa;b\n\n ; \n1;2', ';');
+
+  assert.deepEqual(rows.map(row => [...row]), [['a', 'b'], ['1', '2']]);
+  assert.equal(rows[1].line, 4);
+});
+
+test('DataProviders.parseCsv() reports the line of an unterminated quoted cell', () => {
+  assert.throws(() => DataProviders.parseCsv('a,b\n1,"open\n2,3'), { message: 'CSV line 2: unterminated quoted cell' });
+});
+
+test('each row becomes a slide', async () => {
+  const slides = await DataProviders.csv({ data: STORY_CSV });
+
+  assert.deepEqual(slides, [
+    {
+      text: { headline: 'Chicago', text: '<p>Born in Hawaii,\nmoved to "Chicago"</p>' },
+      location: { lat: 41.88, lon: -87.63, line: true, zoom: 10 },
+      media: { url: 'chicago.jpg', caption: 'The Loop', credit: '' }
+    },
+    {
+      text: { headline: 'Washington', text: '' },
+      location: { lat: 38.9, lon: -77.04, line: false }
+    }
+  ]);
+});
+
+test('columns can be renamed and headers match case-insensitively', async () => {
+  const slides = await DataProviders.csv({
+    data: 'Titulo,Latitud,Longitud,Fecha\nMina,-5.1,-70.2,2023',
+    csv: { columns: { headline: 'titulo', lat: 'latitud', lon: 'longitud', date: 'fecha' } }
+  });
+
+  assert.deepEqual(slides, [{
+    text: { headline: 'Mina', text: '' },
+    date: '2023',
+    location: { lat: -5.1, lon: -70.2, line: false }
+  }]);
+});
+
+test('every bad value is reported with its spreadsheet row and column', async () => {
+  const csv = 'headline,lat,lon,zoom,line\nA,95,10,,\nB,"ten",,30,maybe';
+
+  const error = await DataProviders.csv({ data: csv }).catch(e => e);
+
+  assert.deepEqual(error.problems.map(({ row, column, value, message }) => ({ row, column, value, message })), [
+    { row: 2, column: 'B (lat)', value: '95', message: 'out of range (-90 to 90)' },
+    { row: 3, column: 'B (lat)', value: 'ten', message: 'not a number' },
+    { row: 3, column: 'D (zoom)', value: '30', message: 'out of range (0 to 24)' },
+    { row: 3, column: 'E (line)', value: 'maybe', message: 'expected true or false' },
+    { row: 3, column: 'C (lon)', value: '', message: 'missing (lat is set)' }
+  ]);
+  assert.match(error.message, /^Invalid CSV story data:\nrow 2, column B \(lat\): out of range \(-90 to 90\) \('95'\)\n/);
+});
+
+test('an empty CSV is an error', async () => {
+  await assert.rejects(DataProviders.csv({ data: '\n\n' }), { message: 'CSV is empty' });
+});
+
+test('CSV is read from a File or Blob, or from jsonUrl', async (t) => {
+  const file = new Blob(['headline,lat,lon\nFrom a file,1,2']);
+  assert.equal((await DataProviders.csv({ file }))[0].text.headline, 'From a file');
+
+  t.mock.method(global, 'fetch', async () => ({ ok: true, text: async () => 'headline\nFrom a URL' }));
+  assert.equal((await DataProviders.csv({ jsonUrl: 'story.csv' }))[0].text.headline, 'From a URL');
+
+  await assert.rejects(DataProviders.csv({}), { message: 'CSV provider requires config.data, config.file or config.jsonUrl' });
+});
+
+test('loadStoryData() picks the CSV provider for CSV text, files and .csv URLs', async (t) => {
+  assert.equal((await loadStoryData({ data: 'headline\nInline' }))[0].text.headline, 'Inline');
+  assert.equal((await loadStoryData({ file: new Blob(['headline\nBlob']) }))[0].text.headline, 'Blob');
+
+  t.mock.method(global, 'fetch', async () => ({ ok: true, text: async () => 'headline\nRemote' }));
+  assert.equal((await loadStoryData({ jsonUrl: 'story.csv?v=2' }))[0].text.headline, 'Remote');
+});
+
+test('StoryMap reads config.data and config.file offline', async () => {
+  setupDom();
+  global.DataProviders = DataProviders;
+  try {
+    const fromText = await createStoryMap({ dataLoader: undefined, data: 'headline,lat,lon\nChicago,41.88,-87.63' });
+    assert.equal(document.getElementById('headline').textContent, 'Chicago');
+    fromText.destroy();
+
+    setupDom();
+    const file = new Blob(['headline,lat,lon\nOffline,1,2']);
+    file.name = 'story.csv';
+    const fromFile = await createStoryMap({ dataLoader: undefined, file });
+    assert.equal(document.getElementById('headline').textContent, 'Offline');
+    fromFile.destroy();
+  } finally {
+    delete global.DataProviders;
+  }
+});
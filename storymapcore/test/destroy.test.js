@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createStoryMap } = require('./helpers.js');
+
+test.beforeEach(() => setupDom());
+
+test('destroy() removes the map and emits destroy once', async () => {
+  const storyMap = await createStoryMap();
+  const map = storyMap.map;
+  let destroyEvents = 0;
+  storyMap.on('destroy', () => destroyEvents++);
+
+  storyMap.destroy();
+  storyMap.destroy();
+
+  assert.equal(map.removed, true);
+  assert.equal(storyMap.map, null);
+  assert.equal(storyMap.isDestroyed, true);
+  assert.equal(destroyEvents, 1);
+});
+
+test('buttons and keys do nothing after destroy()', async () => {
+  const storyMap = await createStoryMap();
+  storyMap.destroy();
+
+  document.getElementById('next-btn').click();
+  document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+  assert.equal(storyMap.currentSlideIndex, 0);
+  assert.deepEqual(storyMap.domListeners, []);
+});
+
+test('handlers are released and slide changes are refused after destroy()', async () => {
+  const storyMap = await createStoryMap();
+  let changes = 0;
+  storyMap.on('slidechange', () => changes++);
+
+  storyMap.destroy();
+
+  assert.equal(storyMap.changeSlide(1), false);
+  assert.equal(changes, 0);
+  assert.deepEqual(storyMap.eventListeners, {});
+});
+
+test('pending timers are cleared', async () => {
+  const storyMap = await createStoryMap({ features: { autoplay: { duration: 50 } } });
+  assert.equal(storyMap.isPlaying, true);
+
+  storyMap.destroy();
+
+  assert.equal(storyMap.isPlaying, false);
+  assert.equal(storyMap.timers.size, 0);
+});
+
+test('destroy() while the data is loading stops initialization', async () => {
+  const StoryMap = require('../storymap-core.js');
+  let release;
+  let mapCreated = false;
+  const storyMap = new StoryMap({
+    dataLoader: () => new Promise((resolve) => {
+      release = () => resolve({ storymap: { slides: [{ location: { lat: 1, lon: 2 } }] } });
+    }),
+    mapInitializer: () => {
+      mapCreated = true;
+      return null;
+    }
+  });
+
+  storyMap.destroy();
+  release();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(mapCreated, false);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createStoryMap } = require('./helpers.js');
+
+test.beforeEach(() => setupDom());
+
+test('dataloaded and ready fire once the story is loaded', async () => {
+  const events = [];
+  const storyMap = await createStoryMap({
+    on: {
+      dataloaded: event => events.push(['dataloaded', event.slides.length]),
+      ready: event => events.push(['ready', event.index, event.slide.text.headline])
+    }
+  });
+
+  assert.deepEqual(events, [
+    ['dataloaded', 3],
+    ['ready', 0, 'Slide 1']
+  ]);
+  storyMap.destroy();
+});
+
+test('slide changes emit beforeslidechange and slidechange with details', async () => {
+  const storyMap = await createStoryMap();
+  const events = [];
+  storyMap.on('beforeslidechange', event => events.push(['before', event.index, event.previousIndex, event.direction]));
+  storyMap.on('slidechange', event => events.push(['change', event.index, event.previousIndex, event.slide.text.headline]));
+
+  storyMap.navigateNext();
+
+  assert.deepEqual(events, [
+    ['before', 1, 0, 'next'],
+    ['change', 1, 0, 'Slide 2']
+  ]);
+  storyMap.destroy();
+});
+
+test('beforeslidechange can cancel the change', async () => {
+  const storyMap = await createStoryMap();
+  let changes = 0;
+  storyMap.on('beforeslidechange', event => event.preventDefault());
+  storyMap.on('slidechange', () => changes++);
+
+  storyMap.goToSlide(2);
+
+  assert.equal(storyMap.currentSlideIndex, 0);
+  assert.equal(changes, 0);
+
+  // Returning false cancels too
+  storyMap.off('beforeslidechange');
+  storyMap.on('beforeslidechange', () => false);
+  storyMap.goToSlide(2);
+  assert.equal(storyMap.currentSlideIndex, 0);
+  storyMap.destroy();
+});
+
+test('once() handlers run a single time and off() removes them', async () => {
+  const storyMap = await createStoryMap();
+  const calls = [];
+  const handler = event => calls.push(event.index);
+  storyMap.once('slidechange', handler);
+  storyMap.navigateNext();
+  storyMap.navigateNext();
+  assert.deepEqual(calls, [1]);
+
+  storyMap.on('slidechange', handler);
+  storyMap.off('slidechange', handler);
+  storyMap.navigatePrevious();
+  assert.deepEqual(calls, [1]);
+  storyMap.destroy();
+});
+
+test('on() rejects handlers that are not functions', async () => {
+  const storyMap = await createStoryMap();
+  assert.throws(() => storyMap.on('ready', null), /must be a function/);
+  storyMap.destroy();
+});
+
+test('an error in a handler does not stop the other handlers', async () => {
+  const storyMap = await createStoryMap();
+  const calls = [];
+  const consoleError = console.error;
+  console.error = () => {};
+  storyMap.on('slidechange', () => {
+    throw new Error('broken handler');
+  });
+  storyMap.on('slidechange', event => calls.push(event.index));
+
+  try {
+    storyMap.navigateNext();
+  } finally {
+    console.error = consoleError;
+  }
+  assert.deepEqual(calls, [1]);
+  storyMap.destroy();
+});
+
+test('load failures are reported through the error event', async () => {
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    await assert.rejects(
+      createStoryMap({ dataLoader: async () => { throw new Error('offline'); } }),
+      /offline/
+    );
+  } finally {
+    console.error = consoleError;
+  }
+});
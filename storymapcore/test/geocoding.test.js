@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createStoryMap } = require('./helpers.js');
+const { GeocodingProviders, geocodeSlides } = require('../providers/data-providers.js');
+
+const PLACES_CSV = [
+  'name,lat,lon,zoom,alternatenames',
+  '"Washington, DC",38.9072,-77.0369,10,Washington;DC',
+  'São Paulo,-23.55,-46.63,,Sampa|SP',
+  'Springfield,39.8,-89.65,,',
+  'Springfield,42.1,-72.59,,'
+].join('\n');
+
+const PLACES_GEOJSON = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { name: 'Madre de Dios', alternatenames: ['MDD'], zoom: 7 }, geometry: { type: 'Point', coordinates: [-70.5, -12.6] } },
+    { type: 'Feature', properties: { name: 'Inambari River' }, geometry: { type: 'LineString', coordinates: [[-70, -13], [-69, -12]] } }
+  ]
+};
+
+const named = (...names) => names.map(name => ({ text: { headline: name }, location: { name } }));
+
+test('the gazetteer reads places from CSV, ignoring case, accents and spacing', async () => {
+  const gazetteer = GeocodingProviders.gazetteer({ data: PLACES_CSV });
+
+  assert.deepEqual(await gazetteer.lookup('washington, dc'), { lat: 38.9072, lon: -77.0369, zoom: 10 });
+  assert.deepEqual(await gazetteer.lookup('  SAO   paulo '), { lat: -23.55, lon: -46.63 });
+  assert.deepEqual(await gazetteer.lookup('Sampa'), { lat: -23.55, lon: -46.63 });
+  assert.deepEqual(await gazetteer.lookup('DC'), { lat: 38.9072, lon: -77.0369, zoom: 10 });
+  // The first of two places with the same name wins
+  assert.deepEqual(await gazetteer.lookup('Springfield'), { lat: 39.8, lon: -89.65 });
+  assert.equal(await gazetteer.lookup('Atlantis'), null);
+});
+
+test('the gazetteer reads named points from GeoJSON', async () => {
+  const gazetteer = GeocodingProviders.gazetteer({ data: PLACES_GEOJSON });
+
+  assert.deepEqual(await gazetteer.lookup('MDD'), { lat: -12.6, lon: -70.5, zoom: 7 });
+  assert.equal(await gazetteer.lookup('Inambari River'), null);
+});
+
+test('the gazetteer takes renamed columns, a places object or a URL', async (t) => {
+  const renamed = GeocodingProviders.gazetteer({ data: 'lugar;y;x\nCusco;-13.53;-71.97', delimiter: ';', columns: { name: 'lugar', lat: 'y', lon: 'x' } });
+  assert.deepEqual(await renamed.lookup('cusco'), { lat: -13.53, lon: -71.97 });
+
+  const places = GeocodingProviders.gazetteer({ places: new Map([['Lima', { lat: '-12.05', lng: '-77.04' }]]) });
+  assert.deepEqual(await places.lookup('LIMA'), { lat: -12.05, lon: -77.04 });
+
+  const fetch = t.mock.method(global, 'fetch', async url => ({
+    ok: true,
+    text: async () => (url.endsWith('.csv') ? PLACES_CSV : JSON.stringify(PLACES_GEOJSON))
+  }));
+  const remote = GeocodingProviders.gazetteer({ url: 'data/places.csv' });
+  await remote.lookup('Washington');
+  assert.deepEqual(await remote.lookup('Sampa'), { lat: -23.55, lon: -46.63 });
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.deepEqual(await GeocodingProviders.gazetteer({ url: 'places.geojson' }).lookup('Madre de Dios'), { lat: -12.6, lon: -70.5, zoom: 7 });
+});
+
+test('gazetteers without names or coordinates are rejected', async () => {
+  await assert.rejects(GeocodingProviders.gazetteer({ data: 'place,x,y\nLima,1,2' }).lookup('Lima'), {
+    message: 'Gazetteer CSV needs name, lat and lon columns'
+  });
+  await assert.rejects(GeocodingProviders.gazetteer({ data: { places: [] } }).lookup('Lima'), {
+    message: 'Invalid gazetteer. Expected CSV text or a GeoJSON FeatureCollection.'
+  });
+});
+
+test('geocodeSlides() fills in missing coordinates and lists unknown names', async () => {
+  const slides = named('Washington', 'Atlantis', 'São Paulo');
+  slides[2].location.zoom = 12;
+  const located = { text: { headline: 'Already there' }, location: { name: 'Washington', lat: 1, lon: 2 } };
+
+  const result = await geocodeSlides([...slides, located, { text: { headline: 'No place' } }], {
+    geocoder: GeocodingProviders.gazetteer({ data: PLACES_CSV }),
+    zoom: 5
+  });
+
+  assert.equal(result.resolved, 2);
+  assert.deepEqual(result.unresolved, [{ index: 1, name: 'Atlantis' }]);
+  assert.deepEqual(result.slides.map(slide => slide.location), [
+    { name: 'Washington', lat: 38.9072, lon: -77.0369, zoom: 10 },
+    { name: 'Atlantis' },
+    { name: 'São Paulo', zoom: 12, lat: -23.55, lon: -46.63 },
+    located.location,
+    undefined
+  ]);
+});
+
+test('unknown names are listed in slide order, whenever their lookups finish', async () => {
+  // Later slides answer first
+  const geocoder = GeocodingProviders.custom(name => new Promise(resolve => setTimeout(() => resolve(null), 30 - name.length * 10)));
+
+  const { unresolved } = await geocodeSlides(named('A', 'BB'), { geocoder });
+
+  assert.deepEqual(unresolved, [{ index: 0, name: 'A' }, { index: 1, name: 'BB' }]);
+});
+
+test('a gazetteer that fails to load tries again on the next lookup', async (t) => {
+  const responses = [{ ok: false, status: 503 }, { ok: true, text: async () => PLACES_CSV }];
+  const fetch = t.mock.method(global, 'fetch', async () => responses.shift());
+  const gazetteer = GeocodingProviders.gazetteer({ url: 'places.csv' });
+
+  await assert.rejects(gazetteer.lookup('Sampa'), { message: 'Failed to load places.csv: 503' });
+  assert.deepEqual(await gazetteer.lookup('Sampa'), { lat: -23.55, lon: -46.63 });
+  assert.deepEqual(await gazetteer.lookup('DC'), { lat: 38.9072, lon: -77.0369, zoom: 10 });
+  assert.equal(fetch.mock.callCount(), 2);
+});
+
+test('any object with lookup() is a geocoder', async () => {
+  const asked = [];
+  const geocoder = GeocodingProviders.custom(async (name) => {
+    asked.push(name);
+    return name === 'Lima' ? [-77.04, -12.05] : null;
+  });
+
+  const { slides } = await geocodeSlides(named('Lima', 'Nowhere'), { geocoder });
+
+  assert.deepEqual(asked, ['Lima', 'Nowhere']);
+  assert.deepEqual(slides[0].location, { name: 'Lima', lat: -12.05, lon: -77.04 });
+  await assert.rejects(geocodeSlides([], {}), { message: 'geocodeSlides requires options.geocoder with a lookup(name) method' });
+});
+
+test('StoryMap geocodes named slides at load time and reports the rest', async (t) => {
+  setupDom();
+  const warnings = [];
+  const events = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  Object.assign(global, { GeocodingProviders, geocodeSlides });
+  try {
+    const storyMap = await createStoryMap({
+      slides: named('Washington, DC', 'Atlantis'),
+      geocoding: { gazetteer: { data: PLACES_CSV } },
+      on: { geocode: ({ resolved, unresolved }) => events.push({ resolved, unresolved }) }
+    });
+
+    assert.deepEqual(storyMap.map.moves.at(-1).options.center, [-77.0369, 38.9072]);
+    assert.deepEqual(warnings, ["StoryMap: no coordinates found for 'Atlantis' (slide 1)"]);
+    assert.deepEqual(events, [{ resolved: 1, unresolved: [{ index: 1, name: 'Atlantis' }] }]);
+    storyMap.destroy();
+  } finally {
+    delete global.GeocodingProviders;
+    delete global.geocodeSlides;
+  }
+});
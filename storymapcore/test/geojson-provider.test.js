@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createStoryMap } = require('./helpers.js');
+const { DataProviders } = require('../providers/data-providers.js');
+
+const point = (lon, lat, properties = {}) => ({
+  type: 'Feature',
+  properties,
+  geometry: { type: 'Point', coordinates: [lon, lat] }
+});
+
+const ROAD = { type: 'LineString', coordinates: [[20, 10], [21, 11]] };
+const CONCESSION = { type: 'Polygon', coordinates: [[[20, 10], [21, 10], [21, 11], [20, 10]]] };
+
+const collection = (...features) => ({ type: 'FeatureCollection', features });
+
+// Serve the given documents to fetch() by URL
+const serve = (t, documents) => {
+  t.mock.method(global, 'fetch', async url => (url in documents
+    ? { ok: true, json: async () => documents[url] }
+    : { ok: false, status: 404 }));
+};
+
+test('point features become slides with markers, joined by default', async () => {
+  const slides = await DataProviders.geojson({
+    data: collection(
+      point(20, 10, { name: 'Mine', description: '<p>Gold</p>', image: 'mine.jpg', caption: 'The pit', zoom: '7' }),
+      point(21, 11, { headline: 'Port', date: '2023-05-01' })
+    )
+  });
+
+  assert.deepEqual(slides, [
+    {
+      text: { headline: 'Mine', text: '<p>Gold</p>' },
+      media: { url: 'mine.jpg', caption: 'The pit', credit: '' },
+      location: { line: true, zoom: 7, lon: 20, lat: 10 }
+    },
+    {
+      text: { headline: 'Port', text: '' },
+      date: '2023-05-01',
+      location: { lon: 21, lat: 11, zoom: 10 }
+    }
+  ]);
+});
+
+test('property names, the default zoom and the default line are configurable', async () => {
+  const slides = await DataProviders.geojson({
+    data: collection(point(20, 10, { titulo: 'Mina', zoom: 4 }), point(21, 11, { titulo: 'Puerto', line: 'true' })),
+    geojson: { properties: { headline: ['titulo'] }, defaultZoom: 6, line: false }
+  });
+
+  assert.deepEqual(slides.map(slide => slide.text.headline), ['Mina', 'Puerto']);
+  assert.deepEqual(slides.map(slide => slide.location), [
+    { line: false, zoom: 4, lon: 20, lat: 10 },
+    { line: true, lon: 21, lat: 11, zoom: 6 }
+  ]);
+});
+
+test('lines and polygons are kept as geometry, fitted by the camera and shown as a layer', async () => {
+  const slides = await DataProviders.geojson({
+    data: collection(
+      { type: 'Feature', properties: { name: 'Road' }, geometry: ROAD },
+      { type: 'Feature', properties: { name: 'Concession' }, geometry: CONCESSION }
+    ),
+    geojson: { layer: { paint: { 'fill-color': '#c00' } } }
+  });
+
+  assert.equal(slides[0].geometry, ROAD);
+  assert.deepEqual(slides[0].location, { line: true, bounds: ROAD });
+  assert.equal(slides[0].layers[0].layerType, 'line');
+  assert.deepEqual(slides[1].layers, [{
+    type: 'geojson',
+    data: { type: 'Feature', properties: {}, geometry: CONCESSION },
+    layerType: 'fill',
+    paint: { 'fill-color': '#c00' }
+  }]);
+});
+
+test('features without geometry become text-only slides', async () => {
+  const [slide] = await DataProviders.geojson({
+    data: collection({ type: 'Feature', properties: { name: 'Introduction' }, geometry: null })
+  });
+
+  assert.deepEqual(slide, { text: { headline: 'Introduction', text: '' } });
+});
+
+test('the GeoJSON is loaded from jsonUrl, and anything else is rejected', async (t) => {
+  serve(t, { 'story.geojson': collection(point(20, 10)), 'slides.json': { slides: [] } });
+
+  assert.equal((await DataProviders.geojson({ jsonUrl: 'story.geojson' })).length, 1);
+  await assert.rejects(DataProviders.geojson({ jsonUrl: 'slides.json' }), { message: 'Invalid GeoJSON. Expected a FeatureCollection.' });
+  await assert.rejects(DataProviders.geojson({ jsonUrl: 'missing.geojson' }), { message: 'Failed to load missing.geojson: 404' });
+});
+
+test('the simple provider hands FeatureCollections to the GeoJSON provider', async (t) => {
+  serve(t, { 'story.json': collection(point(20, 10, { name: 'Mine' })) });
+
+  const slides = await DataProviders.simple({ jsonUrl: 'story.json' });
+
+  assert.equal(slides[0].text.headline, 'Mine');
+});
+
+test('StoryMap loads a FeatureCollection from jsonUrl through DataProviders.geojson', async (t) => {
+  setupDom();
+  serve(t, { 'story.json': collection(point(20, 10, { name: 'Mine' }), point(21, 11, { name: 'Port' })) });
+  global.DataProviders = DataProviders;
+  let storyMap;
+  try {
+    storyMap = await createStoryMap({ dataLoader: undefined, jsonUrl: 'story.json', geojson: { defaultZoom: 8, line: false } });
+  } finally {
+    delete global.DataProviders;
+  }
+
+  assert.equal(document.getElementById('headline').textContent, 'Mine');
+  assert.equal(storyMap.storyData[1].location.zoom, 8);
+  storyMap.destroy();
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createStoryMap } = require('./helpers.js');
+const { DataProviders, loadStoryData } = require('../providers/data-providers.js');
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="46.0" lon="7.0">
+    <name>Trailhead</name>
+    <desc>Start of the walk</desc>
+    <time>2024-07-01T08:00:00Z</time>
+    <link href="https://example.org/trailhead.jpg"><text>The car park</text></link>
+  </wpt>
+  <wpt lat="46.2" lon="7.2">
+    <name>Hut</name>
+    <cmt>Lunch stop</cmt>
+    <time></time>
+  </wpt>
+  <wpt lat="46.4" lon="7.4">
+    <name>Summit</name>
+  </wpt>
+  <trk><trkseg>
+    <trkpt lat="46.0" lon="7.0"/><trkpt lat="46.1" lon="7.1"/><trkpt lat="46.2" lon="7.2"/>
+    <trkpt lat="46.3" lon="7.3"/><trkpt lat="46.4" lon="7.4"/>
+  </trkseg></trk>
+</gpx>`;
+
+const KML = `<?xml version="1.0"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <Placemark>
+      <name>Camp</name>
+      <description><![CDATA[<p>First night</p>]]></description>
+      <ExtendedData>
+        <Data name="zoom"><value>9</value></Data>
+        <SchemaData><SimpleData name="media_url">camp.jpg</SimpleData></SchemaData>
+      </ExtendedData>
+      <Point><coordinates>-70.1,-5.0,0</coordinates></Point>
+    </Placemark>
+    <Placemark>
+      <name>River</name>
+      <LineString><coordinates>-70.1,-5.0 -70.05,-5.1 -70.0,-5.2</coordinates></LineString>
+    </Placemark>
+    <Placemark>
+      <name>Mine</name>
+      <Point><coordinates>-70.0,-5.2</coordinates></Point>
+    </Placemark>
+  </Document>
+</kml>`;
+
+test.beforeEach(() => setupDom());
+
+test('GPX waypoints become slides with their name, description, time and picture', async () => {
+  const slides = await DataProviders.gpx({ data: GPX });
+
+  assert.deepEqual(slides.map(slide => slide.text), [
+    { headline: 'Trailhead', text: 'Start of the walk' },
+    { headline: 'Hut', text: 'Lunch stop' },
+    { headline: 'Summit', text: '' }
+  ]);
+  assert.equal(slides[0].date, '2024-07-01T08:00:00Z');
+  assert.deepEqual(slides[0].media, { url: 'https://example.org/trailhead.jpg', caption: 'The car park', credit: '' });
+  // An empty <time> is a missing date, not an empty one
+  assert.equal('date' in slides[1], false);
+});
+
+test('the GPX track between two waypoints becomes the line joining their slides', async () => {
+  const slides = await DataProviders.gpx({ data: GPX });
+
+  assert.deepEqual(slides[0].location.line, {
+    type: 'LineString',
+    coordinates: [[7, 46], [7, 46], [7.1, 46.1], [7.2, 46.2], [7.2, 46.2]]
+  });
+  assert.deepEqual(slides[1].location.line.coordinates.slice(1, -1), [[7.2, 46.2], [7.3, 46.3], [7.4, 46.4]]);
+  // The last stop has nowhere to go
+  assert.equal('line' in slides[2].location, false);
+});
+
+test('GPX routes are used when there is no track, and line: false keeps the stops apart', async () => {
+  const route = GPX.replace(/<trk>[\s\S]*<\/trk>/, '<rte><rtept lat="46.0" lon="7.0"/><rtept lat="46.4" lon="7.4"/></rte>');
+
+  const slides = await DataProviders.gpx({ data: route });
+  assert.equal(slides[0].location.line.type, 'LineString');
+
+  const apart = await DataProviders.gpx({ data: GPX, gpx: { line: false } });
+  assert.deepEqual(apart.map(slide => slide.location.line), [false, false, undefined]);
+});
+
+test('GPX field names can be remapped like GeoJSON properties', async () => {
+  const slides = await DataProviders.gpx({ data: GPX, gpx: { properties: { text: 'cmt' } } });
+
+  assert.deepEqual(slides.map(slide => slide.text.text), ['', 'Lunch stop', '']);
+});
+
+test('KML point Placemarks become slides with their ExtendedData', async () => {
+  const slides = await DataProviders.kml({ data: KML });
+
+  assert.equal(slides.length, 2);
+  assert.deepEqual(slides[0].text, { headline: 'Camp', text: '<p>First night</p>' });
+  assert.equal(slides[0].location.zoom, 9);
+  assert.equal(slides[0].media.url, 'camp.jpg');
+  assert.deepEqual([slides[1].location.lon, slides[1].location.lat], [-70, -5.2]);
+});
+
+test('KML LineStrings and gx:Tracks become the lines between Placemarks', async () => {
+  const slides = await DataProviders.kml({ data: KML });
+  assert.deepEqual(slides[0].location.line.coordinates, [[-70.1, -5], [-70.1, -5], [-70.05, -5.1], [-70, -5.2], [-70, -5.2]]);
+
+  const track = KML.replace(
+    /<LineString>.*<\/LineString>/,
+    '<gx:Track><gx:coord>-70.1 -5.0 0</gx:coord><gx:coord>-70.0 -5.2 0</gx:coord></gx:Track>'
+  );
+  const tracked = await DataProviders.kml({ data: track });
+  assert.deepEqual(tracked[0].location.line.coordinates, [[-70.1, -5], [-70.1, -5], [-70, -5.2], [-70, -5.2]]);
+});
+
+test('XML that does not parse is an error', async () => {
+  await assert.rejects(DataProviders.kml({ data: '<kml><Placemark>' }), { message: /^Invalid XML/ });
+});
+
+test('loadStoryData() picks the GPX and KML providers from the URL', async (t) => {
+  const documents = { 'walk.gpx': GPX, 'trip.kml?v=1': KML };
+  t.mock.method(global, 'fetch', async url => ({ ok: true, text: async () => documents[url] }));
+
+  assert.equal((await loadStoryData({ jsonUrl: 'walk.gpx' }))[0].text.headline, 'Trailhead');
+  assert.equal((await loadStoryData({ jsonUrl: 'trip.kml?v=1' }))[0].text.headline, 'Camp');
+});
+
+test('loadStoryData() reads the format of a file from its name, or from config.format', async () => {
+  const file = (text, name) => Object.assign(new Blob([text]), { name });
+
+  assert.equal((await loadStoryData({ file: file(GPX, 'walk.GPX') }))[0].text.headline, 'Trailhead');
+  assert.equal((await loadStoryData({ file: file(KML, 'trip.kml') }))[0].text.headline, 'Camp');
+  assert.equal((await loadStoryData({ data: KML, format: 'KML' }))[0].text.headline, 'Camp');
+  assert.equal((await loadStoryData({ data: 'headline,lat,lon\nCamp,1,2' }))[0].text.headline, 'Camp');
+
+  assert.equal(DataProviders.detectFormat({ file: file(GPX, 'walk.gpx'), format: 'csv' }), 'csv');
+  assert.equal(DataProviders.detectFormat({ jsonUrl: 'story.json' }), null);
+  assert.throws(() => DataProviders.detectFormat({ data: GPX, format: 'xml' }), { message: 'Unknown story format: xml (expected csv, gpx, kml)' });
+});
+
+test('StoryMap opens a GPX file, and needs the data providers to do so', async () => {
+  const file = Object.assign(new Blob([GPX]), { name: 'walk.gpx' });
+
+  await assert.rejects(createStoryMap({ dataLoader: undefined, file }), {
+    message: 'CSV, GPX and KML stories require providers/data-providers.js to be loaded.'
+  });
+
+  setupDom();
+  global.DataProviders = DataProviders;
+  try {
+    const storyMap = await createStoryMap({ dataLoader: undefined, file });
+    assert.equal(document.getElementById('headline').textContent, 'Trailhead');
+    assert.equal(storyMap.storyData.length, 3);
+    storyMap.destroy();
+  } finally {
+    delete global.DataProviders;
+  }
+});
@@ -0,0 +1,210 @@
+/**
+ * Test helpers: a jsdom page with the story UI, and a fake map passed to the
+ * core through config.mapInitializer (the tests do not load MapLibre)
+ */
+
+const { JSDOM } = require('jsdom');
+
+const STORY_HTML = `
+  <div id="map"></div>
+  <div id="story-content">
+    <button id="prev-btn">Previous</button>
+    <button id="next-btn">Next</button>
+    <button id="restart-btn">Restart</button>
+    <div id="content-wrapper">
+      <h2 id="headline"></h2>
+      <div id="text"></div>
+      <div id="media"></div>
+    </div>
+    <div id="progress"></div>
+  </div>`;
+
+const GLOBALS = [
+  'window', 'document', 'Node', 'Element', 'HTMLElement', 'DOMParser', 'KeyboardEvent', 'MouseEvent',
+  'Event', 'URLSearchParams', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+/**
+ * Replace the global DOM with a new page (html defaults to the story UI).
+ * The URL is used by the router tests.
+ */
+function setupDom(html = STORY_HTML, url = 'https://example.org/story/') {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head><title>Test</title></head><body>${html}</body></html>`, {
+    url,
+    pretendToBeVisual: true
+  });
+  GLOBALS.forEach((name) => {
+    global[name] = name === 'window' ? dom.window : dom.window[name];
+  });
+  global.maplibregl = { AttributionControl: class AttributionControl {} };
+  return dom;
+}
+
+// The parts of a MapLibre map the core uses, recording camera moves
+class FakeMap {
+  constructor(container) {
+    // Like MapLibre, a string is an element id
+    this.container = typeof container === 'string' ? document.getElementById(container) : container;
+    this.canvas = document.createElement('canvas');
+    this.handlers = [];
+    this.sources = {};
+    this.layers = {};
+    this.moves = [];
+    this.center = { lng: 0, lat: 0 };
+    this.zoom = 2;
+    this.removed = false;
+  }
+
+  on(type, layerOrHandler, handler) {
+    this.handlers.push({ type, layer: handler ? layerOrHandler : null, handler: handler || layerOrHandler });
+    return this;
+  }
+
+  once(type, handler) {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      handler(event);
+    };
+    return this.on(type, wrapper);
+  }
+
+  off(type, handler) {
+    this.handlers = this.handlers.filter(entry => entry.type !== type || entry.handler !== handler);
+    return this;
+  }
+
+  fire(type, event = {}, layer = null) {
+    this.handlers
+      .filter(entry => entry.type === type && entry.layer === layer)
+      .forEach(entry => entry.handler({ type, ...event }));
+  }
+
+  addControl() {}
+
+  // The core reads GeoJSON sources back from _data, like MapLibre stores them
+  addSource(id, source) {
+    this.sources[id] = {
+      ...source,
+      _data: source.data,
+      setData(data) {
+        this._data = data;
+      }
+    };
+  }
+
+  getSource(id) {
+    return this.sources[id];
+  }
+
+  removeSource(id) {
+    delete this.sources[id];
+  }
+
+  addLayer(layer) {
+    this.layers[layer.id] = { ...layer };
+  }
+
+  getLayer(id) {
+    return this.layers[id];
+  }
+
+  removeLayer(id) {
+    delete this.layers[id];
+  }
+
+  setPaintProperty(id, name, value) {
+    if (this.layers[id]) {
+      this.layers[id].paint = { ...this.layers[id].paint, [name]: value };
+    }
+  }
+
+  getCanvas() {
+    return this.canvas;
+  }
+
+  getContainer() {
+    return this.container;
+  }
+
+  getCenter() {
+    return this.center;
+  }
+
+  getZoom() {
+    return this.zoom;
+  }
+
+  cameraForBounds(bounds) {
+    const [[west, south], [east, north]] = bounds;
+    return { center: [(west + east) / 2, (south + north) / 2], zoom: 4 };
+  }
+
+  move(method, options) {
+    this.moves.push({ method, options });
+    if (options.center) {
+      const [lng, lat] = options.center;
+      this.center = { lng, lat };
+    }
+    if (options.zoom !== undefined) this.zoom = options.zoom;
+    this.fire('moveend');
+  }
+
+  flyTo(options) {
+    this.move('flyTo', options);
+  }
+
+  easeTo(options) {
+    this.move('easeTo', options);
+  }
+
+  jumpTo(options) {
+    this.move('jumpTo', options);
+  }
+
+  remove() {
+    this.removed = true;
+    this.handlers = [];
+  }
+}
+
+function createSlides(count = 3) {
+  return Array.from({ length: count }, (value, index) => ({
+    text: { headline: `Slide ${index + 1}`, text: `<p>Text ${index + 1}</p>` },
+    location: { lat: 10 + index, lon: 20 + index, zoom: 5 }
+  }));
+}
+
+/**
+ * A StoryMap on the fake map, with slide animations off so slide changes are
+ * synchronous. config.slides replaces the default three slides and config.on
+ * ({ event: handler }) subscribes before loading starts. Resolves with the
+ * instance once it is ready (the fake map fires 'load' right away).
+ */
+function createStoryMap(config = {}) {
+  const StoryMap = require('../storymap-core.js');
+  const { slides = createSlides(), on = {}, ...options } = config;
+
+  return new Promise((resolve, reject) => {
+    const storyMap = new StoryMap({
+      dataLoader: async () => ({ storymap: { slides } }),
+      mapInitializer: (container) => {
+        const map = new FakeMap(container);
+        setImmediate(() => map.fire('load'));
+        return map;
+      },
+      ...options,
+      features: { animations: false, ...options.features }
+    });
+    Object.entries(on).forEach(([eventName, handler]) => storyMap.on(eventName, handler));
+    storyMap.once('ready', () => resolve(storyMap));
+    storyMap.once('error', event => reject(event.error));
+  });
+}
+
+module.exports = {
+  STORY_HTML,
+  setupDom,
+  FakeMap,
+  createSlides,
+  createStoryMap
+};
@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+const StoryMap = require('../storymap-core.js');
+const { MediaProviders, MediaUtils, MediaRegistry } = require('../providers/media-providers.js');
+
+// Slides showing the given media, one per slide
+const mediaSlides = (...media) => createSlides(media.length).map((slide, index) => ({ ...slide, media: media[index] }));
+
+const PHOTOS = [
+  { url: 'https://example.org/louvre.jpg', caption: 'The <b onclick="x()">Louvre</b>', credit: 'Ana Ruiz' },
+  { url: 'https://example.org/orsay.jpg', caption: 'Orsay' },
+  { url: 'https://example.org/seine.mp4' },
+  { url: 'https://example.org/rodin.png' }
+];
+
+const key = (target, name, options = {}) => {
+  const event = new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options });
+  target.dispatchEvent(event);
+  return event;
+};
+const lightbox = () => document.querySelector('.storymap-lightbox');
+const lightboxImage = () => lightbox().querySelector('.storymap-lightbox-image').src;
+
+test.beforeEach((t) => {
+  setupDom();
+  // jsdom does not implement scrolling or media playback
+  window.Element.prototype.scrollTo = () => {};
+  t.mock.method(window.HTMLMediaElement.prototype, 'pause', () => {});
+  t.mock.method(window.HTMLMediaElement.prototype, 'load', () => {});
+  global.MediaRegistry = MediaRegistry;
+});
+
+test.afterEach(() => {
+  delete global.MediaRegistry;
+});
+
+test('a slide\'s image opens in the lightbox and Esc closes it', async () => {
+  const storyMap = await createStoryMap({ slides: mediaSlides(PHOTOS[0], {}) });
+  const image = document.querySelector('#media img');
+
+  assert.equal(image.getAttribute('role'), 'button');
+  assert.equal(image.getAttribute('aria-haspopup'), 'dialog');
+  image.focus();
+  image.click();
+
+  assert.equal(lightbox().getAttribute('role'), 'dialog');
+  assert.equal(lightbox().getAttribute('aria-modal'), 'true');
+  assert.equal(document.activeElement, lightbox());
+  assert.equal(lightboxImage(), 'https://example.org/louvre.jpg');
+  assert.equal(lightbox().querySelector('.storymap-lightbox-image').alt, 'The Louvre');
+  assert.equal(lightbox().querySelector('figcaption').innerHTML, '<span class="caption-text">The <b>Louvre</b></span> <span class="caption-credit">Ana Ruiz</span>');
+  assert.equal(lightbox().querySelector('.storymap-lightbox-next'), null);
+
+  // Esc and the arrow keys stay in the lightbox
+  assert.equal(key(lightbox(), 'ArrowRight').defaultPrevented, true);
+  assert.equal(storyMap.currentSlideIndex, 0);
+  key(lightbox(), 'Escape');
+  assert.equal(lightbox(), null);
+  assert.equal(storyMap.lightbox, null);
+  assert.equal(document.activeElement, image);
+
+  key(image, 'Enter');
+  assert.ok(lightbox());
+  lightbox().click();
+  assert.equal(lightbox(), null);
+  storyMap.destroy();
+});
+
+test('several media items are shown as a gallery', async () => {
+  const storyMap = await createStoryMap({ slides: mediaSlides(PHOTOS, {}) });
+  const gallery = document.querySelector('#media .storymap-gallery');
+  const counter = gallery.querySelector('.storymap-gallery-counter');
+  const previous = gallery.querySelector('.storymap-gallery-prev');
+  const next = gallery.querySelector('.storymap-gallery-next');
+
+  assert.equal(gallery.getAttribute('aria-roledescription'), 'carousel');
+  assert.deepEqual(Array.from(gallery.querySelectorAll('figure'), figure => figure.getAttribute('aria-label')), ['1 of 4', '2 of 4', '3 of 4', '4 of 4']);
+  assert.equal(gallery.querySelector('figure .caption-credit').textContent, 'Ana Ruiz');
+  assert.ok(gallery.querySelector('figure:nth-child(3) video'));
+  assert.equal(counter.textContent, '1 / 4');
+  assert.equal(previous.disabled, true);
+
+  next.click();
+  assert.equal(counter.textContent, '2 / 4');
+  // The arrow keys move the gallery, not the story
+  key(gallery, 'ArrowRight');
+  key(gallery, 'ArrowRight');
+  key(gallery, 'ArrowRight');
+  assert.equal(counter.textContent, '4 / 4');
+  assert.equal(next.disabled, true);
+  key(gallery, 'ArrowLeft');
+  assert.equal(counter.textContent, '3 / 4');
+  assert.equal(storyMap.currentSlideIndex, 0);
+
+  key(document.body, 'ArrowRight');
+  assert.equal(storyMap.currentSlideIndex, 1);
+  storyMap.destroy();
+});
+
+test('the gallery\'s images open together in the lightbox', async () => {
+  const storyMap = await createStoryMap({ slides: mediaSlides(PHOTOS, {}) });
+  const images = document.querySelectorAll('#media .storymap-gallery img');
+
+  assert.deepEqual(Array.from(images, image => image.dataset.lightboxIndex), ['0', '1', '2']);
+  images[1].click();
+  assert.equal(lightboxImage(), 'https://example.org/orsay.jpg');
+  assert.equal(lightbox().querySelector('.storymap-lightbox-counter').textContent, '2 / 3');
+
+  // The arrow keys cycle through the images, skipping the video
+  key(lightbox(), 'ArrowRight');
+  assert.equal(lightboxImage(), 'https://example.org/rodin.png');
+  key(lightbox(), 'ArrowRight');
+  assert.equal(lightboxImage(), 'https://example.org/louvre.jpg');
+  lightbox().querySelector('.storymap-lightbox-prev').click();
+  assert.equal(lightboxImage(), 'https://example.org/rodin.png');
+  assert.equal(storyMap.currentSlideIndex, 0);
+
+  // Tab stays on the lightbox buttons
+  const buttons = Array.from(lightbox().querySelectorAll('button'));
+  buttons.at(-1).focus();
+  key(lightbox(), 'Tab');
+  assert.equal(document.activeElement, buttons[0]);
+  key(lightbox(), 'Tab', { shiftKey: true });
+  assert.equal(document.activeElement, buttons.at(-1));
+
+  buttons.at(-1).click();
+  assert.equal(lightbox(), null);
+  key(images[0], 'Enter');
+  assert.equal(lightboxImage(), 'https://example.org/louvre.jpg');
+  storyMap.destroy();
+});
+
+test('the lightbox closes with the slide\'s media', async () => {
+  const storyMap = await createStoryMap({ slides: mediaSlides(PHOTOS[0], PHOTOS, {}) });
+
+  document.querySelector('#media img').click();
+  storyMap.navigateToSlide(1);
+  assert.equal(lightbox(), null);
+  assert.equal(storyMap.lightbox, null);
+
+  document.querySelector('#media img').click();
+  storyMap.navigateToSlide(2);
+  assert.equal(lightbox(), null);
+
+  storyMap.navigateToSlide(0);
+  const image = document.querySelector('#media img');
+  image.click();
+  storyMap.destroy();
+  assert.equal(lightbox(), null);
+});
+
+test('lightbox: false turns the lightbox off for single images', async () => {
+  const storyMap = await createStoryMap({
+    slides: mediaSlides({ ...PHOTOS[0], options: { lightbox: false } }, PHOTOS[1]),
+    media: { options: { lightbox: true } }
+  });
+
+  const image = document.querySelector('#media img');
+  image.click();
+  assert.equal(image.hasAttribute('role'), false);
+  assert.equal(lightbox(), null);
+
+  storyMap.navigateToSlide(1);
+  document.querySelector('#media img').click();
+  assert.ok(lightbox());
+  storyMap.destroy();
+});
+
+test('StoryMap.openLightbox() works without a story', () => {
+  const closed = [];
+
+  assert.equal(StoryMap.openLightbox([]), null);
+  const opened = StoryMap.openLightbox(PHOTOS.slice(0, 2), 1, { onClose: () => closed.push('closed') });
+  assert.equal(opened.element, lightbox());
+  assert.equal(lightboxImage(), 'https://example.org/orsay.jpg');
+  assert.equal(opened.element.querySelector('figcaption').innerHTML, '<span class="caption-text">Orsay</span>');
+
+  opened.close();
+  opened.close();
+  assert.equal(lightbox(), null);
+  assert.deepEqual(closed, ['closed']);
+
+  const cleaned = StoryMap.openLightbox([PHOTOS[0]], 0, { sanitize: html => html.toUpperCase() });
+  assert.equal(cleaned.element.querySelector('.caption-credit').textContent, 'ANA RUIZ');
+  cleaned.close();
+});
+
+test('MediaUtils.openLightbox() and MediaProviders.image open the core\'s lightbox without a story', () => {
+  assert.equal(MediaUtils.openLightbox('https://example.org/photo.jpg', 'A <b onclick="x()">photo</b>'), undefined);
+  assert.equal(lightboxImage(), 'https://example.org/photo.jpg');
+  assert.equal(lightbox().querySelector('.storymap-lightbox-image').alt, 'A photo');
+  assert.equal(lightbox().querySelector('.caption-text').innerHTML, 'A <b>photo</b>');
+  key(lightbox(), 'Escape');
+  assert.equal(lightbox(), null);
+
+  // MediaProviders.image opens it, and the registry's destroy closes it
+  const container = document.createElement('div');
+  const image = MediaProviders.image({ container, url: 'https://example.org/photo.jpg', caption: 'Photo', options: { lightbox: true } });
+  key(image, ' ');
+  assert.equal(lightbox().querySelector('.storymap-lightbox-image').alt, 'Photo');
+  MediaRegistry.find({ url: 'photo.jpg' }).destroy(image);
+  assert.equal(lightbox(), null);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const RIVER = { type: 'LineString', coordinates: [[20, 10], [20.5, 10.2], [21, 11]] };
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1">
+  <trk>
+    <trkseg><trkpt lat="10" lon="20"/><trkpt lat="10.5" lon="20.5"/></trkseg>
+    <trkseg><trkpt lat="10.5" lon="20.6"/><trkpt lat="11" lon="21"/></trkseg>
+  </trk>
+</gpx>`;
+
+// Slides whose first location carries the given line fields
+const withLine = (fields, count = 2) => {
+  const slides = createSlides(count);
+  slides[0].location = { ...slides[0].location, ...fields };
+  return slides;
+};
+
+const lineData = (storyMap, index = 0) => storyMap.map.getSource(`line-source-${index}`)._data;
+
+let fetched;
+
+test.beforeEach((t) => {
+  setupDom();
+  fetched = [];
+  t.mock.method(global, 'fetch', async (url) => {
+    fetched.push(url);
+    const body = { 'river.geojson': JSON.stringify({ type: 'Feature', geometry: RIVER }), 'road.gpx': GPX }[url];
+    return body ? { ok: true, text: async () => body } : { ok: false, status: 404 };
+  });
+});
+
+test('an inline GeoJSON line is drawn as given', async () => {
+  const storyMap = await createStoryMap({ slides: withLine({ line: RIVER }) });
+
+  assert.deepEqual(lineData(storyMap).geometry, RIVER);
+  storyMap.destroy();
+});
+
+test('Features and FeatureCollections are reduced to their lines', async () => {
+  const storyMap = await createStoryMap();
+  const second = { type: 'LineString', coordinates: [[21, 11], [22, 12]] };
+
+  assert.deepEqual(storyMap.toLineGeometry({ type: 'Feature', geometry: RIVER }), RIVER);
+  assert.deepEqual(storyMap.toLineGeometry({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: RIVER },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] } },
+      { type: 'Feature', geometry: second }
+    ]
+  }), { type: 'MultiLineString', coordinates: [RIVER.coordinates, second.coordinates] });
+  assert.equal(storyMap.toLineGeometry({ type: 'Point', coordinates: [0, 0] }), null);
+  storyMap.destroy();
+});
+
+test('lineType: straight joins the two slides directly', async () => {
+  const storyMap = await createStoryMap({ slides: withLine({ line: true, lineType: 'straight' }) });
+
+  assert.deepEqual(lineData(storyMap).geometry.coordinates, [[20, 10], [21, 11]]);
+  storyMap.destroy();
+});
+
+test('GeoJSON files are loaded once per URL', async () => {
+  const slides = withLine({ line: 'river.geojson' }, 3);
+  slides[1].location = { ...slides[1].location, line: 'river.geojson' };
+  const storyMap = await createStoryMap({ slides });
+  await flush();
+
+  assert.deepEqual(fetched, ['river.geojson']);
+  assert.deepEqual(lineData(storyMap, 0).geometry, RIVER);
+  assert.deepEqual(lineData(storyMap, 1).geometry, RIVER);
+  storyMap.destroy();
+});
+
+test('GPX tracks are read as lines, one part per track segment', async () => {
+  const storyMap = await createStoryMap({ slides: withLine({ line: 'road.gpx' }) });
+  await flush();
+
+  assert.deepEqual(lineData(storyMap).geometry, {
+    type: 'MultiLineString',
+    coordinates: [[[20, 10], [20.5, 10.5]], [[20.6, 10.5], [21, 11]]]
+  });
+  storyMap.destroy();
+});
+
+test('lines that cannot be used are skipped with a warning', async (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  const slides = withLine({ line: { type: 'Point', coordinates: [0, 0] } }, 3);
+  slides[1].location = { ...slides[1].location, line: 'missing.geojson' };
+  const storyMap = await createStoryMap({ slides });
+  await flush();
+
+  assert.deepEqual(storyMap.lines.map(line => line.id), ['line-1']);
+  assert.deepEqual(lineData(storyMap, 1), { type: 'FeatureCollection', features: [] });
+  assert.deepEqual(warnings, [
+    'Slide 0: line is not a GeoJSON line or URL, skipping segment',
+    'Slide 1: could not load line from missing.geojson:'
+  ]);
+  storyMap.destroy();
+});
+
+test('lineStyle overrides the story styling and keeps the active highlighting', async () => {
+  const slides = withLine({ line: RIVER, lineStyle: { color: '#111', colorActive: '#222', width: 6, dasharray: null } }, 3);
+  slides[1].location = { ...slides[1].location, line: true, lineType: 'straight' };
+  const storyMap = await createStoryMap({ slides, styling: { lineColor: '#aaa', lineColorActive: '#bbb' } });
+  const paint = id => storyMap.map.getLayer(id).paint;
+
+  assert.equal(paint('line-0')['line-width'], 6);
+  assert.equal('line-dasharray' in paint('line-0'), false);
+  assert.equal(paint('line-0')['line-color'], '#111');
+  assert.equal(paint('line-1')['line-color'], '#aaa');
+
+  storyMap.navigateNext();
+  assert.equal(paint('line-0')['line-color'], '#222');
+  assert.equal(paint('line-1')['line-color'], '#aaa');
+
+  storyMap.navigateNext();
+  assert.equal(paint('line-0')['line-color'], '#111');
+  assert.equal(paint('line-1')['line-color'], '#bbb');
+  storyMap.destroy();
+});
+
+test('getPartialLine() cuts across the parts of a MultiLineString', async () => {
+  const storyMap = await createStoryMap();
+  const geometry = { type: 'MultiLineString', coordinates: [[[0, 0], [2, 0]], [[2, 1], [4, 1], [6, 1]]] };
+
+  assert.deepEqual(storyMap.getPartialLine(geometry, 0.5).geometry, {
+    type: 'MultiLineString',
+    coordinates: [[[0, 0], [2, 0]], [[2, 1], [3, 1]]]
+  });
+  assert.deepEqual(storyMap.getPartialLine(geometry, 0), { type: 'FeatureCollection', features: [] });
+  assert.equal(storyMap.getPartialLine(geometry, 1).geometry, geometry);
+  storyMap.destroy();
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+const StoryMap = require('../storymap-core.js');
+
+const md = (markdown, options) => StoryMap.markdownToHTML(markdown, options);
+
+test.beforeEach(() => setupDom());
+
+test('paragraphs, headings, rules and line breaks', () => {
+  assert.equal(md('# Paris ##\n\nFirst line\nsame paragraph  \nnew line\\\nlast\n\n* * *\n\nEnd'), [
+    '<h1>Paris</h1>',
+    '<p>First line\nsame paragraph<br>\nnew line<br>\nlast</p>',
+    '<hr>',
+    '<p>End</p>'
+  ].join('\n'));
+  assert.equal(md('Title\r\n###### Small'), '<p>Title</p>\n<h6>Small</h6>');
+  assert.equal(md(''), '');
+  assert.equal(md(null), '');
+});
+
+test('emphasis, code spans, links, autolinks and images', () => {
+  assert.equal(
+    md('**bold** __strong__ *em* _em_ snake_case_name `a *b* <c>`'),
+    '<p><strong>bold</strong> <strong>strong</strong> <em>em</em> <em>em</em> snake_case_name <code>a *b* &lt;c&gt;</code></p>'
+  );
+  assert.equal(
+    md('[the *tower*](https://en.wikipedia.org/wiki/Eiffel_(tower) "Tour") and <https://example.org/a_b_c>'),
+    '<p><a href="https://en.wikipedia.org/wiki/Eiffel_(tower)" title="Tour">the <em>tower</em></a> and <a href="https://example.org/a_b_c">https://example.org/a_b_c</a></p>'
+  );
+  assert.equal(md('![A "view"](<my photo.jpg>) <mailto:ana@example.org>'), '<p><img src="my photo.jpg" alt="A &quot;view&quot;"> <a href="mailto:ana@example.org">ana@example.org</a></p>');
+  assert.equal(md('\\*not em\\* and 2 \\< 3'), '<p>*not em* and 2 &lt; 3</p>');
+});
+
+test('lists: tight, loose, ordered and nested', () => {
+  assert.equal(md('- Louvre\n- Orsay\n  - Monet\n  - Renoir\n- Rodin'), [
+    '<ul>',
+    '<li>Louvre</li>',
+    '<li>Orsay\n<ul>\n<li>Monet</li>\n<li>Renoir</li>\n</ul></li>',
+    '<li>Rodin</li>',
+    '</ul>'
+  ].join('\n'));
+  assert.equal(md('3. Third\n\n4. Fourth'), '<ol start="3">\n<li><p>Third</p></li>\n<li><p>Fourth</p></li>\n</ol>');
+  assert.equal(md('Text\n- item'), '<p>Text</p>\n<ul>\n<li>item</li>\n</ul>');
+  // Only lists starting at 1 interrupt a paragraph
+  assert.equal(md('In\n2019. was a year'), '<p>In\n2019. was a year</p>');
+});
+
+test('blockquotes contain other blocks', () => {
+  assert.equal(md('> Paris is *always*\n> a good idea.\n>\n> - Audrey'), [
+    '<blockquote>',
+    '<p>Paris is <em>always</em>\na good idea.</p>',
+    '<ul>\n<li>Audrey</li>\n</ul>',
+    '</blockquote>'
+  ].join('\n'));
+});
+
+test('inline rendering has no paragraphs', () => {
+  assert.equal(md('View from *Montmartre*\n\n- not a list', { inline: true }), 'View from <em>Montmartre</em>\n\n- not a list');
+});
+
+test('text with @ signs is not mistaken for tokens', () => {
+  assert.equal(md('Write to @@0@@ or @@@ `code`'), '<p>Write to @@0@@ or @@@ <code>code</code></p>');
+  assert.equal(md('[@@0@@](a_b.html) _x_'), '<p><a href="a_b.html">@@0@@</a> <em>x</em></p>');
+});
+
+test('raw HTML is passed through and sanitized by the core', async () => {
+  assert.equal(md('Hi <b onclick="x()">there</b>'), '<p>Hi <b onclick="x()">there</b></p>');
+
+  const slides = createSlides(1);
+  slides[0].text.text = '**Hi** <img src="x.png" onerror="steal()"> [link](javascript:steal())';
+  const storyMap = await createStoryMap({ slides, textFormat: 'markdown' });
+
+  assert.equal(document.getElementById('text').innerHTML, '<p><strong>Hi</strong> <img src="x.png"> <a>link</a></p>');
+  storyMap.destroy();
+});
+
+test('slides choose markdown, html or text with format', async () => {
+  const slides = createSlides(3);
+  slides[0].text.text = '*Markdown*';
+  slides[0].media = { url: 'photo.jpg', caption: 'View from *Montmartre*', credit: '[Ana](https://example.org)' };
+  slides[1].format = 'html';
+  slides[1].text.text = '*Not markdown* <em>html</em>';
+  slides[2].format = 'text';
+  slides[2].text.text = 'Line <b>one</b>\nLine two';
+  const storyMap = await createStoryMap({ slides, textFormat: 'markdown' });
+  const text = () => document.getElementById('text').innerHTML;
+
+  assert.equal(text(), '<p><em>Markdown</em></p>');
+  assert.equal(document.querySelector('#media .caption-text').innerHTML, 'View from <em>Montmartre</em>');
+  assert.equal(document.querySelector('#media .caption-credit').innerHTML, '<a href="https://example.org">Ana</a>');
+  assert.equal(document.querySelector('#media img').alt, 'View from Montmartre');
+
+  storyMap.navigateToSlide(1);
+  assert.equal(text(), '*Not markdown* <em>html</em>');
+
+  storyMap.navigateToSlide(2);
+  assert.equal(text(), 'Line &lt;b&gt;one&lt;/b&gt;<br>Line two');
+  storyMap.destroy();
+});
+
+test('overview text is rendered as Markdown too', async () => {
+  const slides = [{ type: 'overview', text: { headline: 'Journey', text: 'Three **stops**' } }, ...createSlides(2)];
+  const storyMap = await createStoryMap({ slides, textFormat: 'markdown', overview: { tableOfContents: true } });
+
+  assert.equal(document.querySelector('#text p').innerHTML, 'Three <strong>stops</strong>');
+  assert.equal(document.querySelectorAll('#text .storymap-toc-link').length, 2);
+  storyMap.destroy();
+});
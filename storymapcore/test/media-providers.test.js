@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers.js');
+const { MediaProviders, MediaUtils, MediaValidators, createMedia } = require('../providers/media-providers.js');
+
+// Render media into a new container and return the container
+const render = (provider, config) => {
+  const container = document.createElement('div');
+  provider({ container, ...config });
+  return container;
+};
+
+test.beforeEach(() => setupDom());
+
+test('start times are read in seconds, minutes and clock formats', () => {
+  const cases = [[90, 90], ['90', 90], ['90s', 90], ['1m30s', 90], ['1h2m3s', 3723], ['1:30', 90], ['1:02:03', 3723], ['12.7', 12]];
+  cases.forEach(([value, seconds]) => assert.equal(MediaUtils.parseStartTime(value), seconds, String(value)));
+
+  ['', 'soon', '1:2:3:4', -5, null].forEach(value => assert.equal(MediaUtils.parseStartTime(value), 0, String(value)));
+  assert.equal(MediaUtils.formatStartTime(90), '1:30');
+  assert.equal(MediaUtils.formatStartTime(3723), '1:02:03');
+});
+
+test('Vimeo URLs give the video id, unlisted hash and start time', () => {
+  assert.deepEqual(MediaUtils.getVimeoInfo('https://vimeo.com/76979871#t=1m30s'), { id: '76979871', hash: null, start: 90 });
+  assert.deepEqual(MediaUtils.getVimeoInfo('https://vimeo.com/76979871/3a5f0e9b2c'), { id: '76979871', hash: '3a5f0e9b2c', start: 0 });
+  assert.deepEqual(MediaUtils.getVimeoInfo('https://player.vimeo.com/video/76979871?h=3a5f0e9b2c'), { id: '76979871', hash: '3a5f0e9b2c', start: 0 });
+  assert.equal(MediaUtils.getVimeoInfo('https://vimeo.com/channels/staffpicks/76979871').id, '76979871');
+  assert.equal(MediaUtils.getVimeoInfo('https://vimeo.com/about'), null);
+  assert.equal(MediaUtils.getVimeoInfo('https://notvimeo.com/76979871'), null);
+
+  const iframe = render(MediaProviders.vimeo, {
+    url: 'https://vimeo.com/76979871/3a5f0e9b2c#t=45',
+    options: { autoplay: true, controls: false }
+  }).querySelector('iframe');
+  assert.equal(iframe.src, 'https://player.vimeo.com/video/76979871?h=3a5f0e9b2c&autoplay=1&controls=0#t=45s');
+  assert.throws(() => render(MediaProviders.vimeo, { url: 'https://vimeo.com/about' }), {
+    message: 'Not a Vimeo video URL: https://vimeo.com/about'
+  });
+});
+
+test('Dailymotion URLs give the video id and start time', () => {
+  assert.deepEqual(MediaUtils.getDailymotionInfo('https://www.dailymotion.com/video/x8abc12_river-trip?start=75'), { id: 'x8abc12', start: 75 });
+  assert.deepEqual(MediaUtils.getDailymotionInfo('https://dai.ly/x8abc12'), { id: 'x8abc12', start: 0 });
+  assert.equal(MediaUtils.getDailymotionInfo('https://geo.dailymotion.com/player.html?video=x8abc12').id, 'x8abc12');
+  assert.equal(MediaUtils.getDailymotionInfo('https://www.dailymotion.com/us'), null);
+
+  const iframe = render(MediaProviders.dailymotion, {
+    url: 'https://dai.ly/x8abc12',
+    options: { mute: true, start: '2m' }
+  }).querySelector('iframe');
+  assert.equal(iframe.src, 'https://www.dailymotion.com/embed/video/x8abc12?mute=1&start=120');
+});
+
+test('SoundCloud tracks and playlists play in the widget, credited to the artist', () => {
+  assert.deepEqual(MediaUtils.getSoundCloudInfo('https://soundcloud.com/forest-sounds/dawn-chorus/?si=abc#t=1:05'), {
+    url: 'https://soundcloud.com/forest-sounds/dawn-chorus',
+    artist: 'forest-sounds',
+    start: 65
+  });
+  assert.equal(MediaUtils.getSoundCloudInfo('https://m.soundcloud.com/forest-sounds/sets/mornings').artist, 'forest-sounds');
+  assert.equal(MediaUtils.getSoundCloudInfo('https://soundcloud.com/discover/sets/charts'), null);
+  assert.equal(MediaUtils.getSoundCloudInfo('https://soundcloud.com/forest-sounds'), null);
+
+  const container = render(MediaProviders.soundcloud, {
+    url: 'https://soundcloud.com/forest-sounds/dawn-chorus#t=90',
+    options: { color: '#ff5500' }
+  });
+  const iframe = container.querySelector('iframe');
+  const src = new URL(iframe.src);
+  assert.equal(src.searchParams.get('url'), 'https://soundcloud.com/forest-sounds/dawn-chorus');
+  assert.equal(src.searchParams.get('auto_play'), 'false');
+  assert.equal(src.searchParams.get('color'), 'ff5500');
+  assert.equal(src.hash, '#t=1:30');
+  assert.equal(iframe.height, '166');
+  assert.equal(container.querySelector('.caption-credit').textContent, 'forest-sounds / SoundCloud');
+});
+
+test('Commons file pages resolve to the file itself', () => {
+  const page = 'https://commons.wikimedia.org/wiki/File:Eiffel_Tower%20at%20night.jpg';
+  const info = MediaUtils.getCommonsInfo(page);
+
+  assert.deepEqual(info, { file: 'Eiffel_Tower_at_night.jpg', upload: false, title: 'Eiffel Tower at night' });
+  assert.equal(MediaUtils.getCommonsFileUrl(info), 'https://commons.wikimedia.org/wiki/Special:FilePath/Eiffel_Tower_at_night.jpg');
+  assert.equal(MediaUtils.getCommonsFileUrl(info, 800), 'https://commons.wikimedia.org/wiki/Special:FilePath/Eiffel_Tower_at_night.jpg?width=800');
+  assert.equal(MediaUtils.getCommonsInfo('https://commons.wikimedia.org/w/index.php?title=File:Map.png').file, 'Map.png');
+  assert.deepEqual(MediaUtils.getCommonsInfo('https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Map.png/640px-Map.png'), {
+    file: 'Map.png', upload: true, title: 'Map'
+  });
+  assert.equal(MediaUtils.getCommonsInfo('https://commons.wikimedia.org/wiki/Category:Maps'), null);
+
+  const image = render(MediaProviders.commons, { url: page, options: { thumbnailWidth: 1024 } });
+  assert.equal(image.querySelector('img').src, 'https://commons.wikimedia.org/wiki/Special:FilePath/Eiffel_Tower_at_night.jpg?width=1024');
+  assert.equal(image.querySelector('img').alt, 'Eiffel Tower at night');
+  assert.equal(image.querySelector('.caption-credit').textContent, 'Wikimedia Commons');
+
+  const upload = 'https://upload.wikimedia.org/wikipedia/commons/a/ab/Map.png';
+  assert.equal(render(MediaProviders.commons, { url: upload }).querySelector('img').src, upload);
+  assert.equal(render(MediaProviders.commons, { url: 'https://commons.wikimedia.org/wiki/File:Rain.ogg' }).querySelector('audio').tagName, 'AUDIO');
+  assert.equal(render(MediaProviders.commons, { url: 'https://commons.wikimedia.org/wiki/File:Flood.webm' }).querySelector('video').tagName, 'VIDEO');
+});
+
+test('Commons URLs with malformed escapes fall through to the other handlers', () => {
+  const page = 'https://commons.wikimedia.org/wiki/File:100%_Pure.jpg';
+
+  assert.equal(MediaUtils.getCommonsInfo(page), null);
+  assert.equal(MediaUtils.getCommonsInfo('https://upload.wikimedia.org/wikipedia/commons/a/ab/100%_Pure.jpg'), null);
+  assert.equal(MediaUtils.getCredit(page), '');
+  assert.equal(MediaValidators.getMediaType(page), 'image');
+  assert.equal(render(createMedia, { url: page }).querySelector('img').src, page);
+});
+
+test('a credit from the story replaces the one read from the URL', () => {
+  assert.equal(MediaUtils.getCredit('https://soundcloud.com/forest-sounds/dawn-chorus'), 'forest-sounds / SoundCloud');
+  assert.equal(MediaUtils.getCredit('https://commons.wikimedia.org/wiki/File:Map.png'), 'Wikimedia Commons');
+  assert.equal(MediaUtils.getCredit('https://vimeo.com/76979871'), '');
+
+  const container = render(MediaProviders.commons, { url: 'https://commons.wikimedia.org/wiki/File:Map.png', credit: 'Ana Ruiz, CC BY-SA' });
+  assert.equal(container.querySelector('.caption-credit').textContent, 'Ana Ruiz, CC BY-SA');
+});
+
+test('media types and hosts are recognised for every provider', () => {
+  const types = {
+    'https://youtu.be/dQw4w9WgXcQ': 'youtube',
+    'https://vimeo.com/76979871': 'vimeo',
+    'https://dai.ly/x8abc12': 'dailymotion',
+    'https://soundcloud.com/forest-sounds/dawn-chorus': 'soundcloud',
+    'https://commons.wikimedia.org/wiki/File:Map.png': 'commons',
+    'media/river.mp4': 'video',
+    'media/birds.mp3': 'audio',
+    'media/photo.webp': 'image',
+    'media/notes.pdf': 'unknown'
+  };
+  Object.entries(types).forEach(([url, type]) => assert.equal(MediaValidators.getMediaType(url), type, url));
+
+  assert.equal(MediaValidators.isSupportedHost('https://player.vimeo.com/video/76979871'), true);
+  assert.equal(MediaValidators.isSupportedHost('https://upload.wikimedia.org/wikipedia/commons/a/ab/Map.png'), true);
+  assert.equal(MediaValidators.isSupportedHost('https://example.org/video.mp4'), false);
+  assert.equal(MediaValidators.isSupportedHost('not a url'), false);
+});
+
+test('createMedia() picks the new providers', () => {
+  const container = document.createElement('div');
+
+  createMedia({ container, url: 'https://vimeo.com/76979871' });
+  createMedia({ container, url: 'https://dai.ly/x8abc12' });
+  createMedia({ container, url: 'https://commons.wikimedia.org/wiki/File:Map.png' });
+
+  assert.deepEqual(Array.from(container.querySelectorAll('iframe, img'), element => element.src), [
+    'https://player.vimeo.com/video/76979871',
+    'https://www.dailymotion.com/embed/video/x8abc12',
+    'https://commons.wikimedia.org/wiki/Special:FilePath/Map.png'
+  ]);
+});
@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+const StoryMap = require('../storymap-core.js');
+const { MediaRegistry } = require('../providers/media-providers.js');
+const { DataValidators } = require('../providers/data-providers.js');
+
+const builtInHandlers = MediaRegistry.handlers;
+
+// Slides showing the given media, one per slide
+const mediaSlides = (...media) => createSlides(media.length).map((slide, index) => ({ ...slide, media: media[index] }));
+
+// A handler that records what it renders and destroys
+const recordingHandler = (name, pattern) => {
+  const calls = { render: [], destroy: [] };
+  return {
+    calls,
+    handler: {
+      name,
+      match: url => pattern.test(url),
+      render: (container, media, context) => {
+        const element = document.createElement('div');
+        element.className = name;
+        container.appendChild(element);
+        calls.render.push({ container, media, context });
+        return element;
+      },
+      destroy: (instance, container) => calls.destroy.push({ instance, container })
+    }
+  };
+};
+
+test.beforeEach((t) => {
+  setupDom();
+  // jsdom does not implement media playback
+  t.mock.method(window.HTMLMediaElement.prototype, 'pause', () => {});
+  t.mock.method(window.HTMLMediaElement.prototype, 'load', () => {});
+  global.MediaRegistry = MediaRegistry;
+});
+
+test.afterEach(() => {
+  MediaRegistry.handlers = builtInHandlers;
+  delete global.MediaRegistry;
+});
+
+test('find() picks the built-in handler for each kind of URL', () => {
+  const name = url => MediaRegistry.find({ url })?.name ?? null;
+
+  assert.equal(name('https://youtu.be/dQw4w9WgXcQ'), 'youtube');
+  assert.equal(name('https://www.youtube.com/shorts/dQw4w9WgXcQ'), 'youtube');
+  assert.equal(name('https://vimeo.com/76979871'), 'vimeo');
+  assert.equal(name('media/river.MP4?v=2'), 'video');
+  assert.equal(name('media/birds.mp3'), 'audio');
+  assert.equal(name('media/photo.webp#crop'), 'image');
+  assert.equal(name('media/notes.pdf'), null);
+  assert.equal(MediaRegistry.find({}), null);
+});
+
+test('registered handlers take precedence and replace handlers with the same name', () => {
+  const { handler } = recordingHandler('pdf', /\.pdf$/);
+  const { handler: images } = recordingHandler('image', /\.png$/);
+
+  assert.equal(MediaRegistry.register(handler), handler);
+  MediaRegistry.register(images);
+
+  assert.equal(MediaRegistry.find({ url: 'notes.pdf' }), handler);
+  assert.equal(MediaRegistry.find({ url: 'photo.png' }), images);
+  assert.equal(MediaRegistry.find({ url: 'photo.jpg' }), null);
+  assert.equal(MediaRegistry.handlers.filter(entry => entry.name === 'image').length, 1);
+
+  MediaRegistry.unregister('pdf');
+  assert.equal(MediaRegistry.find({ url: 'notes.pdf' }), null);
+  assert.throws(() => MediaRegistry.register({ name: 'broken', match: () => true }), {
+    message: 'Media handlers need match and render functions'
+  });
+});
+
+test('the core renders youtu.be, webp, mp4 and mp3 media through the registry', async () => {
+  const storyMap = await createStoryMap({
+    slides: mediaSlides(
+      { url: 'https://youtu.be/dQw4w9WgXcQ', caption: 'A <em>video</em>' },
+      { url: 'media/photo.webp', caption: 'The <b>river</b>', credit: 'Ana Ruiz' },
+      { url: 'media/river.mp4' },
+      { url: 'media/birds.mp3' }
+    )
+  });
+  const media = document.getElementById('media');
+
+  assert.match(media.querySelector('iframe').src, /^https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ\?/);
+  assert.equal(media.querySelector('.caption-text').innerHTML, 'A <em>video</em>');
+
+  storyMap.navigateToSlide(1);
+  assert.equal(media.querySelector('img').getAttribute('src'), 'media/photo.webp');
+  assert.equal(media.querySelector('img').alt, 'The river');
+  assert.equal(media.querySelector('.caption-credit').textContent, 'Ana Ruiz');
+  assert.equal(media.querySelector('iframe'), null);
+
+  storyMap.navigateToSlide(2);
+  assert.equal(media.querySelector('video').getAttribute('src'), 'media/river.mp4');
+
+  storyMap.navigateToSlide(3);
+  assert.equal(media.querySelector('audio').getAttribute('src'), 'media/birds.mp3');
+  assert.equal(media.children.length, 1);
+  storyMap.destroy();
+});
+
+test('slide media options override config.media.options', async () => {
+  const storyMap = await createStoryMap({
+    slides: mediaSlides(
+      { url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', options: { autoplay: true } },
+      { url: 'media/river.mp4', options: { poster: 'media/river.jpg', width: '320px', loop: false } }
+    ),
+    media: { options: { mute: true, loop: true } }
+  });
+  const media = document.getElementById('media');
+  const params = new URL(media.querySelector('iframe').src).searchParams;
+
+  assert.equal(params.get('autoplay'), '1');
+  assert.equal(params.get('mute'), '1');
+  assert.equal(params.get('loop'), '1');
+
+  storyMap.navigateToSlide(1);
+  const video = media.querySelector('video');
+  assert.equal(video.poster, 'https://example.org/story/media/river.jpg');
+  assert.equal(video.style.width, '320px');
+  assert.equal(video.muted, false);
+  assert.equal(video.loop, false);
+  storyMap.destroy();
+});
+
+test('the previous slide\'s media is destroyed on navigation', async () => {
+  const { handler, calls } = recordingHandler('map-embed', /\.embed$/);
+  const storyMap = await createStoryMap({
+    slides: mediaSlides({ url: 'first.embed', caption: 'First' }, { url: 'https://youtu.be/dQw4w9WgXcQ' }, {}),
+    media: { handlers: [handler] }
+  });
+  const media = document.getElementById('media');
+  const [{ container, media: rendered, context }] = calls.render;
+
+  assert.equal(container, media);
+  assert.equal(rendered.caption, 'First');
+  assert.equal(typeof rendered.sanitize, 'function');
+  assert.deepEqual(context, { storyMap, slide: storyMap.storyData[0] });
+
+  const element = media.querySelector('.map-embed');
+  storyMap.navigateToSlide(1);
+  assert.deepEqual(calls.destroy, [{ instance: element, container: media }]);
+  assert.equal(element.isConnected, false);
+
+  const iframe = media.querySelector('iframe');
+  storyMap.navigateToSlide(2);
+  assert.equal(iframe.src, 'about:blank');
+  assert.equal(media.innerHTML, '');
+  assert.deepEqual(storyMap.activeMedia, []);
+  storyMap.destroy();
+});
+
+test('handlers registered on an instance come before the registry', async () => {
+  const { handler, calls } = recordingHandler('tiles', /\.png$/);
+  const storyMap = await createStoryMap({ slides: mediaSlides({ url: 'photo.jpg' }, { url: 'tile.png' }) });
+
+  assert.equal(storyMap.registerMediaHandler(handler), storyMap);
+  storyMap.navigateToSlide(1);
+
+  assert.equal(calls.render.length, 1);
+  assert.equal(document.querySelector('#media img'), null);
+  assert.throws(() => storyMap.registerMediaHandler({ render: () => {} }), {
+    message: 'Media handlers need match and render functions'
+  });
+  storyMap.destroy();
+});
+
+test('without media-providers.js the core still shows YouTube videos and images', async () => {
+  delete global.MediaRegistry;
+  const storyMap = await createStoryMap({
+    slides: mediaSlides({ url: 'https://youtu.be/dQw4w9WgXcQ' }, { url: 'photo.webp', caption: 'A <b>photo</b>' }, { url: 'river.mp4' })
+  });
+  const media = document.getElementById('media');
+
+  assert.equal(media.querySelector('iframe').src, 'https://www.youtube.com/embed/dQw4w9WgXcQ');
+  storyMap.navigateToSlide(1);
+  assert.equal(media.querySelector('img').alt, 'A photo');
+  storyMap.navigateToSlide(2);
+  assert.equal(media.innerHTML, '');
+  storyMap.destroy();
+});
+
+test('the core, MediaRegistry and the validator share one list of media files', async () => {
+  assert.equal(StoryMap.getYouTubeId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10'), 'dQw4w9WgXcQ');
+  assert.equal(StoryMap.getYouTubeId('https://example.org/page?v=dQw4w9WgXcQ'), '');
+  assert.equal(MediaRegistry.find({ url: 'https://example.org/page?v=dQw4w9WgXcQ' }), null);
+
+  StoryMap.MEDIA_EXTENSIONS.image.forEach((extension) => {
+    assert.equal(MediaRegistry.find({ url: `photo.${extension}` }).name, 'image', extension);
+    assert.equal(DataValidators.isValidMediaUrl(`photo.${extension}`), true, extension);
+  });
+
+  // Without media-providers.js the core's own image embed accepts the same files
+  delete global.MediaRegistry;
+  const storyMap = await createStoryMap({ slides: mediaSlides({ url: 'map.avif?v=2', caption: 'A <b>map</b>' }) });
+  assert.equal(document.querySelector('#media img').alt, 'A map');
+  assert.equal(document.querySelector('#media .caption-text').innerHTML, 'A <b>map</b>');
+  storyMap.destroy();
+});
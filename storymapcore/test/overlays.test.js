@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+
+const CONCESSION = {
+  type: 'Feature',
+  properties: {},
+  geometry: { type: 'Polygon', coordinates: [[[20, 10], [21, 10], [21, 11], [20, 10]]] }
+};
+
+// Three slides, the second one with the given overlay layers
+const withLayers = (...layers) => {
+  const slides = createSlides(3);
+  slides[1].layers = layers;
+  return slides;
+};
+
+test.beforeEach((t) => {
+  setupDom();
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+test('a slide\'s layers are added when it becomes active and faded in', async () => {
+  const storyMap = await createStoryMap({
+    slides: withLayers({ type: 'geojson', data: CONCESSION, paint: { 'fill-color': '#c00', 'fill-opacity': 0.4 } }),
+    styling: { overlayFadeDuration: 300 }
+  });
+  const map = storyMap.map;
+  assert.equal(map.getLayer('overlay-1-0'), undefined);
+
+  storyMap.navigateNext();
+
+  assert.deepEqual(map.getSource('overlay-source-1-0').data, CONCESSION);
+  assert.equal(map.getLayer('overlay-1-0').type, 'fill');
+  assert.deepEqual(map.getLayer('overlay-1-0').paint, {
+    'fill-color': '#c00',
+    'fill-opacity': 0.4,
+    'fill-opacity-transition': { duration: 300, delay: 0 }
+  });
+  storyMap.destroy();
+});
+
+test('leaving the slide fades its layers out and removes them after the fade', async (t) => {
+  const storyMap = await createStoryMap({ slides: withLayers({ data: CONCESSION, opacity: 0.6 }) });
+  const map = storyMap.map;
+
+  storyMap.navigateNext();
+  assert.equal(map.getLayer('overlay-1-0').paint['fill-opacity'], 0.6);
+  storyMap.navigateNext();
+
+  assert.equal(map.getLayer('overlay-1-0').paint['fill-opacity'], 0);
+  t.mock.timers.tick(499);
+  assert.notEqual(map.getLayer('overlay-1-0'), undefined);
+  t.mock.timers.tick(1);
+  assert.equal(map.getLayer('overlay-1-0'), undefined);
+  assert.equal(map.getSource('overlay-source-1-0'), undefined);
+  assert.deepEqual(storyMap.overlays, []);
+  storyMap.destroy();
+});
+
+test('slides sharing an overlay id keep the same layer', async (t) => {
+  const slides = withLayers({ id: 'concession', data: CONCESSION });
+  slides[2].layers = [{ id: 'concession', data: CONCESSION }];
+  const storyMap = await createStoryMap({ slides });
+  const map = storyMap.map;
+
+  storyMap.navigateNext();
+  const layer = map.getLayer('concession');
+  storyMap.navigateNext();
+  t.mock.timers.tick(1000);
+
+  assert.equal(map.getLayer('concession'), layer);
+  assert.equal(layer.paint['fill-opacity'], 1);
+  assert.equal(storyMap.overlays.length, 1);
+  assert.equal(storyMap.overlays[0].slideIndex, 2);
+  storyMap.destroy();
+});
+
+test('raster and image overlays get their own sources and raster paint', async () => {
+  const storyMap = await createStoryMap({
+    slides: withLayers(
+      { type: 'raster', tiles: ['https://tiles.example.org/{z}/{x}/{y}.png'], attribution: 'Example' },
+      { type: 'image', url: 'scan.png', coordinates: [[20, 11], [21, 11], [21, 10], [20, 10]], opacity: 0.8 }
+    )
+  });
+  const map = storyMap.map;
+
+  storyMap.navigateNext();
+
+  assert.deepEqual(map.getSource('overlay-source-1-0').tiles, ['https://tiles.example.org/{z}/{x}/{y}.png']);
+  assert.equal(map.getSource('overlay-source-1-0').tileSize, 256);
+  assert.equal(map.getSource('overlay-source-1-1').type, 'image');
+  assert.equal(map.getLayer('overlay-1-1').type, 'raster');
+  assert.equal(map.getLayer('overlay-1-1').paint['raster-opacity'], 0.8);
+  storyMap.destroy();
+});
+
+test('overlays are inserted below the story\'s lines and markers', async (t) => {
+  const slides = withLayers({ data: CONCESSION, layerType: 'line' });
+  slides[0].location = { ...slides[0].location, line: true, lineType: 'straight' };
+  const storyMap = await createStoryMap({ slides });
+  const addLayer = t.mock.method(storyMap.map, 'addLayer');
+
+  storyMap.navigateNext();
+
+  assert.equal(addLayer.mock.calls[0].arguments[1], 'line-0');
+  storyMap.destroy();
+});
+
+test('a layer the map rejects is skipped with a warning', async (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  const storyMap = await createStoryMap({ slides: withLayers({ id: 'broken', data: CONCESSION }, { data: CONCESSION }) });
+  const addSource = storyMap.map.addSource.bind(storyMap.map);
+  storyMap.map.addSource = (id, source) => {
+    if (id === 'overlay-source-1-0') throw new Error('Invalid source');
+    return addSource(id, source);
+  };
+
+  storyMap.navigateNext();
+
+  assert.deepEqual(warnings, ["Slide 1: could not add overlay layer 'broken':"]);
+  assert.notEqual(storyMap.map.getLayer('overlay-1-1'), undefined);
+  storyMap.destroy();
+});
+
+test('a layer that fails after its source was added leaves no source behind', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const storyMap = await createStoryMap({ slides: withLayers({ id: 'broken', data: CONCESSION }) });
+  const map = storyMap.map;
+  const addLayer = map.addLayer.bind(map);
+  map.addLayer = () => {
+    throw new Error('Invalid layer');
+  };
+
+  storyMap.navigateNext();
+  assert.equal(map.getSource('overlay-source-1-0'), undefined);
+  assert.deepEqual(storyMap.overlays, []);
+
+  // Coming back to the slide tries again
+  map.addLayer = addLayer;
+  storyMap.navigatePrevious();
+  storyMap.navigateNext();
+  assert.notEqual(map.getLayer('broken'), undefined);
+  assert.notEqual(map.getSource('overlay-source-1-0'), undefined);
+  storyMap.destroy();
+});
+
+test('symbol layers fade their labels as well as their icons', async (t) => {
+  const storyMap = await createStoryMap({
+    slides: withLayers({ data: CONCESSION, layerType: 'symbol', layout: { 'text-field': 'Concession' }, paint: { 'text-opacity': 0.7 } })
+  });
+  const map = storyMap.map;
+
+  storyMap.navigateNext();
+  assert.deepEqual(map.getLayer('overlay-1-0').paint, {
+    'icon-opacity': 1,
+    'icon-opacity-transition': { duration: 500, delay: 0 },
+    'text-opacity': 0.7,
+    'text-opacity-transition': { duration: 500, delay: 0 }
+  });
+
+  storyMap.navigateNext();
+  assert.equal(map.getLayer('overlay-1-0').paint['icon-opacity'], 0);
+  assert.equal(map.getLayer('overlay-1-0').paint['text-opacity'], 0);
+  t.mock.timers.tick(500);
+  assert.equal(map.getLayer('overlay-1-0'), undefined);
+  storyMap.destroy();
+});
+
+test('clearing the map elements removes the overlays and their pending timers', async () => {
+  const storyMap = await createStoryMap({ slides: withLayers({ data: CONCESSION }) });
+  storyMap.navigateNext();
+  storyMap.navigateNext();
+  const [overlay] = storyMap.overlays;
+  assert.equal(storyMap.timers.has(overlay.removeTimer), true);
+
+  storyMap.clearMapElements();
+
+  assert.equal(storyMap.map.getLayer('overlay-1-0'), undefined);
+  assert.deepEqual(storyMap.overlays, []);
+  assert.equal(storyMap.timers.has(overlay.removeTimer), false);
+  storyMap.destroy();
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, FakeMap, createSlides, createStoryMap } = require('./helpers.js');
+
+// An overview slide followed by three located slides (20,10 / 21,11 / 22,12)
+const overviewStory = (overview = {}) => [
+  { type: 'overview', text: { headline: 'The journey', text: '<p>Three stops</p>' }, ...overview },
+  ...createSlides(3)
+];
+
+test.beforeEach(() => setupDom());
+
+test('an overview slide fits the map to every slide location', async (t) => {
+  const cameraForBounds = t.mock.method(FakeMap.prototype, 'cameraForBounds');
+  const storyMap = await createStoryMap({ slides: overviewStory(), overview: { padding: 25 } });
+
+  assert.deepEqual(cameraForBounds.mock.calls.at(-1).arguments, [
+    [[20, 10], [22, 12]],
+    { padding: { top: 25, right: 25, bottom: 25, left: 25 }, bearing: undefined }
+  ]);
+  assert.deepEqual(storyMap.map.moves.at(-1).options.center, [21, 11]);
+  storyMap.destroy();
+});
+
+test('the overview keeps its own bounds, pitch and padding', async () => {
+  const storyMap = await createStoryMap({
+    slides: overviewStory({ location: { lat: 0, lon: 0, zoom: 1, pitch: 30, padding: 5 } })
+  });
+
+  assert.deepEqual(storyMap.getCameraLocation(storyMap.storyData[0]), {
+    pitch: 30,
+    padding: 5,
+    bounds: [[20, 10], [22, 12]]
+  });
+
+  storyMap.storyData[0].location.bounds = [0, 0, 1, 1];
+  assert.equal(storyMap.getCameraLocation(storyMap.storyData[0]), storyMap.storyData[0].location);
+  storyMap.destroy();
+});
+
+test('an overview with nothing to fit uses its own location', async () => {
+  const slides = [
+    { type: 'overview', text: { headline: 'Intro' }, location: { lat: 5, lon: 6, zoom: 3 } },
+    { text: { headline: 'Text only' } }
+  ];
+  const storyMap = await createStoryMap({ slides });
+
+  assert.deepEqual(storyMap.map.moves.at(-1).options.center, [6, 5]);
+  storyMap.destroy();
+});
+
+test('an overview of slides at one place does not zoom all the way in', async (t) => {
+  const cameraForBounds = t.mock.method(FakeMap.prototype, 'cameraForBounds');
+  const place = { lat: 10, lon: 20, zoom: 7 };
+  const slides = [
+    { type: 'overview', text: { headline: 'One town' } },
+    { text: { headline: 'Market' }, location: { ...place } },
+    { text: { headline: 'Church' }, location: { ...place, zoom: 9 } }
+  ];
+  const storyMap = await createStoryMap({ slides });
+
+  assert.equal(cameraForBounds.mock.callCount(), 0);
+  assert.deepEqual(storyMap.map.moves.at(-1).options.center, [20, 10]);
+  assert.equal(storyMap.map.moves.at(-1).options.zoom, 7);
+
+  slides[0].location = { zoom: 4, pitch: 20 };
+  assert.deepEqual(storyMap.getCameraLocation(slides[0]), { pitch: 20, lat: 10, lon: 20, zoom: 4 });
+  storyMap.destroy();
+});
+
+test('the overview shows every route line in its active colour', async () => {
+  const slides = overviewStory();
+  slides.forEach((slide) => {
+    if (slide.location) slide.location = { ...slide.location, line: true, lineType: 'straight' };
+  });
+  const storyMap = await createStoryMap({ slides, styling: { lineColor: '#aaa', lineColorActive: '#bbb' }, features: { animateRoutes: true } });
+  const color = id => storyMap.map.getLayer(id).paint['line-color'];
+
+  assert.deepEqual([color('line-1'), color('line-2')], ['#bbb', '#bbb']);
+  assert.deepEqual(storyMap.lines.map(line => line.progress), [1, 1]);
+
+  storyMap.navigateToSlide(2);
+  assert.deepEqual([color('line-1'), color('line-2')], ['#bbb', '#aaa']);
+  assert.deepEqual(storyMap.lines.map(line => line.progress), [1, 0]);
+  storyMap.destroy();
+});
+
+test('overview.tableOfContents lists the slides under the overview text', async () => {
+  const slides = overviewStory();
+  slides[2].date = '1961';
+  const storyMap = await createStoryMap({ slides, overview: { tableOfContents: true } });
+  const links = Array.from(document.querySelectorAll('#text .storymap-toc .storymap-toc-link'));
+
+  assert.equal(document.querySelector('#text p').textContent, 'Three stops');
+  assert.deepEqual(links.map(link => link.textContent), ['Slide 1', '1961 Slide 2', 'Slide 3']);
+  assert.equal(links[1].querySelector('.storymap-toc-date').textContent, '1961');
+
+  links[2].click();
+  assert.equal(storyMap.currentSlideIndex, 3);
+  assert.equal(document.querySelector('#text .storymap-toc'), null);
+  storyMap.destroy();
+});
+
+test('there is no table of contents by default', async () => {
+  const storyMap = await createStoryMap({ slides: overviewStory() });
+
+  assert.equal(document.querySelector('.storymap-toc'), null);
+  storyMap.destroy();
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STORY_HTML, setupDom, createSlides, createStoryMap } = require('./helpers.js');
+
+test.beforeEach(() => setupDom(`
+  <section id="story-one">${STORY_HTML}</section>
+  <section id="story-two" tabindex="-1">${STORY_HTML}</section>`));
+
+const headline = root => document.querySelector(`${root} #headline`).textContent;
+
+test('instances only touch the elements inside their root', async () => {
+  const slides = createSlides(3);
+  const first = await createStoryMap({ root: '#story-one', slides });
+  const second = await createStoryMap({ root: document.getElementById('story-two'), slides: slides.slice().reverse() });
+
+  assert.equal(headline('#story-one'), 'Slide 1');
+  assert.equal(headline('#story-two'), 'Slide 3');
+  assert.equal(first.map.getContainer().closest('section').id, 'story-one');
+
+  document.querySelector('#story-one #next-btn').click();
+
+  assert.equal(first.currentSlideIndex, 1);
+  assert.equal(second.currentSlideIndex, 0);
+  assert.equal(headline('#story-one'), 'Slide 2');
+  assert.equal(headline('#story-two'), 'Slide 3');
+
+  first.destroy();
+  second.destroy();
+});
+
+test('arrow keys only move the story that has focus', async () => {
+  const first = await createStoryMap({ root: '#story-one' });
+  const second = await createStoryMap({ root: '#story-two' });
+
+  document.querySelector('#story-two #headline')
+    .dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+  assert.equal(first.currentSlideIndex, 0);
+  assert.equal(second.currentSlideIndex, 1);
+
+  first.destroy();
+  second.destroy();
+});
+
+test('the root tabindex added for keyboard navigation is removed on destroy', async () => {
+  const first = await createStoryMap({ root: '#story-one' });
+  const second = await createStoryMap({ root: '#story-two' });
+  const rootOne = document.getElementById('story-one');
+  const rootTwo = document.getElementById('story-two');
+
+  assert.equal(rootOne.getAttribute('tabindex'), '0');
+  assert.equal(rootTwo.getAttribute('tabindex'), '-1');
+
+  first.destroy();
+  second.destroy();
+
+  assert.equal(rootOne.hasAttribute('tabindex'), false);
+  assert.equal(rootTwo.getAttribute('tabindex'), '-1');
+});
+
+test('a root selector that matches nothing is an error', () => {
+  const StoryMap = require('../storymap-core.js');
+  const consoleError = console.error;
+  const logged = [];
+  console.error = (message, error) => logged.push(error.message);
+  try {
+    // The root is resolved before anything is loaded
+    new StoryMap({ root: '#missing', dataLoader: async () => [] });
+  } finally {
+    console.error = consoleError;
+  }
+  assert.deepEqual(logged, ["Root element '#missing' not found."]);
+});
@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STORY_HTML, setupDom, createSlides, createStoryMap } = require('./helpers.js');
+const { MultilingualDataProvider } = require('../providers/multilingual-provider.js');
+
+const BASE_URL = 'https://example.org/story/';
+
+const popState = (hash) => {
+  window.history.pushState(null, '', hash);
+  window.dispatchEvent(new window.PopStateEvent('popstate'));
+};
+
+test('the slide in the BASE_URL hash is shown first', async () => {
+  setupDom(STORY_HTML, `${BASE_URL}#slide=3`);
+  const storyMap = await createStoryMap({ features: { router: true } });
+
+  assert.equal(storyMap.currentSlideIndex, 2);
+  assert.equal(document.getElementById('headline').textContent, 'Slide 3');
+  storyMap.destroy();
+});
+
+test('slides can be addressed by their headline slug', async () => {
+  setupDom(STORY_HTML, `${BASE_URL}#slide=slide-2`);
+  const storyMap = await createStoryMap({ features: { router: true } });
+
+  assert.equal(storyMap.currentSlideIndex, 1);
+  storyMap.destroy();
+});
+
+test('out-of-range slide numbers are ignored', async () => {
+  setupDom(STORY_HTML, `${BASE_URL}#slide=9`);
+  const storyMap = await createStoryMap({ features: { router: true } });
+
+  assert.equal(storyMap.currentSlideIndex, 0);
+  assert.equal(window.location.hash, '#slide=1');
+  storyMap.destroy();
+});
+
+test('navigation pushes history entries and keeps other hash parameters', async () => {
+  setupDom(STORY_HTML, `${BASE_URL}#view=map`);
+  const storyMap = await createStoryMap({ features: { router: true } });
+  const length = window.history.length;
+
+  storyMap.navigateNext();
+
+  assert.equal(window.location.hash, '#view=map&slide=2');
+  assert.equal(window.history.length, length + 1);
+  storyMap.destroy();
+});
+
+test('history: replace and useSlugs change how the route is written', async () => {
+  setupDom(STORY_HTML, BASE_URL);
+  const storyMap = await createStoryMap({ features: { router: { history: 'replace', useSlugs: true, slideParam: 's' } } });
+  const length = window.history.length;
+
+  storyMap.navigateNext();
+
+  assert.equal(window.location.hash, '#s=slide-2');
+  assert.equal(window.history.length, length);
+  storyMap.destroy();
+});
+
+test('repeated headlines get numbered slugs', async () => {
+  setupDom(STORY_HTML, BASE_URL);
+  const slides = createSlides(3).map(slide => ({ ...slide, text: { headline: 'Sept 3: Andrews AFB' } }));
+  const storyMap = await createStoryMap({ slides, features: { router: true } });
+
+  assert.deepEqual(storyMap.getSlideSlugs(), ['sept-3-andrews-afb', 'sept-3-andrews-afb-2', 'sept-3-andrews-afb-3']);
+  storyMap.destroy();
+});
+
+test('back and forward restore the slide without writing a new entry', async () => {
+  setupDom(STORY_HTML, BASE_URL);
+  const storyMap = await createStoryMap({ features: { router: true } });
+  storyMap.navigateNext();
+  storyMap.navigateNext();
+  const length = window.history.length;
+
+  popState('#slide=1');
+
+  assert.equal(storyMap.currentSlideIndex, 0);
+  assert.equal(window.history.length, length + 1); // only the entry pushed by popState()
+  storyMap.destroy();
+});
+
+test('the language in the BASE_URL is passed to the data loader and kept in the route', async () => {
+  setupDom(STORY_HTML, `${BASE_URL}#lang=es`);
+  let requested = null;
+  const storyMap = await createStoryMap({
+    features: { router: true },
+    dataLoader: async (config) => {
+      requested = config.language;
+      return createSlides(2);
+    }
+  });
+
+  assert.equal(requested, 'es');
+  assert.equal(window.location.hash, '#lang=es&slide=1');
+
+  storyMap.setCurrentLanguage('fr');
+  assert.equal(window.location.hash, '#lang=fr&slide=1');
+  storyMap.destroy();
+});
+
+test('a language restored by back/forward is announced with languagechange', async () => {
+  setupDom(STORY_HTML, `${BASE_URL}#lang=en`);
+  const storyMap = await createStoryMap({ features: { router: true } });
+  const languages = [];
+  storyMap.on('languagechange', event => languages.push(event.language));
+
+  popState('#lang=de&slide=2');
+
+  assert.deepEqual(languages, ['de']);
+  assert.equal(storyMap.currentLanguage, 'de');
+  assert.equal(storyMap.currentSlideIndex, 1);
+  storyMap.destroy();
+});
+
+test('MultilingualDataProvider.attach() keeps the route language in sync', async () => {
+  setupDom(STORY_HTML, `${BASE_URL}#lang=xx`);
+  const slides = language => createSlides(3).map(slide => ({ ...slide, text: { headline: `${language} ${slide.text.headline}` } }));
+  const story = {
+    languages: { en: { name: 'English' }, es: { name: 'Español' } },
+    storymaps: {
+      en: { storymap: { slides: slides('en') } },
+      es: { storymap: { slides: slides('es') } }
+    }
+  };
+  const fetch = global.fetch;
+  const consoleWarn = console.warn;
+  global.fetch = async () => ({ ok: true, json: async () => story });
+  console.warn = () => {};
+
+  const provider = new MultilingualDataProvider();
+  let storyMap;
+  try {
+    storyMap = await createStoryMap({
+      jsonUrl: 'story.json',
+      features: { router: true },
+      dataLoader: config => provider.loadData(config),
+      on: { dataloaded: event => provider.attach(event.target) }
+    });
+  } finally {
+    global.fetch = fetch;
+    console.warn = consoleWarn;
+  }
+
+  // 'xx' does not exist, so the provider fell back to English and told the router
+  assert.equal(storyMap.currentLanguage, 'en');
+  assert.equal(window.location.hash, '#lang=en&slide=1');
+
+  storyMap.navigateNext();
+  popState('#lang=es&slide=2');
+
+  assert.equal(provider.currentLanguage, 'es');
+  assert.equal(storyMap.storyData, story.storymaps.es.storymap.slides);
+  assert.equal(document.getElementById('headline').textContent, 'es Slide 2');
+  assert.equal(window.location.hash, '#lang=es&slide=2');
+  storyMap.destroy();
+});
+
+test('attach() uses the language selector inside the root, and destroy() or detach() release it', async () => {
+  const selector = '<select id="language-selector"><option value="en">English</option><option value="es">Español</option></select>';
+  setupDom(`<section id="story-one">${selector}${STORY_HTML}</section><section id="story-two">${selector}${STORY_HTML}</section>`);
+  const slides = language => createSlides(3).map(slide => ({ ...slide, text: { headline: `${language} ${slide.text.headline}` } }));
+  const provider = (storyMap) => {
+    const multilingual = new MultilingualDataProvider();
+    multilingual.fullData = {
+      languages: { en: { name: 'English' }, es: { name: 'Español' } },
+      storymaps: { en: { storymap: { slides: slides('en') } }, es: { storymap: { slides: slides('es') } } }
+    };
+    multilingual.languages = multilingual.fullData.languages;
+    return multilingual.attach(storyMap);
+  };
+  const choose = (root, language) => {
+    const languageSelector = document.querySelector(`${root} #language-selector`);
+    languageSelector.value = language;
+    languageSelector.dispatchEvent(new Event('change'));
+  };
+  const first = await createStoryMap({ root: '#story-one', slides: slides('en') });
+  const second = await createStoryMap({ root: '#story-two', slides: slides('en') });
+  const firstProvider = provider(first);
+  const secondProvider = provider(second);
+
+  choose('#story-two', 'es');
+  assert.equal(firstProvider.currentLanguage, 'en');
+  assert.equal(secondProvider.currentLanguage, 'es');
+  assert.equal(document.querySelector('#story-two #headline').textContent, 'es Slide 1');
+
+  second.destroy();
+  choose('#story-two', 'en');
+  assert.equal(secondProvider.currentLanguage, 'es');
+
+  assert.equal(firstProvider.detach(), firstProvider);
+  assert.equal(firstProvider.storyMap, null);
+  choose('#story-one', 'es');
+  first.emit('languagechange', { language: 'es' });
+  assert.equal(firstProvider.currentLanguage, 'en');
+  assert.deepEqual(first.domListeners.filter(listener => listener.type === 'change'), []);
+  first.destroy();
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+
+// Run animation frames by hand, with the time they are given
+let frames;
+const runFrame = (now) => {
+  const pending = frames;
+  frames = [];
+  pending.forEach(callback => callback(now));
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A great circle stand-in: npoints evenly spaced points from start to end
+const fakeTurf = {
+  point: coordinates => ({ type: 'Feature', geometry: { type: 'Point', coordinates } }),
+  greatCircle: (start, end, options) => {
+    const [x1, y1] = start.geometry.coordinates;
+    const [x2, y2] = end.geometry.coordinates;
+    const coordinates = Array.from({ length: options.npoints }, (value, index) => {
+      const fraction = index / (options.npoints - 1);
+      return [x1 + (x2 - x1) * fraction, y1 + (y2 - y1) * fraction];
+    });
+    return { type: 'Feature', geometry: { type: 'LineString', coordinates } };
+  }
+};
+
+const lineSlides = (count = 3) => createSlides(count).map(slide => ({
+  ...slide,
+  location: { ...slide.location, line: true }
+}));
+
+const lineData = (storyMap, index) => storyMap.map.getSource(`line-source-${index}`)._data;
+const headData = storyMap => storyMap.map.getSource('route-head')._data;
+const round = coordinates => coordinates.map(value => Math.round(value * 1000) / 1000);
+
+test.beforeEach(() => {
+  setupDom();
+  frames = [];
+  global.turf = fakeTurf;
+  global.maplibregl.MercatorCoordinate = {
+    fromLngLat: (lngLat) => {
+      const [lng, lat] = Array.isArray(lngLat) ? lngLat : [lngLat.lng, lngLat.lat];
+      return { x: lng, y: lat };
+    }
+  };
+  global.requestAnimationFrame = (callback) => {
+    frames.push(callback);
+    return frames.length;
+  };
+  global.cancelAnimationFrame = () => {
+    frames = [];
+  };
+});
+
+test.afterEach(() => {
+  delete global.turf;
+});
+
+test('without animateRoutes every segment is drawn as a 100 point great circle', async () => {
+  const storyMap = await createStoryMap({ slides: lineSlides() });
+
+  assert.deepEqual(storyMap.lines.map(line => line.targetSlideIndex), [1, 2]);
+  assert.equal(lineData(storyMap, 0).geometry.coordinates.length, 100);
+  assert.equal(lineData(storyMap, 1).type, 'Feature');
+  assert.equal(storyMap.map.getSource('route-head'), undefined);
+  storyMap.destroy();
+});
+
+test('future segments are hidden until their slide is reached', async () => {
+  const storyMap = await createStoryMap({ slides: lineSlides(), features: { animateRoutes: true } });
+
+  assert.deepEqual(lineData(storyMap, 0), { type: 'FeatureCollection', features: [] });
+  assert.deepEqual(lineData(storyMap, 1), { type: 'FeatureCollection', features: [] });
+  assert.equal(storyMap.map.getLayer('route-head-circle').type, 'circle');
+  storyMap.destroy();
+});
+
+test('the segment grows with the camera flight and its head follows it', async () => {
+  const storyMap = await createStoryMap({ slides: lineSlides(), features: { animateRoutes: true } });
+  const map = storyMap.map;
+  // Keep the camera where it is until the test moves it
+  map.flyTo = () => {};
+
+  storyMap.navigateNext();
+  assert.equal(storyMap.lines[0].progress, 0);
+
+  map.center = { lng: 20.5, lat: 10.5 };
+  runFrame(0);
+
+  assert.equal(Math.round(storyMap.lines[0].progress * 100), 50);
+  assert.deepEqual(round(headData(storyMap).features[0].geometry.coordinates), [20.5, 10.5]);
+  assert.deepEqual(lineData(storyMap, 1), { type: 'FeatureCollection', features: [] });
+
+  // Once the flight ends the segment is complete and the head disappears
+  map.fire('moveend');
+  await flush();
+  runFrame(0);
+
+  assert.equal(storyMap.lines[0].progress, 1);
+  assert.equal(lineData(storyMap, 0).geometry.coordinates.length, 100);
+  assert.deepEqual(headData(storyMap).features, []);
+  assert.deepEqual(frames, []);
+  storyMap.destroy();
+});
+
+test('without a camera move the segment is drawn over animateRoutes.duration', async (t) => {
+  let now = 1000;
+  t.mock.method(performance, 'now', () => now);
+  const storyMap = await createStoryMap({ slides: lineSlides(), features: { animateRoutes: { duration: 400, headMarker: false } } });
+
+  storyMap.navigateNext();
+  runFrame(now + 100);
+  assert.equal(storyMap.lines[0].progress, 0.25);
+
+  runFrame(now + 400);
+  assert.equal(storyMap.lines[0].progress, 1);
+  assert.equal(storyMap.map.getSource('route-head'), undefined);
+  storyMap.destroy();
+});
+
+test('going back hides the segments after the current slide again', async () => {
+  const storyMap = await createStoryMap({ slides: lineSlides(), features: { animateRoutes: true } });
+
+  storyMap.goToSlide(2);
+  runFrame(performance.now() + 5000);
+  assert.equal(storyMap.lines[0].progress, 1);
+  assert.equal(storyMap.lines[1].progress, 1);
+
+  storyMap.goToSlide(0);
+  assert.equal(storyMap.lines[0].progress, 0);
+  assert.equal(storyMap.lines[1].progress, 0);
+  storyMap.destroy();
+});
+
+test('hideFutureSegments: false keeps the whole route drawn', async () => {
+  const storyMap = await createStoryMap({ slides: lineSlides(), features: { animateRoutes: { hideFutureSegments: false } } });
+
+  assert.equal(lineData(storyMap, 0).type, 'Feature');
+  assert.equal(lineData(storyMap, 1).type, 'Feature');
+  storyMap.destroy();
+});
+
+test('destroy() cancels a running route animation', async () => {
+  const storyMap = await createStoryMap({ slides: lineSlides(), features: { animateRoutes: true } });
+  storyMap.navigateNext();
+  assert.equal(frames.length, 1);
+
+  storyMap.destroy();
+
+  assert.deepEqual(frames, []);
+  assert.equal(storyMap.routeFrame, null);
+});
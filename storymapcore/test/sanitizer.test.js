@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+const StoryMap = require('../storymap-core.js');
+const { MediaUtils } = require('../providers/media-providers.js');
+
+// A slide whose text, caption and credit are the given HTML
+const htmlSlide = html => ({ ...createSlides(1)[0], text: { headline: 'Untrusted', text: html }, media: { url: 'photo.jpg', caption: html, credit: html } });
+
+const ATTACK = '<p onclick="steal()">Hi <img src="x.png" onerror="steal()"><script>steal()</script><a href="javascript:steal()">link</a></p>';
+
+test.beforeEach(() => setupDom());
+
+test('allowed markup is kept', () => {
+  const html = '<p class="lead">A <a href="https://example.org" title="Site">link</a>, <em>emphasis</em> and <img src="photo.jpg" alt="Photo" width="200"></p>' +
+    '<ol start="3"><li><b>bold</b></li></ol><blockquote lang="es" dir="ltr">cita</blockquote>';
+
+  assert.equal(StoryMap.sanitizeHTML(html), html);
+});
+
+test('scripts, styles and event handlers are removed', () => {
+  assert.equal(StoryMap.sanitizeHTML(ATTACK), '<p>Hi <img src="x.png"><a>link</a></p>');
+  assert.equal(StoryMap.sanitizeHTML('<style>body{display:none}</style><svg onload="steal()"><text>x</text></svg>ok'), 'ok');
+  assert.equal(StoryMap.sanitizeHTML('<iframe src="https://evil.example"></iframe><template><b>hidden</b></template>'), '');
+  assert.equal(StoryMap.sanitizeHTML('a<!-- comment -->b'), 'ab');
+  assert.equal(StoryMap.sanitizeHTML('<b style="position:fixed" id="x" data-x="1">bold</b>'), '<b>bold</b>');
+});
+
+test('unknown tags are unwrapped and keep their text', () => {
+  assert.equal(StoryMap.sanitizeHTML('<table><tr><td>1 <form><button>2</button></form></td></tr></table>'), '1 2');
+  assert.equal(StoryMap.sanitizeHTML('<custom-element><em>kept</em></custom-element>'), '<em>kept</em>');
+  assert.equal(StoryMap.sanitizeHTML(''), '');
+  assert.equal(StoryMap.sanitizeHTML(null), '');
+  assert.equal(StoryMap.sanitizeHTML(42), '42');
+});
+
+test('javascript: and other unsafe URLs are rejected, however they are written', () => {
+  const unsafe = [
+    'javascript:steal()',
+    'JavaScript:steal()',
+    ' javascript:steal()',
+    'java\tscript:steal()',
+    'java\nscript:steal()',
+    'java\u0085script:steal()',
+    'jav&#x09;ascript:steal()',
+    '&#106;avascript:steal()',
+    'data:text/html,&lt;script&gt;steal()&lt;/script&gt;',
+    'vbscript:msgbox(1)'
+  ];
+  unsafe.forEach(url => assert.equal(StoryMap.sanitizeHTML(`<a href="${url}">x</a>`), '<a>x</a>', JSON.stringify(url)));
+  assert.equal(StoryMap.sanitizeHTML('<img src="data:image/png;base64,AAAA">'), '<img>');
+
+  const safe = ['https://example.org', 'http://example.org', 'mailto:ana@example.org', 'tel:+51123', '/story#2', '?slide=2', 'photo.jpg', './a:b.jpg'];
+  safe.forEach(url => assert.equal(StoryMap.sanitizeHTML(`<a href="${url}">x</a>`), `<a href="${url}">x</a>`, url));
+});
+
+test('links opening a new tab get rel="noopener noreferrer"', () => {
+  assert.equal(
+    StoryMap.sanitizeHTML('<a href="https://example.org" target="_blank" rel="opener">x</a>'),
+    '<a href="https://example.org" target="_blank" rel="noopener noreferrer">x</a>'
+  );
+});
+
+test('a custom policy changes what is allowed', () => {
+  const policy = {
+    ...StoryMap.SANITIZE_POLICY,
+    elements: { ...StoryMap.SANITIZE_POLICY.elements, td: ['colspan'], tr: [], table: [], tbody: [] },
+    protocols: ['https']
+  };
+
+  assert.equal(
+    StoryMap.sanitizeHTML('<table><tbody><tr><td colspan="2" onclick="x()">1</td></tr></tbody></table>', policy),
+    '<table><tbody><tr><td colspan="2">1</td></tr></tbody></table>'
+  );
+  assert.equal(StoryMap.sanitizeHTML('<a href="http://example.org">x</a>', policy), '<a>x</a>');
+});
+
+test('slide text, captions and credits are sanitized by default', async () => {
+  const storyMap = await createStoryMap({ slides: [htmlSlide(ATTACK)] });
+  const clean = '<p>Hi <img src="x.png"><a>link</a></p>';
+
+  assert.equal(document.getElementById('text').innerHTML, clean);
+  assert.equal(document.querySelector('#media .caption-text').innerHTML, clean);
+  assert.equal(document.querySelector('#media .caption-credit').innerHTML, clean);
+  assert.equal(document.querySelector('script, [onclick], [onerror], [href^="javascript"]'), null);
+  storyMap.destroy();
+});
+
+test('config.sanitize takes a policy, a function or false', async () => {
+  const html = '<p>Row</p><table><tr><td>1</td></tr></table><u>u</u>';
+  const text = () => document.getElementById('text').innerHTML;
+
+  const withPolicy = await createStoryMap({
+    slides: [htmlSlide(html)],
+    sanitize: { elements: { p: [], table: [], tbody: [], tr: [], td: [] } }
+  });
+  assert.equal(text(), '<p>Row</p><table><tbody><tr><td>1</td></tr></tbody></table>u');
+  withPolicy.destroy();
+
+  setupDom();
+  const cleaned = [];
+  const withFunction = await createStoryMap({
+    slides: [htmlSlide(html)],
+    sanitize: (value) => {
+      cleaned.push(value);
+      return 'cleaned';
+    }
+  });
+  assert.equal(text(), 'cleaned');
+  assert.equal(document.querySelector('#media .caption-credit').innerHTML, 'cleaned');
+  assert.deepEqual(cleaned, [html, html, html]);
+  withFunction.destroy();
+
+  setupDom();
+  const trusted = await createStoryMap({ slides: [htmlSlide('<p onclick="track()">Trusted</p>')], sanitize: false });
+  assert.equal(text(), '<p onclick="track()">Trusted</p>');
+  trusted.destroy();
+});
+
+test('MediaUtils cleans captions with the core\'s sanitizer', () => {
+  const container = document.createElement('div');
+  MediaUtils.addCaption(container, '<b onclick="x()">Bold</b>', 'Ana');
+  assert.equal(container.querySelector('.media-caption').innerHTML, '<span class="caption-text"><b>Bold</b></span> <span class="caption-credit">Ana</span>');
+
+  MediaUtils.addCaption(container, '<b>Bold</b>', '', html => html.replace('Bold', 'Clean'));
+  assert.equal(container.querySelectorAll('.media-caption')[1].innerHTML, '<span class="caption-text"><b>Clean</b></span>');
+  assert.equal(MediaUtils.sanitize('<b onclick="x()">Bold</b>'), StoryMap.sanitizeHTML('<b onclick="x()">Bold</b>'));
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createStoryMap } = require('./helpers.js');
+
+// jsdom has no layout: record scrollIntoView calls and drive the observer by hand
+let observers;
+let scrolledTo;
+
+class FakeIntersectionObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = [];
+    this.disconnected = false;
+    observers.push(this);
+  }
+
+  observe(target) {
+    this.targets.push(target);
+  }
+
+  disconnect() {
+    this.disconnected = true;
+  }
+
+  enter(target) {
+    this.callback([{ target, isIntersecting: true }]);
+  }
+}
+
+test.beforeEach(() => {
+  setupDom();
+  observers = [];
+  scrolledTo = [];
+  global.IntersectionObserver = FakeIntersectionObserver;
+  window.Element.prototype.scrollIntoView = function scrollIntoView(options) {
+    scrolledTo.push({ index: Number(this.dataset.slideIndex), behavior: options.behavior });
+  };
+});
+
+test.afterEach(() => {
+  delete global.IntersectionObserver;
+});
+
+test('every slide is rendered as a section', async () => {
+  const storyMap = await createStoryMap({ mode: 'scroll' });
+  const sections = document.querySelectorAll('#content-wrapper .storymap-section');
+
+  assert.equal(sections.length, 3);
+  assert.equal(sections[1].querySelector('.storymap-headline').textContent, 'Slide 2');
+  assert.equal(sections[0].classList.contains('is-active'), true);
+  assert.equal(document.getElementById('content-wrapper').classList.contains('storymap-scroll-mode'), true);
+  storyMap.destroy();
+});
+
+test('a section crossing the middle of the container activates its slide', async () => {
+  const storyMap = await createStoryMap({ mode: 'scroll' });
+  const [observer] = observers;
+  const directions = [];
+  storyMap.on('slidechange', event => directions.push(event.direction));
+
+  assert.equal(observer.options.root, document.getElementById('content-wrapper'));
+  assert.equal(observer.options.rootMargin, '-50% 0px -50% 0px');
+
+  observer.enter(observer.targets[2]);
+  observer.enter(observer.targets[1]);
+
+  assert.equal(storyMap.currentSlideIndex, 1);
+  assert.deepEqual(directions, ['next', 'prev']);
+  assert.equal(observer.targets[1].classList.contains('is-active'), true);
+  assert.deepEqual(storyMap.map.moves.at(-1).options.center, [21, 11]);
+  storyMap.destroy();
+  assert.equal(observer.disconnected, true);
+});
+
+test('next and previous scroll to the section instead of changing the slide', async () => {
+  const storyMap = await createStoryMap({ mode: 'scroll' });
+  scrolledTo = [];
+
+  storyMap.navigateNext();
+
+  assert.deepEqual(scrolledTo, [{ index: 1, behavior: 'smooth' }]);
+  assert.equal(storyMap.currentSlideIndex, 0);
+  storyMap.destroy();
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, FakeMap, createSlides, createStoryMap } = require('./helpers.js');
+
+// A { storymap } document with the given story-level settings
+const storyDocument = (settings = {}) => ({ storymap: { ...settings, slides: createSlides(2) } });
+
+// Serve a document through dataLoader, like a JSON file would be loaded
+const loadDocument = document => async () => document;
+
+// A fake map that fires 'load' like the one createStoryMap() builds
+const loadingMap = (container) => {
+  const map = new FakeMap(container);
+  setImmediate(() => map.fire('load'));
+  return map;
+};
+
+test.beforeEach(() => setupDom());
+
+test('story-level settings are kept as metadata', async () => {
+  const events = [];
+  const storyMap = await createStoryMap({
+    dataLoader: loadDocument(storyDocument({
+      title: 'Illegal gold routes',
+      description: 'How gold leaves the Amazon',
+      authors: ['Ana Ruiz', { name: 'Luis Soto', url: 'https://example.org' }],
+      published: '2024-03-01',
+      language: 'es',
+      attribution: 'Data: Example',
+      map: { provider: 'satellite' },
+      styling: { markerColor: '#333' }
+    })),
+    on: { dataloaded: event => events.push(event.meta) }
+  });
+
+  assert.deepEqual(storyMap.getStoryMeta(), {
+    title: 'Illegal gold routes',
+    description: 'How gold leaves the Amazon',
+    authors: ['Ana Ruiz', 'Luis Soto'],
+    byline: 'Ana Ruiz, Luis Soto',
+    published: '2024-03-01',
+    language: 'es',
+    attribution: 'Data: Example',
+    map: { provider: 'satellite' },
+    styling: { markerColor: '#333' }
+  });
+  assert.deepEqual(events, [storyMap.getStoryMeta()]);
+  storyMap.destroy();
+});
+
+test('a single author and an explicit byline are accepted', async () => {
+  const storyMap = await createStoryMap({ dataLoader: loadDocument(storyDocument({ author: 'Ana Ruiz', byline: 'By our team' })) });
+
+  assert.deepEqual(storyMap.getStoryMeta().authors, ['Ana Ruiz']);
+  assert.equal(storyMap.getStoryMeta().byline, 'By our team');
+  storyMap.destroy();
+});
+
+test('a bare slides array has empty metadata', async () => {
+  const storyMap = await createStoryMap({ dataLoader: loadDocument(createSlides(2)) });
+
+  assert.deepEqual(storyMap.getStoryMeta(), {
+    title: '', description: '', authors: [], byline: '', published: '', language: '', attribution: '', map: {}, styling: {}
+  });
+  storyMap.destroy();
+});
+
+test('story styling fills in what the page did not set', async () => {
+  const storyMap = await createStoryMap({
+    dataLoader: loadDocument(storyDocument({ styling: { markerColor: '#111', lineColor: '#222' } })),
+    styling: { lineColor: '#999' }
+  });
+
+  assert.equal(storyMap.config.styling.markerColor, '#111');
+  assert.equal(storyMap.config.styling.lineColor, '#999');
+  storyMap.destroy();
+});
+
+test('the story chooses the map provider when the page does not', async () => {
+  const calls = [];
+  global.MapProviders = {
+    pmtiles: (options) => {
+      calls.push(options);
+      return loadingMap(options.container);
+    }
+  };
+  try {
+    const storyMap = await createStoryMap({
+      mapInitializer: undefined,
+      dataLoader: loadDocument(storyDocument({ map: { provider: 'pmtiles', pmtilesUrl: 'https://example.org/world.pmtiles' } }))
+    });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].pmtilesUrl, 'https://example.org/world.pmtiles');
+    storyMap.destroy();
+  } finally {
+    delete global.MapProviders;
+  }
+});
+
+test('a story map style is used, but the page style wins', async () => {
+  const styles = [];
+  // Stands in for maplibregl.Map, which the core creates for a style URL
+  const useFakeMaplibre = () => {
+    global.maplibregl.Map = class extends FakeMap {
+      constructor(options) {
+        super(options.container);
+        styles.push(options.style);
+        setImmediate(() => this.fire('load'));
+      }
+    };
+  };
+  const dataLoader = loadDocument(storyDocument({ map: { style: 'story-style.json' } }));
+
+  useFakeMaplibre();
+  const fromStory = await createStoryMap({ mapInitializer: undefined, dataLoader });
+  fromStory.destroy();
+
+  setupDom();
+  useFakeMaplibre();
+  const fromPage = await createStoryMap({ mapInitializer: undefined, mapStyle: 'page-style.json', dataLoader });
+  fromPage.destroy();
+
+  assert.deepEqual(styles, ['story-style.json', 'page-style.json']);
+});
+
+test('the title and description go into the page head', async () => {
+  document.head.innerHTML += '<meta name="description" content="Old description">';
+  const storyMap = await createStoryMap({
+    dataLoader: loadDocument(storyDocument({
+      title: 'Illegal gold routes',
+      description: 'How gold leaves the Amazon',
+      author: 'Ana Ruiz',
+      published: '2024-03-01'
+    }))
+  });
+  const meta = selector => Array.from(document.head.querySelectorAll(`meta[${selector}]`)).map(tag => tag.content);
+
+  assert.equal(document.title, 'Illegal gold routes');
+  assert.deepEqual(meta('name="description"'), ['How gold leaves the Amazon']);
+  assert.deepEqual(meta('name="author"'), ['Ana Ruiz']);
+  assert.deepEqual(meta('property="og:title"'), ['Illegal gold routes']);
+  assert.deepEqual(meta('property="og:description"'), ['How gold leaves the Amazon']);
+  assert.deepEqual(meta('property="article:published_time"'), ['2024-03-01']);
+  storyMap.destroy();
+});
+
+test('features.pageMeta: false leaves the page head alone', async () => {
+  const storyMap = await createStoryMap({
+    dataLoader: loadDocument(storyDocument({ title: 'Illegal gold routes', description: 'How gold leaves the Amazon' })),
+    features: { pageMeta: false }
+  });
+
+  assert.equal(document.title, 'Test');
+  assert.equal(document.head.querySelector('meta'), null);
+  storyMap.destroy();
+});
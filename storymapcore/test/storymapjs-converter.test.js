@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { setupDom, FakeMap, createSlides, createStoryMap } = require('./helpers.js');
+const { StoryMapJSConverter } = require('../providers/storymapjs-converter.js');
+
+// A StoryMapJS document as the KnightLab editor saves it
+const storyMapJSDocument = () => ({
+  width: 1000,
+  height: 700,
+  font_css: 'stock:opensans-gentiumbook',
+  storymap: {
+    language: 'en',
+    map_type: 'zoomify',
+    map_as_image: true,
+    zoomify: { path: 'https://example.org/tiles/', width: 8000, height: 6000, tolerance: 0.9, attribution: 'Museum' },
+    call_to_action: true,
+    call_to_action_text: 'Start exploring',
+    line_color: '#c34528',
+    line_weight: '3',
+    line_dash: '5,5',
+    slides: [
+      {
+        type: 'overview',
+        text: { headline: 'The painting', text: '<p>Details</p>' },
+        media: { url: 'painting.jpg', caption: 'Oil on canvas', credit: 'Museum' }
+      },
+      {
+        uniqueid: 'hand',
+        date: '1642',
+        text: { headline: 'The hand' },
+        location: { lat: '-42.5', lon: '71.25', zoom: '4', name: 'Lower left', line: true, use_default_icon: false }
+      }
+    ]
+  }
+});
+
+const codes = warnings => warnings.map(warning => `${warning.path} ${warning.code}`);
+
+test('StoryMapJS settings and slides are mapped to StoryMapCore names', () => {
+  const { story, warnings } = StoryMapJSConverter.fromStoryMapJS(storyMapJSDocument());
+  const storymap = story.storymap;
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(storymap.embed, { width: 1000, height: 700, fontCss: 'stock:opensans-gentiumbook' });
+  assert.deepEqual(storymap.map, {
+    asImage: true,
+    gigapixel: { path: 'https://example.org/tiles/', width: 8000, height: 6000, tolerance: 0.9, attribution: 'Museum' }
+  });
+  assert.deepEqual(storymap.callToAction, { enabled: true, text: 'Start exploring' });
+  assert.deepEqual(storymap.styling, { lineColorActive: '#c34528', lineWidth: 3, lineDasharray: [5, 5] });
+  assert.equal(storymap.slides[0].type, 'overview');
+  assert.deepEqual(storymap.slides[1], {
+    id: 'hand',
+    date: '1642',
+    text: { headline: 'The hand' },
+    location: { lat: -42.5, lon: 71.25, zoom: 4, name: 'Lower left', line: true, useDefaultIcon: false }
+  });
+});
+
+test('fields without an equivalent are dropped with a warning', () => {
+  const document = storyMapJSDocument();
+  document.storymap.slides[1].location.marker_color = 'red';
+  document.storymap.custom_theme = { dark: true };
+  document.embed_id = 'abc';
+
+  const { story, warnings } = StoryMapJSConverter.fromStoryMapJS(document);
+
+  assert.deepEqual(warnings, [
+    {
+      path: 'storymap.custom_theme.dark',
+      code: 'dropped-field',
+      message: 'has no StoryMapCore equivalent and was dropped',
+      severity: 'warning'
+    },
+    {
+      path: 'storymap.slides[1].location.marker_color',
+      code: 'dropped-field',
+      message: 'has no StoryMapCore equivalent and was dropped',
+      severity: 'warning'
+    },
+    {
+      path: 'embed_id',
+      code: 'dropped-field',
+      message: 'has no StoryMapCore equivalent and was dropped',
+      severity: 'warning'
+    }
+  ]);
+  assert.equal('marker_color' in story.storymap.slides[1].location, false);
+});
+
+test('a StoryMapJS document survives a round trip', () => {
+  const document = storyMapJSDocument();
+  document.storymap.line_weight = 3;
+
+  const { story } = StoryMapJSConverter.fromStoryMapJS(document);
+  const { document: exported, warnings } = StoryMapJSConverter.toStoryMapJS(story);
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(exported.storymap.slides[1].location, { lat: -42.5, lon: 71.25, zoom: 4, name: 'Lower left', line: true, use_default_icon: false });
+  exported.storymap.slides[1].location = document.storymap.slides[1].location;
+  assert.deepEqual(exported, document);
+});
+
+test('core-only fields and extra gallery items are reported on export', () => {
+  const { document, warnings } = StoryMapJSConverter.toStoryMapJS([
+    {
+      text: { headline: 'Mine' },
+      location: { lat: 1, lon: 2, pitch: 60, bounds: { type: 'Polygon', coordinates: [] } },
+      media: [{ url: 'a.jpg' }, { url: 'b.jpg' }],
+      layers: [{ type: 'raster' }]
+    },
+    { text: { headline: 'Solid' }, media: [] }
+  ]);
+
+  assert.deepEqual(codes(warnings), [
+    'storymap.slides[0].media[1] dropped-field',
+    'storymap.slides[0].location.pitch dropped-field',
+    'storymap.slides[0].location.bounds dropped-field',
+    'storymap.slides[0].layers dropped-field'
+  ]);
+  assert.deepEqual(document.storymap.slides[0].media, { url: 'a.jpg' });
+  assert.equal('media' in document.storymap.slides[1], false);
+});
+
+test('a solid line exports as an empty line_dash', () => {
+  const { document } = StoryMapJSConverter.toStoryMapJS({ storymap: { styling: { lineDasharray: null }, slides: [] } });
+  assert.equal(document.storymap.line_dash, '');
+
+  const { story } = StoryMapJSConverter.fromStoryMapJS({ storymap: { line_dash: ' ', slides: [] } });
+  assert.equal(story.storymap.styling.lineDasharray, null);
+});
+
+test('map_type becomes the map provider or style the core reads, and comes back', async () => {
+  const convert = (mapType, settings = {}) => StoryMapJSConverter.fromStoryMapJS({ storymap: { map_type: mapType, ...settings, slides: createSlides(2) } });
+  const tiles = 'https://{s}.tiles.example.org/{z}/{x}/{y}.png';
+
+  assert.deepEqual(convert('stamen:toner-lite').story.storymap.map, { provider: 'standard' });
+  const { story: tiled } = convert(tiles, { map_subdomains: 'ab' });
+  assert.deepEqual(tiled.storymap.map.style.sources.storymapjs.tiles, [
+    'https://a.tiles.example.org/{z}/{x}/{y}.png',
+    'https://b.tiles.example.org/{z}/{x}/{y}.png'
+  ]);
+  assert.deepEqual(codes(convert('mapbox:ana.abc123').warnings), ['storymap.map_type dropped-field']);
+
+  // Back to StoryMapJS
+  assert.equal(StoryMapJSConverter.toStoryMapJS(tiled).document.storymap.map_type, tiles);
+  assert.equal(StoryMapJSConverter.toStoryMapJS(convert('osm:standard').story).document.storymap.map_type, 'osm:standard');
+  const { document, warnings } = StoryMapJSConverter.toStoryMapJS({ storymap: { map: { provider: 'satellite' }, slides: [] } });
+  assert.equal('map_type' in document.storymap, false);
+  assert.deepEqual(codes(warnings), ['storymap.map.provider dropped-field']);
+
+  // The core builds its map from the converted settings
+  const maps = [];
+  const loadingMap = (container, options) => {
+    const map = new FakeMap(container);
+    maps.push(options);
+    setImmediate(() => map.fire('load'));
+    return map;
+  };
+  setupDom();
+  global.maplibregl.Map = class {
+    constructor(options) {
+      return loadingMap(options.container, options.style);
+    }
+  };
+  global.MapProviders = { standard: options => loadingMap(options.container, 'standard') };
+  try {
+    const fromTiles = await createStoryMap({ mapInitializer: undefined, dataLoader: async () => tiled });
+    fromTiles.destroy();
+
+    setupDom();
+    const fromOsm = await createStoryMap({ mapInitializer: undefined, dataLoader: async () => convert('osm:standard').story });
+    fromOsm.destroy();
+  } finally {
+    delete global.MapProviders;
+  }
+  assert.deepEqual(maps, [tiled.storymap.map.style, 'standard']);
+});
+
+test('multilingual documents are converted language by language', () => {
+  const languages = { en: { name: 'English' }, es: { name: 'Español' } };
+  const spanish = storyMapJSDocument();
+  spanish.storymap.slides[0].extra = 1;
+
+  const { story, warnings } = StoryMapJSConverter.fromStoryMapJS({
+    languages,
+    storymaps: { en: storyMapJSDocument(), es: spanish }
+  });
+
+  assert.equal(story.languages, languages);
+  assert.deepEqual(Object.keys(story.storymaps), ['en', 'es']);
+  assert.equal(story.storymaps.es.storymap.map.gigapixel.width, 8000);
+  assert.deepEqual(codes(warnings), ['storymaps.es.storymap.slides[0].extra dropped-field']);
+
+  const { document } = StoryMapJSConverter.toStoryMapJS(story);
+  assert.equal(document.storymaps.en.storymap.map_type, 'zoomify');
+  assert.equal(document.storymaps.es.width, 1000);
+});
+
+test('input that is not a story is rejected', () => {
+  assert.throws(() => StoryMapJSConverter.fromStoryMapJS(null), { message: 'Invalid StoryMapJS document. Expected an object.' });
+  assert.throws(() => StoryMapJSConverter.fromStoryMapJS({ slides: [] }), { message: 'Invalid StoryMapJS document. Expected a storymap property.' });
+  assert.throws(() => StoryMapJSConverter.toStoryMapJS('story'), { message: 'Invalid story. Expected an object.' });
+});
+
+test('loaded next to data-providers.js, only the exported objects become global', () => {
+  // Classic scripts share one global scope, as on a page with both <script> tags
+  const context = vm.createContext({});
+  context.window = context;
+  ['data-providers.js', 'storymapjs-converter.js'].forEach((file) => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'providers', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  assert.equal(typeof context.StoryMapJSConverter.fromStoryMapJS, 'function');
+  assert.equal(typeof context.DataProviders, 'object');
+  assert.equal(typeof context.DataProviders.parseCsv, 'function');
+  assert.equal(typeof context.DataValidators.toNumber, 'function');
+  // Top-level const and function declarations would show up here
+  [
+    'mapFields', 'getPath', 'setPath', 'leafPaths', 'parseDash', 'SLIDE_FIELDS',
+    'parseCsv', 'loadText', 'parseXml', 'toNumber', 'isPlainObject', 'columnLetter',
+    'SEVERITY_ERROR', 'checkSlide', 'MEDIA_EXTENSIONS', 'toPlace', 'buildGazetteerIndex'
+  ].forEach(name => assert.equal(vm.runInContext(`typeof ${name}`, context), 'undefined', name));
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, FakeMap, createSlides, createStoryMap } = require('./helpers.js');
+const { DataTransformers } = require('../providers/data-providers.js');
+
+const headlines = slides => slides.map(slide => slide.text.headline);
+
+test.beforeEach(() => {
+  setupDom();
+  global.DataTransformers = DataTransformers;
+});
+
+test.afterEach(() => {
+  delete global.DataTransformers;
+});
+
+test('transforms run in order before the map is created', async () => {
+  const slides = createSlides(3);
+  slides[0].date = '2020';
+  slides[1].date = '2001';
+  slides[2].date = '2010';
+  const calls = [];
+  let firstSlide = null;
+
+  const storyMap = await createStoryMap({
+    slides,
+    transforms: [
+      { name: 'sortSlides', options: 'date' },
+      (result, context) => {
+        calls.push(context);
+        return result.map(slide => ({ ...slide, text: { ...slide.text, headline: slide.text.headline.toUpperCase() } }));
+      }
+    ],
+    mapInitializer: (container, slide) => {
+      firstSlide = slide;
+      const map = new FakeMap(container);
+      setImmediate(() => map.fire('load'));
+      return map;
+    }
+  });
+
+  assert.deepEqual(headlines(storyMap.storyData), ['SLIDE 2', 'SLIDE 3', 'SLIDE 1']);
+  assert.equal(firstSlide, storyMap.storyData[0]);
+  assert.equal(calls[0].storyMap, storyMap);
+  assert.deepEqual(calls[0].meta, storyMap.getStoryMeta());
+  storyMap.destroy();
+});
+
+test('transforms may be asynchronous and named by string', async () => {
+  const slides = createSlides(3);
+  slides[1].location = { lat: '', lon: '' };
+
+  const storyMap = await createStoryMap({
+    slides,
+    transforms: [
+      async result => result.slice().reverse(),
+      { name: 'filterSlides', options: { validLocationsOnly: true } },
+      'normalizeCoordinates'
+    ]
+  });
+
+  assert.deepEqual(headlines(storyMap.storyData), ['Slide 3', 'Slide 1']);
+  storyMap.destroy();
+});
+
+test('unknown transforms and transforms that lose the slides are errors', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  await assert.rejects(createStoryMap({ transforms: ['shuffle'] }), { message: "Unknown transform: 'shuffle'" });
+  await assert.rejects(createStoryMap({ transforms: [() => null] }), { message: /did not return an array of slides/ });
+  await assert.rejects(createStoryMap({ transforms: ['sortSlides', { name: 'nope' }] }), { message: "Unknown transform: 'nope'" });
+
+  delete global.DataTransformers;
+  await assert.rejects(createStoryMap({ transforms: ['dedupeSlides'] }), {
+    message: "The 'dedupeSlides' transform requires providers/data-providers.js to be loaded."
+  });
+});
+
+test('normalizeCoordinates() turns numeric strings into numbers', () => {
+  const [slide] = DataTransformers.normalizeCoordinates([
+    { location: { lat: '38.9', lon: ' -77.04 ', zoom: '10', name: '42', bearing: 'north' } }
+  ]);
+
+  assert.deepEqual(slide.location, { lat: 38.9, lon: -77.04, zoom: 10, name: '42', bearing: 'north' });
+});
+
+test('normalizeCoordinates() swaps coordinates that are the wrong way round', (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+
+  const slides = DataTransformers.normalizeCoordinates([
+    { location: { lat: 151.2, lon: -33.9 } },
+    { location: { lat: 120, lon: 100 } },
+    { location: { lat: -70.2, lon: -5.1 } },
+    { location: { lat: -5.1, lon: -70.2 } }
+  ], { bounds: [-75, -10, -65, 0] });
+
+  assert.deepEqual(slides.map(slide => [slide.location.lat, slide.location.lon]), [
+    [-33.9, 151.2],
+    [120, 100],
+    [-5.1, -70.2],
+    [-5.1, -70.2]
+  ]);
+  assert.deepEqual(warnings, [
+    'Slide 0: lat/lon look swapped (151.2, -33.9), swapping them',
+    'Slide 2: lat/lon look swapped (-70.2, -5.1), swapping them'
+  ]);
+});
+
+test('dedupeSlides() keeps the first of each repeated slide', () => {
+  const slides = createSlides(2);
+  const copy = { ...slides[0], location: { ...slides[0].location, lat: '10.0000001' } };
+  const moved = { ...slides[0], location: { ...slides[0].location, lat: 15 } };
+
+  assert.deepEqual(DataTransformers.dedupeSlides([slides[0], slides[1], copy, moved]), [slides[0], slides[1], moved]);
+  assert.deepEqual(DataTransformers.dedupeSlides([slides[0], slides[1], copy], { consecutiveOnly: true }), [slides[0], slides[1], copy]);
+  assert.deepEqual(DataTransformers.dedupeSlides([slides[0], slides[1]], { key: slide => slide.location.zoom }), [slides[0]]);
+});
+
+test('the geocode transform fills in coordinates from a gazetteer', async (t) => {
+  const warnings = [];
+  const unresolved = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+
+  const slides = await DataTransformers.geocode([
+    { text: { headline: 'Capital' }, location: { name: 'washington,  dc' } },
+    { text: { headline: 'Nowhere' }, location: { name: 'Atlantis' } }
+  ], {
+    gazetteer: { 'Washington, DC': [-77.0369, 38.9072] },
+    zoom: 10,
+    onUnresolved: names => unresolved.push(...names)
+  });
+
+  assert.deepEqual(slides[0].location, { name: 'washington,  dc', lat: 38.9072, lon: -77.0369, zoom: 10 });
+  assert.deepEqual(unresolved, [{ index: 1, name: 'Atlantis' }]);
+  assert.deepEqual(warnings, ["Slide 1: no coordinates found for 'Atlantis'"]);
+});
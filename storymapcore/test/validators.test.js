@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, createSlides, createStoryMap } = require('./helpers.js');
+const StoryMap = require('../storymap-core.js');
+const { DataValidators } = require('../providers/data-providers.js');
+const schema = require('../schema/story.schema.json');
+
+// A slide as StoryMapJS exports it, with coordinates stored as strings
+const exportedSlide = (headline, lat, lon) => ({
+  text: { headline, text: '' },
+  location: { lat: String(lat), lon: String(lon), zoom: '10', line: true },
+  media: { url: '', caption: '', credit: '' }
+});
+
+const summary = problems => problems.map(({ path, code, severity }) => `${severity} ${path} ${code}`);
+
+test('StoryMapJS documents with string coordinates are valid', () => {
+  const story = { storymap: { slides: [exportedSlide('Honolulu', 21.3, -157.8), exportedSlide('Chicago', 41.88, -87.63)] } };
+
+  assert.deepEqual(DataValidators.validateStory(story), []);
+  assert.equal(DataValidators.isValidLocation(story.storymap.slides[0].location), true);
+  assert.equal(DataValidators.isValidLocation({ lat: '', lon: '' }), false);
+});
+
+test('problems come with a path, a code, a message and a severity', () => {
+  const slides = createSlides(4);
+  slides[3].location.lat = 95;
+
+  assert.deepEqual(DataValidators.validateStory({ storymap: { slides } }), [{
+    path: 'storymap.slides[3].location.lat',
+    code: 'out-of-range',
+    message: 'out of range (-90 to 90)',
+    severity: 'error'
+  }]);
+  assert.deepEqual(DataValidators.validateStoryData(slides), ['slides[3].location.lat: out of range (-90 to 90)']);
+});
+
+test('slide fields are checked against the schema rules', () => {
+  const slides = [
+    { text: { headline: 'A' }, location: { lat: 'north', zoom: 30, easing: 'warp', lineType: 'curvy' } },
+    { location: { zoom: 3 }, format: 'rst', layers: [{ type: 'vector', opacity: 2 }] },
+    { text: { headline: 'C' }, location: { bounds: [1, 2, 3] }, media: [] }
+  ];
+
+  assert.deepEqual(summary(DataValidators.validateStory(slides)), [
+    'error slides[0].location.lat type',
+    'error slides[0].location.lon required',
+    'error slides[0].location.zoom out-of-range',
+    'error slides[0].location.easing enum',
+    'error slides[0].location.lineType enum',
+    'warning slides[1].text.headline required',
+    'error slides[1].format enum',
+    'warning slides[1].location no-camera-target',
+    'error slides[1].layers[0].type enum',
+    'error slides[1].layers[0].opacity out-of-range',
+    'error slides[2].location.bounds type',
+    'warning slides[2].media empty'
+  ]);
+});
+
+test('multilingual stories are checked language by language', () => {
+  const story = {
+    languages: { en: { name: 'English' }, es: { name: 'Español' } },
+    storymaps: {
+      en: { storymap: { slides: createSlides(2) } },
+      fr: { storymap: { slides: [] } }
+    }
+  };
+
+  assert.deepEqual(summary(DataValidators.validateStory(story)), [
+    'error storymaps.es required',
+    'warning languages.fr required',
+    'error storymaps.fr.storymap.slides empty'
+  ]);
+});
+
+test('documents of the wrong shape are rejected', () => {
+  assert.deepEqual(summary(DataValidators.validateStory('slides')), ['error  type']);
+  assert.deepEqual(summary(DataValidators.validateStory({ storymap: {} })), ['error storymap.slides type']);
+  assert.deepEqual(DataValidators.validateSlide('slide', 2), ['slides[2]: must be an object']);
+});
+
+test('lintStory() flags likely mistakes as warnings', () => {
+  const slides = createSlides(3).map(slide => ({ ...slide, location: { ...slide.location, line: true } }));
+  slides[1].location = { ...slides[0].location };
+  slides[1].media = [{ url: 'photo.JPG?w=800' }, { url: 'clip.mp4' }];
+
+  assert.deepEqual(summary(DataValidators.lintStory({ storymap: { slides } })), [
+    'warning storymap.slides[1].location duplicate-location',
+    'warning storymap.slides[1].media[0].caption missing-caption',
+    'warning storymap.slides[2].location.line line-on-last-slide'
+  ]);
+});
+
+test('lintStory() compares the slide counts of each language', () => {
+  const story = {
+    languages: { en: {}, es: {} },
+    storymaps: { en: { storymap: { slides: createSlides(3) } }, es: { storymap: { slides: createSlides(2) } } }
+  };
+
+  assert.deepEqual(DataValidators.lintStory(story), [{
+    path: 'storymaps.es.storymap.slides',
+    code: 'slide-count-mismatch',
+    message: 'has 2 slides but storymaps.en.storymap.slides has 3',
+    severity: 'warning'
+  }]);
+});
+
+test('media URLs are recognised by extension or embeddable host', () => {
+  ['song.oga', 'song.flac', 'clip.webm#t=10', 'https://vimeo.com/76979871', 'https://youtu.be/abc',
+    'https://commons.wikimedia.org/wiki/File:Example.jpg', 'https://soundcloud.com/artist/track']
+    .forEach(url => assert.equal(DataValidators.isValidMediaUrl(url), true, url));
+  ['notes.pdf', 'https://example.org/page', 42]
+    .forEach(url => assert.equal(DataValidators.isValidMediaUrl(url), false, String(url)));
+
+  assert.deepEqual(StoryMap.MEDIA_EXTENSIONS.audio, ['mp3', 'wav', 'm4a', 'oga', 'flac']);
+  assert.deepEqual(summary(DataValidators.validateStory([{ text: { headline: 'A' }, media: { url: 'notes.pdf' } }])), [
+    'warning slides[0].media.url unsupported-media'
+  ]);
+});
+
+test('the schema allows the same enum values as the validator', () => {
+  const { location, layer, slide } = schema.definitions;
+  const check = fields => DataValidators.validateStory([{ text: { headline: 'A' }, location: { lat: 1, lon: 2 }, ...fields }]);
+
+  location.properties.lineType.enum.forEach(lineType => assert.deepEqual(check({ location: { lat: 1, lon: 2, lineType } }), []));
+  location.properties.easing.enum.forEach(easing => assert.deepEqual(check({ location: { lat: 1, lon: 2, easing } }), []));
+  layer.properties.type.enum.forEach(type => assert.deepEqual(check({ layers: [{ type }] }), []));
+  slide.properties.format.enum.forEach(format => assert.deepEqual(check({ format }), []));
+});
+
+test('strict: true stops StoryMap on errors and logs warnings', async (t) => {
+  setupDom();
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  t.mock.method(console, 'error', () => {});
+  global.DataValidators = DataValidators;
+  try {
+    const slides = createSlides(2);
+    slides[1].text.headline = '';
+    const storyMap = await createStoryMap({ slides, strict: true });
+    assert.deepEqual(warnings, ['StoryMap: slides[1].text.headline: is missing']);
+    storyMap.destroy();
+
+    setupDom();
+    slides[1].location.lon = 200;
+    const error = await createStoryMap({ slides, strict: true }).catch(e => e);
+    assert.equal(error.message, 'Invalid story data:\nslides[1].location.lon: out of range (-180 to 180)');
+    assert.deepEqual(error.problems.map(problem => problem.code), ['out-of-range']);
+  } finally {
+    delete global.DataValidators;
+  }
+});
+
+test('strict: true without the data providers is an error', async (t) => {
+  setupDom();
+  t.mock.method(console, 'error', () => {});
+
+  await assert.rejects(createStoryMap({ strict: true }), {
+    message: 'The strict option requires providers/data-providers.js to be loaded.'
+  });
+});